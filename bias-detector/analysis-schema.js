@@ -0,0 +1,451 @@
+// analysis-schema.js - Versioned response schemas and validation for model output
+// Loaded by the service worker via importScripts(), and by the popup for the bias labels.
+// Providers pass the schemas to their structured-output/JSON modes; every response is still
+// validated here, since not all backends enforce a schema and those that do still allow
+// out-of-range values.
+
+// Stored with every analysis; bump when the shape of a result changes
+// (2: added bias_dimensions; 3: corroboration moved out of the model's answer into corroboration.js)
+const ANALYSIS_SCHEMA_VERSION = 3;
+
+const POLITICAL_LEANINGS = ['Left', 'Center-Left', 'Center', 'Center-Right', 'Right', 'Neutral'];
+const CLAIM_VERDICTS = ['supported', 'unsupported', 'disputed', 'opinion'];
+
+// Scored bias axes. Every score runs the same way - 0 means no problem, 100 severe - so
+// source diversity and counter-arguments are phrased as what is lacking.
+const BIAS_DIMENSIONS = [
+  { key: 'loaded_language', label: 'Loaded language', description: 'emotive or loaded wording where neutral terms would do' },
+  { key: 'framing', label: 'Framing', description: 'selective emphasis, story angle or word choice that steers the reader to one interpretation' },
+  { key: 'source_diversity', label: 'One-sided sourcing', description: 'quoted and cited sources all come from one side or one kind of source' },
+  { key: 'counter_arguments', label: 'Missing counter-arguments', description: 'relevant opposing views or context are omitted' },
+  { key: 'headline_mismatch', label: 'Headline mismatch', description: 'the headline overstates or contradicts what the body supports' },
+  { key: 'opinion_ratio', label: 'Opinion as reporting', description: 'share of opinion and commentary presented as straight reporting' }
+];
+
+// Example quotes kept per dimension
+const BIAS_EXAMPLES_MAX = 3;
+
+const BIAS_DIMENSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    summary: { type: 'string' },
+    examples: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['score', 'summary', 'examples'],
+  additionalProperties: false
+};
+
+// Written for the strictest consumer (OpenAI strict mode): every property is required and
+// no extra properties are allowed. adaptSchema() strips what other providers reject.
+const ANALYSIS_SCHEMA = {
+  name: 'credibility_analysis',
+  schema: {
+    type: 'object',
+    properties: {
+      credibility_score: { type: 'integer', minimum: 0, maximum: 100 },
+      reasoning_summary: { type: 'string' },
+      confidence: { type: 'integer', minimum: 0, maximum: 100 },
+      political_leaning: { type: 'string', enum: POLITICAL_LEANINGS },
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            claim: { type: 'string' },
+            quote: { type: 'string' },
+            verdict: { type: 'string', enum: CLAIM_VERDICTS },
+            rationale: { type: 'string' }
+          },
+          required: ['claim', 'quote', 'verdict', 'rationale'],
+          additionalProperties: false
+        }
+      },
+      bias_dimensions: {
+        type: 'object',
+        properties: Object.fromEntries(BIAS_DIMENSIONS.map(dimension => [dimension.key, BIAS_DIMENSION_SCHEMA])),
+        required: BIAS_DIMENSIONS.map(dimension => dimension.key),
+        additionalProperties: false
+      }
+    },
+    required: ['credibility_score', 'reasoning_summary', 'confidence', 'political_leaning',
+      'claims', 'bias_dimensions'],
+    additionalProperties: false
+  }
+};
+
+// ANALYSIS_SCHEMA without the optional fields a profile turns off
+// (outputFields: { claims, bias_dimensions }, see profiles.js)
+function buildAnalysisSchema(outputFields) {
+  const omitted = Object.keys(outputFields || {}).filter(field => outputFields[field] === false);
+  if (omitted.length === 0) {
+    return ANALYSIS_SCHEMA;
+  }
+  const properties = Object.assign({}, ANALYSIS_SCHEMA.schema.properties);
+  omitted.forEach((field) => {
+    delete properties[field];
+  });
+  return {
+    name: ANALYSIS_SCHEMA.name,
+    schema: Object.assign({}, ANALYSIS_SCHEMA.schema, {
+      properties: properties,
+      required: ANALYSIS_SCHEMA.schema.required.filter(field => !omitted.includes(field))
+    })
+  };
+}
+
+// Per-section notes from the map step of long-article analysis
+const CHUNK_NOTES_SCHEMA = {
+  name: 'credibility_section_notes',
+  schema: {
+    type: 'object',
+    properties: {
+      section_summary: { type: 'string' },
+      key_claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            claim: { type: 'string' },
+            quote: { type: 'string' }
+          },
+          required: ['claim', 'quote'],
+          additionalProperties: false
+        }
+      },
+      sourcing: { type: 'string' },
+      sourcing_score: { type: 'integer', minimum: 0, maximum: 100 },
+      tone: { type: 'string' },
+      credibility_score: { type: 'integer', minimum: 0, maximum: 100 },
+      political_leaning: { type: 'string', enum: POLITICAL_LEANINGS },
+      bias_examples: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            dimension: { type: 'string', enum: BIAS_DIMENSIONS.map(dimension => dimension.key) },
+            quote: { type: 'string' }
+          },
+          required: ['dimension', 'quote'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['section_summary', 'key_claims', 'sourcing', 'sourcing_score', 'tone',
+      'credibility_score', 'political_leaning', 'bias_examples'],
+    additionalProperties: false
+  }
+};
+
+// Cross-outlet comparison of several analyses of the same story. Outlets are referred
+// to by their position in the prompt, starting at 1.
+const COMPARISON_SCHEMA = {
+  name: 'coverage_comparison',
+  schema: {
+    type: 'object',
+    properties: {
+      event_summary: { type: 'string' },
+      shared_facts: { type: 'array', items: { type: 'string' } },
+      outlets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            outlet: { type: 'integer' },
+            tone: { type: 'string' },
+            included_facts: { type: 'array', items: { type: 'string' } },
+            omitted_facts: { type: 'array', items: { type: 'string' } },
+            unique_claims: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['outlet', 'tone', 'included_facts', 'omitted_facts', 'unique_claims'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['event_summary', 'shared_facts', 'outlets'],
+    additionalProperties: false
+  }
+};
+
+// Copy of a JSON schema without the given keywords, for providers that reject them
+function adaptSchema(schema, unsupportedKeys) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => adaptSchema(item, unsupportedKeys));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const copy = {};
+  Object.keys(schema).forEach((key) => {
+    if (!unsupportedKeys.includes(key)) {
+      // Property names are data, not keywords, so never strip inside "properties" itself
+      copy[key] = key === 'properties'
+        ? Object.fromEntries(Object.entries(schema[key]).map(([name, value]) => [name, adaptSchema(value, unsupportedKeys)]))
+        : adaptSchema(schema[key], unsupportedKeys);
+    }
+  });
+  return copy;
+}
+
+// Errors carry a code like provider errors do, plus the individual issues for the repair prompt
+function outputError(message, code, issues) {
+  const error = new Error(message);
+  error.code = code;
+  error.issues = issues || [];
+  return error;
+}
+
+// Strict parse: structured output should be bare JSON, so anything else is a failure
+// that goes back to the model rather than being patched up here
+function parseModelJson(responseText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(responseText).trim());
+  } catch (error) {
+    throw outputError(`Response is not valid JSON: ${error.message}`, 'INVALID_JSON', [error.message]);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw outputError('Response is not a JSON object', 'INVALID_JSON', ['top level must be an object']);
+  }
+  return parsed;
+}
+
+// Validate and normalize a full analysis. Missing or wrong-typed required fields and
+// unknown enum values are errors and out-of-range scores are clamped. Fields switched off in
+// outputFields are not required and come back empty (claims []) or null (bias_dimensions).
+function validateAnalysis(data, outputFields) {
+  outputFields = outputFields || {};
+  const issues = [];
+  const result = { schema_version: ANALYSIS_SCHEMA_VERSION };
+
+  result.credibility_score = readScore(data, 'credibility_score', issues, true);
+
+  if (typeof data.reasoning_summary !== 'string' || !data.reasoning_summary.trim()) {
+    issues.push('reasoning_summary must be a non-empty string');
+  } else {
+    result.reasoning_summary = data.reasoning_summary.trim();
+  }
+
+  const confidence = readScore(data, 'confidence', issues, false);
+  result.confidence = confidence === null ? 75 : confidence;
+
+  result.political_leaning = readLeaning(data.political_leaning, 'political_leaning', issues);
+
+  if (outputFields.claims === false) {
+    result.claims = [];
+  } else {
+    if (data.claims !== undefined && !Array.isArray(data.claims)) {
+      issues.push('claims must be an array');
+    }
+    result.claims = normalizeClaims(data.claims);
+  }
+  result.bias_dimensions = outputFields.bias_dimensions === false
+    ? null
+    : readBiasDimensions(data.bias_dimensions, issues);
+
+  if (issues.length > 0) {
+    throw outputError(`Response failed validation: ${issues.join('; ')}`, 'INVALID_OUTPUT', issues);
+  }
+  return result;
+}
+
+// Validate the notes for one section; scores are clamped and fields defaulted since
+// the merge step only reads them as context
+function validateChunkNotes(data) {
+  const issues = [];
+  if (typeof data.section_summary !== 'string' || !data.section_summary.trim()) {
+    issues.push('section_summary must be a non-empty string');
+  }
+  if (data.key_claims !== undefined && !Array.isArray(data.key_claims)) {
+    issues.push('key_claims must be an array');
+  }
+  if (issues.length > 0) {
+    throw outputError(`Response failed validation: ${issues.join('; ')}`, 'INVALID_OUTPUT', issues);
+  }
+
+  const leaningIssues = [];
+  const leaning = readLeaning(data.political_leaning, 'political_leaning', leaningIssues);
+  return {
+    section_summary: data.section_summary.trim(),
+    key_claims: (data.key_claims || [])
+      .filter(claim => claim && typeof claim.quote === 'string' && claim.quote.trim())
+      .map(claim => ({ claim: String(claim.claim || claim.quote), quote: claim.quote })),
+    sourcing: typeof data.sourcing === 'string' ? data.sourcing : '',
+    sourcing_score: clampScore(data.sourcing_score),
+    tone: typeof data.tone === 'string' ? data.tone : '',
+    credibility_score: clampScore(data.credibility_score),
+    political_leaning: leaningIssues.length > 0 ? 'Neutral' : leaning,
+    bias_examples: (Array.isArray(data.bias_examples) ? data.bias_examples : [])
+      .filter(example => example && BIAS_DIMENSIONS.some(dimension => dimension.key === example.dimension) &&
+        typeof example.quote === 'string' && example.quote.trim())
+  };
+}
+
+// Every dimension needs a numeric score; summaries and examples are optional extras
+function readBiasDimensions(value, issues) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    issues.push('bias_dimensions must be an object with a score for each dimension');
+    return null;
+  }
+
+  const dimensions = {};
+  BIAS_DIMENSIONS.forEach(({ key }) => {
+    const entry = value[key];
+    if (!entry || typeof entry !== 'object') {
+      issues.push(`bias_dimensions.${key} is required`);
+      return;
+    }
+    const score = readScore(entry, 'score', issues, true);
+    dimensions[key] = {
+      score: score,
+      summary: typeof entry.summary === 'string' ? entry.summary.trim() : '',
+      examples: (Array.isArray(entry.examples) ? entry.examples : [])
+        .filter(example => typeof example === 'string' && example.trim())
+        .slice(0, BIAS_EXAMPLES_MAX)
+        .map(example => example.trim().substring(0, 300))
+    };
+  });
+  return dimensions;
+}
+
+// Validate a comparison for outletCount outlets. Entries for unknown outlet numbers are
+// dropped; outlets the model skipped get empty lists so the table still has a column.
+function validateComparison(data, outletCount) {
+  const issues = [];
+  if (!Array.isArray(data.outlets)) {
+    issues.push('outlets must be an array');
+  }
+  if (issues.length > 0) {
+    throw outputError(`Response failed validation: ${issues.join('; ')}`, 'INVALID_OUTPUT', issues);
+  }
+
+  const byOutlet = new Map();
+  data.outlets.forEach((entry) => {
+    if (entry && Number.isInteger(entry.outlet) && entry.outlet >= 1 && entry.outlet <= outletCount) {
+      byOutlet.set(entry.outlet, entry);
+    }
+  });
+
+  return {
+    event_summary: typeof data.event_summary === 'string' ? data.event_summary.trim() : '',
+    shared_facts: readStringList(data.shared_facts),
+    outlets: Array.from({ length: outletCount }, (unused, index) => {
+      const entry = byOutlet.get(index + 1) || {};
+      return {
+        tone: typeof entry.tone === 'string' ? entry.tone.trim() : '',
+        included_facts: readStringList(entry.included_facts),
+        omitted_facts: readStringList(entry.omitted_facts),
+        unique_claims: readStringList(entry.unique_claims)
+      };
+    })
+  };
+}
+
+function readStringList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+// Number in 0-100, rounded and clamped. Records an issue when required and absent or not numeric.
+function readScore(data, field, issues, required) {
+  const value = data[field];
+  if (value === undefined || value === null) {
+    if (required) {
+      issues.push(`${field} is required`);
+    }
+    return null;
+  }
+  if (typeof value !== 'number' || !isFinite(value)) {
+    issues.push(`${field} must be a number, got ${JSON.stringify(value)}`);
+    return null;
+  }
+  return clampScore(value);
+}
+
+function clampScore(value) {
+  const number = Number(value);
+  if (!isFinite(number)) {
+    return 0;
+  }
+  return Math.min(100, Math.max(0, Math.round(number)));
+}
+
+// Case-insensitive match against the leaning enum; absent means Neutral
+function readLeaning(value, field, issues) {
+  if (value === undefined || value === null || value === '') {
+    return 'Neutral';
+  }
+  const match = POLITICAL_LEANINGS.find(leaning => leaning.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) {
+    issues.push(`${field} must be one of ${POLITICAL_LEANINGS.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  return match;
+}
+
+// Drop claims without text and coerce unknown verdicts so the UI can rely on the shape
+function normalizeClaims(claims) {
+  if (!Array.isArray(claims)) {
+    return [];
+  }
+  return claims
+    .filter(claim => claim && (claim.claim || claim.quote))
+    .map((claim) => {
+      const verdict = String(claim.verdict || '').toLowerCase();
+      return {
+        claim: String(claim.claim || claim.quote),
+        quote: typeof claim.quote === 'string' ? claim.quote : '',
+        verdict: CLAIM_VERDICTS.includes(verdict) ? verdict : 'unsupported',
+        rationale: typeof claim.rationale === 'string' ? claim.rationale : ''
+      };
+    });
+}
+
+// Best-effort read of the top-level analysis fields from an answer that is still streaming
+// in, so the popup can show them early. Numbers and the leaning are taken once complete;
+// the summary grows as it arrives. The finished answer still goes through validateAnalysis().
+function extractPartialFields(text) {
+  const fields = {};
+
+  ['credibility_score', 'confidence'].forEach((field) => {
+    // A trailing delimiter proves the number is complete ("7" may still become "72")
+    const match = text.match(new RegExp(`"${field}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?)\\s*[,}\\n]`));
+    if (match) {
+      fields[field] = clampScore(match[1]);
+    }
+  });
+
+  const leaning = text.match(/"political_leaning"\s*:\s*"([^"]*)"/);
+  if (leaning) {
+    const match = POLITICAL_LEANINGS.find(value => value.toLowerCase() === leaning[1].trim().toLowerCase());
+    if (match) {
+      fields.political_leaning = match;
+    }
+  }
+
+  const summary = text.match(/"reasoning_summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (summary) {
+    // Drop an escape sequence cut off mid-way before decoding
+    const body = summary[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+      fields.reasoning_summary = JSON.parse(`"${body}"`);
+    } catch (error) {
+      fields.reasoning_summary = body;
+    }
+  }
+
+  return fields;
+}
+
+// Prompt asking the model to fix its own malformed output
+function buildRepairPrompt(originalPrompt, responseText, error) {
+  return `${originalPrompt}
+
+Your previous response could not be used:
+${error.issues.map(issue => `- ${issue}`).join('\n')}
+
+Previous response:
+${String(responseText).substring(0, 4000)}
+
+Return the corrected JSON object only, following the schema exactly.`;
+}
@@ -0,0 +1,227 @@
+// article-watch.js - Opt-in watching of analyzed articles for edits after publication
+// Loaded by the service worker via importScripts(), after history-store.js and cache.js.
+//
+// A watch keeps the article's text as it was when last checked. While the article is open,
+// a chrome.alarms tick (every watchIntervalMinutes) re-extracts it, and so does revisiting it.
+// When the text hash changes, the article is re-analyzed and a version is appended to its
+// history entry: the paragraphs added and removed, and the score, leaning and summary after
+// the change. versions[0] is the analysis the watch started from.
+
+const WATCH_STORAGE_KEY = 'articleWatches';
+const WATCH_ALARM = 'article-watch';
+
+// Reloading or revisiting a watched article re-checks it at most this often
+const WATCH_REVISIT_MIN_MS = 10 * 60 * 1000;
+
+// Diffs keep at most this many added and removed paragraphs each
+const WATCH_DIFF_MAX_PARAGRAPHS = 30;
+
+// Watched URLs being checked right now, so an alarm tick and a revisit don't both re-analyze
+const watchChecksInFlight = new Set();
+
+// The last pending write to the watch map; each one reads, changes and stores the whole map,
+// so they run one after another or a concurrent one (watching an article while an alarm tick
+// checks another) would be lost
+let watchWrites = Promise.resolve();
+
+// Watches by normalized URL: { url, historyId, contentHash, paragraphs, watchedAt,
+// lastCheckedAt, changedAt }
+async function getArticleWatches() {
+  const { [WATCH_STORAGE_KEY]: watches } = await chrome.storage.local.get({ [WATCH_STORAGE_KEY]: {} });
+  return watches;
+}
+
+function editArticleWatches(edit) {
+  const write = watchWrites.then(async () => {
+    const watches = await getArticleWatches();
+    edit(watches);
+    await chrome.storage.local.set({ [WATCH_STORAGE_KEY]: watches });
+  });
+  watchWrites = write.catch(() => {});
+  return write;
+}
+
+function saveArticleWatch(key, watch) {
+  return editArticleWatches((watches) => {
+    if (watch) {
+      watches[key] = watch;
+    } else {
+      delete watches[key];
+    }
+  });
+}
+
+// Store a watch after a check, unless it was unwatched while the check ran
+function updateArticleWatch(key, watch) {
+  return editArticleWatches((watches) => {
+    if (watches[key]) {
+      watches[key] = watch;
+    }
+  });
+}
+
+async function getArticleWatch(url) {
+  const watches = await getArticleWatches();
+  return watches[normalizeUrl(url)] || null;
+}
+
+// Start watching the article open in the tab, from its latest whole-article analysis in history
+async function watchArticle(tabId, url) {
+  const entry = (await getHistoryEntriesForUrl(url))
+    .find(candidate => candidate.sourceType === 'page' && candidate.analysis && !candidate.analysis.heuristic_only);
+  if (!entry) {
+    throw new Error('Analyze the whole article with a model before watching it');
+  }
+
+  const article = await extractArticleContent(tabId, 'article', 0);
+  if (!entry.versions) {
+    entry.versions = [createArticleVersion(entry.analysis, entry.timestamp, null)];
+    await putHistoryEntry(entry);
+  }
+
+  const watch = {
+    url: url,
+    historyId: entry.id,
+    contentHash: await hashText(article.text),
+    paragraphs: article.paragraphs,
+    watchedAt: Date.now(),
+    lastCheckedAt: Date.now(),
+    changedAt: null
+  };
+  await saveArticleWatch(normalizeUrl(url), watch);
+  await updateWatchAlarm();
+  return watch;
+}
+
+async function unwatchArticle(url) {
+  await saveArticleWatch(normalizeUrl(url), null);
+  await updateWatchAlarm();
+}
+
+// The periodic check only runs while something is watched. Re-created when the interval
+// setting changes; left alone otherwise, so a browser restart does not reset its schedule.
+async function updateWatchAlarm() {
+  const watches = await getArticleWatches();
+  if (Object.keys(watches).length === 0) {
+    await chrome.alarms.clear(WATCH_ALARM);
+    return;
+  }
+  const { watchIntervalMinutes } = await getSettings();
+  const existing = await chrome.alarms.get(WATCH_ALARM);
+  if (!existing || existing.periodInMinutes !== watchIntervalMinutes) {
+    await chrome.alarms.create(WATCH_ALARM, { periodInMinutes: watchIntervalMinutes });
+  }
+}
+
+// Alarm tick: check every watched article that is open in a tab. One failing check (its
+// history entry unreadable, storage full) does not stop the others.
+async function checkOpenWatchedArticles() {
+  const watches = await getArticleWatches();
+  const tabs = await chrome.tabs.query({});
+  for (const key of Object.keys(watches)) {
+    const tab = tabs.find(candidate => candidate.url && normalizeUrl(candidate.url) === key);
+    if (!tab) {
+      continue;
+    }
+    try {
+      await checkWatchedArticle(tab.id, key, watches[key]);
+    } catch (error) {
+      logError(`Watched article check failed for ${watches[key].url}:`, error);
+    }
+  }
+}
+
+// A watched article finished loading in a tab
+async function checkWatchOnVisit(tabId, url) {
+  const key = normalizeUrl(url);
+  const watches = await getArticleWatches();
+  const watch = watches[key];
+  if (watch && Date.now() - watch.lastCheckedAt >= WATCH_REVISIT_MIN_MS) {
+    await checkWatchedArticle(tabId, key, watch);
+  }
+}
+
+// Re-extract a watched article and, when its text changed, re-analyze it and add a version
+// to its history entry. Resolves to the new version, or null when nothing changed.
+async function checkWatchedArticle(tabId, key, watch) {
+  if (watchChecksInFlight.has(key)) {
+    return null;
+  }
+  watchChecksInFlight.add(key);
+
+  try {
+    let article;
+    try {
+      article = await extractArticleContent(tabId, 'article', 0);
+    } catch (error) {
+      logWarn('Could not re-extract watched article:', error.message);
+      return null;
+    }
+
+    const contentHash = await hashText(article.text);
+    watch.lastCheckedAt = Date.now();
+    if (contentHash === watch.contentHash) {
+      await updateArticleWatch(key, watch);
+      return null;
+    }
+
+    const entry = await getHistoryEntry(watch.historyId);
+    if (!entry) {
+      // The history entry was deleted, and with it the timeline
+      await unwatchArticle(watch.url);
+      return null;
+    }
+
+    logDebug(`Watched article changed: ${watch.url}`);
+    const diff = diffParagraphs(watch.paragraphs, article.paragraphs);
+    let data = null;
+    try {
+      data = (await analyzeArticle(article, watch.url, { sourceType: 'page', recordHistory: false })).data;
+    } catch (error) {
+      // The text change is still worth recording; the next analysis will catch up on the score
+      logWarn('Could not re-analyze watched article:', error.message);
+    }
+
+    const version = createArticleVersion(data, Date.now(), diff);
+    const versions = (entry.versions || [createArticleVersion(entry.analysis, entry.timestamp, null)]).concat([version]);
+    if (data && !data.heuristic_only) {
+      // The entry shows the latest analysis; earlier ones live on in versions
+      Object.assign(entry, createHistoryEntry(entry.url, data, entry.timestamp), { id: entry.id });
+      await rememberTabResult(tabId, watch.url, { data: data }, true);
+    }
+    entry.versions = versions;
+    await putHistoryEntry(entry);
+
+    Object.assign(watch, { contentHash: contentHash, paragraphs: article.paragraphs, changedAt: version.timestamp });
+    await updateArticleWatch(key, watch);
+    return version;
+  } finally {
+    watchChecksInFlight.delete(key);
+  }
+}
+
+// One point on an article's timeline. data is null when the re-analysis failed; diff is null
+// for the first version.
+function createArticleVersion(data, timestamp, diff) {
+  const analyzed = data && !data.heuristic_only;
+  return {
+    timestamp: timestamp,
+    score: analyzed ? data.credibility_score : null,
+    leaning: analyzed ? (data.political_leaning || null) : null,
+    confidence: analyzed && typeof data.confidence === 'number' ? data.confidence : null,
+    summary: analyzed ? data.reasoning_summary : '',
+    added: diff ? diff.added : [],
+    removed: diff ? diff.removed : []
+  };
+}
+
+// Paragraphs only in the new text (added) or only in the old (removed), in document order.
+// An edited paragraph shows up as one removed and one added.
+function diffParagraphs(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: after.filter(paragraph => !beforeSet.has(paragraph)).slice(0, WATCH_DIFF_MAX_PARAGRAPHS),
+    removed: before.filter(paragraph => !afterSet.has(paragraph)).slice(0, WATCH_DIFF_MAX_PARAGRAPHS)
+  };
+}
@@ -0,0 +1,118 @@
+// auto-analysis.js - Opt-in background analysis of article pages, toolbar badge and per-tab results
+// Loaded by the service worker via importScripts().
+
+// Pages shorter than this are treated as listings, landing pages or stubs
+const AUTO_MIN_WORDS = 250;
+const AUTO_MIN_PARAGRAPHS = 4;
+
+// Article-ish schema.org / Open Graph types
+const ARTICLE_TYPE_PATTERN = /article|posting|report|blog/i;
+
+// Paths that are almost never a single article
+const NON_ARTICLE_PATH_PATTERN = /^\/?$|^\/(search|tag|tags|topic|topics|category|categories|section|author|authors|login|signin|account|video|videos)(\/|$)/i;
+
+// The last pending spend of the daily budget (consumeAutoBudget)
+let autoBudgetWrites = Promise.resolve();
+
+// Decide from the URL alone whether a tab may be auto-analyzed, before touching the page
+function isAutoAnalysisCandidate(url, settings) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return false;
+  }
+  if (NON_ARTICLE_PATH_PATTERN.test(parsed.pathname)) {
+    return false;
+  }
+
+  const domain = parsed.hostname.replace(/^www\./, '');
+  if (domainInList(domain, settings.autoDenyDomains)) {
+    return false;
+  }
+  // An empty allow list means every domain not denied
+  return settings.autoAllowDomains.length === 0 || domainInList(domain, settings.autoAllowDomains);
+}
+
+// True when domain is one of the listed domains or a subdomain of one
+function domainInList(domain, list) {
+  return list.some(entry => domain === entry || domain.endsWith('.' + entry));
+}
+
+// Article-likeness check on the extracted page: declared article type, or enough body text
+function looksLikeArticle(article) {
+  if (!article || !article.text) {
+    return false;
+  }
+  const wordCount = article.text.split(/\s+/).filter(Boolean).length;
+  if (wordCount < AUTO_MIN_WORDS) {
+    return false;
+  }
+  return ARTICLE_TYPE_PATTERN.test(article.type || '') ||
+    (article.paragraphs.length >= AUTO_MIN_PARAGRAPHS && (article.hasByline || article.hasDate));
+}
+
+// Count one automatic provider request against today's budget. Returns false once spent.
+// Tabs that finish loading together each read and rewrite the count, so spending runs one
+// at a time or several could take the last unit.
+function consumeAutoBudget(dailyBudget) {
+  const spend = autoBudgetWrites.then(async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const { autoUsage } = await chrome.storage.local.get(['autoUsage']);
+    const used = autoUsage && autoUsage.date === today ? autoUsage.count : 0;
+
+    if (used >= dailyBudget) {
+      return false;
+    }
+    await chrome.storage.local.set({ autoUsage: { date: today, count: used + 1 } });
+    return true;
+  });
+  autoBudgetWrites = spend.catch(() => {});
+  return spend;
+}
+
+// Colored score on the toolbar icon for one tab
+async function setScoreBadge(tabId, analysisData) {
+  const score = analysisData.heuristic_only ? null : analysisData.credibility_score;
+  let color = '#9CA3AF';
+  if (typeof score === 'number') {
+    color = getScoreColor(score, await getSettings());
+  }
+
+  try {
+    await chrome.action.setBadgeText({ tabId: tabId, text: typeof score === 'number' ? String(score) : '?' });
+    await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: color });
+  } catch (error) {
+    // The tab was closed while the analysis ran
+  }
+}
+
+async function clearScoreBadge(tabId) {
+  try {
+    await chrome.action.setBadgeText({ tabId: tabId, text: '' });
+  } catch (error) {
+    // Tab already gone
+  }
+}
+
+// Latest result per tab, kept in session storage so the popup can show it on open.
+// Session storage survives service worker restarts but not the browser session.
+function tabResultKey(tabId) {
+  return `tabResult_${tabId}`;
+}
+
+async function storeTabResult(tabId, result) {
+  await chrome.storage.session.set({ [tabResultKey(tabId)]: result });
+}
+
+async function getTabResult(tabId) {
+  const stored = await chrome.storage.session.get([tabResultKey(tabId)]);
+  return stored[tabResultKey(tabId)] || null;
+}
+
+async function clearTabResult(tabId) {
+  await chrome.storage.session.remove(tabResultKey(tabId));
+}
@@ -0,0 +1,106 @@
+// cache.js - Analysis result cache keyed by normalized URL plus a hash of the article text
+// Loaded by the service worker via importScripts().
+
+// Query parameters that identify a campaign or click, not a different article
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_gl|ref|ref_src|ref_url|cmpid|ocid|smid|sr_share|share|spm|s_cid|ito|at_\w+)$/i;
+
+// Reduce a page URL to a stable key: prefer the page's canonical link, drop fragments,
+// tracking parameters, "www." and trailing slashes, and sort what remains.
+function normalizeUrl(url, canonicalUrl) {
+  let parsed;
+  try {
+    parsed = new URL(canonicalUrl && /^https?:/i.test(canonicalUrl) ? canonicalUrl : url);
+  } catch (error) {
+    return url;
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return `${host}${path}${search}`;
+}
+
+// The last pending write to the cache; each one reads, changes and stores the whole map, so
+// they run one after another or tabs finishing together (a comparison) would drop each
+// other's entries
+let cacheWrites = Promise.resolve();
+
+function editAnalysisCache(edit) {
+  const write = cacheWrites.then(async () => {
+    const { analysisCache = {} } = await chrome.storage.local.get(['analysisCache']);
+    edit(analysisCache);
+    await chrome.storage.local.set({ analysisCache: analysisCache });
+  });
+  cacheWrites = write.catch(() => {});
+  return write;
+}
+
+// SHA-256 of the extracted text, hex encoded
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Return a fresh cache entry for this article, or null. Entries that are expired or
+// whose article text has changed since they were stored are removed on the way.
+async function getCachedAnalysis(cacheKey, contentHash) {
+  const settings = await getSettings();
+  if (!settings.cacheTtlHours) {
+    return null; // Caching disabled
+  }
+
+  const { analysisCache = {} } = await chrome.storage.local.get(['analysisCache']);
+  const entry = analysisCache[cacheKey];
+  if (!entry) {
+    return null;
+  }
+
+  const expired = Date.now() - entry.timestamp > settings.cacheTtlHours * 3600 * 1000;
+  if (expired || entry.contentHash !== contentHash) {
+    await editAnalysisCache((cache) => {
+      // Unless a newer result was stored meanwhile
+      if (cache[cacheKey] && cache[cacheKey].timestamp === entry.timestamp) {
+        delete cache[cacheKey];
+      }
+    });
+    return null;
+  }
+
+  return entry;
+}
+
+// Store a result, evicting the oldest entries beyond the configured size limit
+async function setCachedAnalysis(cacheKey, contentHash, data) {
+  const settings = await getSettings();
+  if (!settings.cacheTtlHours) {
+    return;
+  }
+
+  await editAnalysisCache((analysisCache) => {
+    analysisCache[cacheKey] = {
+      contentHash: contentHash,
+      data: data,
+      timestamp: Date.now()
+    };
+
+    const keys = Object.keys(analysisCache)
+      .sort((a, b) => analysisCache[b].timestamp - analysisCache[a].timestamp);
+    keys.slice(Math.max(settings.cacheMaxEntries, 1)).forEach((key) => {
+      delete analysisCache[key];
+    });
+  });
+}
+
+function clearAnalysisCache() {
+  return editAnalysisCache((analysisCache) => {
+    Object.keys(analysisCache).forEach((key) => {
+      delete analysisCache[key];
+    });
+  });
+}
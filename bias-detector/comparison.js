@@ -0,0 +1,125 @@
+// comparison.js - Analyze several tabs covering the same story and compare their coverage
+// Loaded by the service worker via importScripts(). Each tab goes through the normal
+// analyzeTab() flow (cache, history, badge), then one extra model call compares them.
+
+// Tabs analyzed at once; each one may be several provider calls for long articles
+const COMPARE_CONCURRENCY = 2;
+// Article text per outlet in the comparison prompt
+const COMPARE_TEXT_TOKENS = 1200;
+
+// Run worker over items with at most limit calls in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+// tabs: [{ tabId, url, title }]. Resolves to { articles, comparison, notice? } where each
+// article is { tabId, url, title, data } or { tabId, url, title, error }, and comparison
+// holds the shared facts plus one entry per successfully analyzed article.
+async function compareTabs(tabs, onProgress) {
+  let completed = 0;
+  onProgress({ stage: 'compare-tabs', current: 0, total: tabs.length });
+
+  const articles = await mapWithConcurrency(tabs, COMPARE_CONCURRENCY, async (tab) => {
+    const article = { tabId: tab.tabId, url: tab.url, title: tab.title };
+    try {
+      const result = await analyzeTab(tab.tabId, tab.url, {});
+      await rememberTabResult(tab.tabId, tab.url, result, false);
+      article.data = result.data;
+    } catch (error) {
+      article.error = error.message;
+    }
+    completed++;
+    onProgress({ stage: 'compare-tabs', current: completed, total: tabs.length });
+    return article;
+  });
+
+  const analyzed = articles.filter(article => article.data && !article.data.heuristic_only);
+  if (analyzed.length < 2) {
+    return {
+      articles: articles,
+      comparison: null,
+      notice: 'At least two tabs need a full AI analysis to compare their coverage.'
+    };
+  }
+
+  onProgress({ stage: 'comparing', current: analyzed.length, total: analyzed.length });
+  try {
+    // Re-extracting is cheap and keeps analyzeTab() from having to hand back article text
+    const texts = await Promise.all(analyzed.map(async (article) => {
+      const extracted = await extractArticleContent(article.tabId);
+      return fitToTokenBudget(extracted.paragraphs, COMPARE_TEXT_TOKENS).text;
+    }));
+
+    const config = await getProviderConfig();
+    const provider = PROVIDERS[config.provider];
+    const comparison = await generateValidated(provider, buildComparisonPrompt(analyzed, texts),
+      Object.assign({}, config, GENERATION_SETTINGS), COMPARISON_SCHEMA,
+      data => validateComparison(data, analyzed.length));
+
+    analyzed.forEach((article, index) => {
+      article.coverage = comparison.outlets[index];
+    });
+
+    return {
+      articles: articles,
+      comparison: { event_summary: comparison.event_summary, shared_facts: comparison.shared_facts }
+    };
+  } catch (error) {
+    logError('Comparison error:', error);
+    return {
+      articles: articles,
+      comparison: null,
+      notice: `Each article was analyzed, but the comparison failed: ${error.message}`
+    };
+  }
+}
+
+function buildComparisonPrompt(articles, texts) {
+  const outlets = articles.map((article, index) => {
+    const data = article.data;
+    const info = data.article || {};
+    return `=== Outlet ${index + 1}: ${info.publisher || getDomain(article.url)} ===
+URL: ${article.url}
+Headline: ${info.headline || article.title || 'unknown'}
+Credibility score: ${data.credibility_score}/100, leaning: ${data.political_leaning}
+Assessment: ${data.reasoning_summary}
+Claims:
+${(data.claims || []).map(claim => `- ${claim.claim}`).join('\n') || '- none listed'}
+Article text (may be truncated):
+${texts[index]}`;
+  }).join('\n\n');
+
+  return `You are a media analyst comparing how ${articles.length} outlets covered the same news event.
+
+${outlets}
+
+Respond with ONLY a valid JSON object, no markdown and no other text, using this schema:
+{
+  "event_summary": "<one or two neutral sentences describing the event>",
+  "shared_facts": ["<fact reported by every or nearly every outlet>"],
+  "outlets": [
+    {
+      "outlet": <outlet number>,
+      "tone": "<short description of tone and framing compared with the others>",
+      "included_facts": ["<notable fact this outlet reports that some others do not>"],
+      "omitted_facts": ["<fact most others report that this outlet leaves out>"],
+      "unique_claims": ["<claim that appears only in this outlet>"]
+    }
+  ]
+}
+
+Include one "outlets" entry for every outlet, numbered as above. Keep each fact under 20 words
+and list at most 5 items per list. If the articles are clearly about different events, say so in event_summary.`;
+}
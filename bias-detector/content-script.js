@@ -1,67 +1,87 @@
-// content-script.js - Extracts article text from the current page
+// content-script.js - The extension's API inside web pages: extraction, highlights, the result panel
+// and link badges
 // This file runs in the context of web pages
 
-// Note: The actual content extraction is handled directly in service-worker.js
-// using chrome.scripting.executeScript for better control and reliability.
-// This file is included in the manifest to satisfy the content_scripts requirement
-// but the heavy lifting is done in the service worker.
-
-// This script can be used for future enhancements like:
-// - Real-time credibility indicators on the page
-// - Highlighting suspicious claims
-// - Adding badges to articles
+// Note: Article extraction lives in extractor.js, which the manifest loads before this file
+// (the offscreen document uses it too, for fetched links). The service worker never runs the
+// extractor itself; it sends one of the extraction messages below, and injects the content
+// scripts first on pages opened before the extension was installed.
 
 console.log('Credibility Analyzer: Content script loaded');
 
-// Listen for messages from the service worker if needed
+// The scripts before this one declare top-level constants, so running them twice in a page
+// throws. The service worker checks this flag before injecting them (sendToContentScript).
+window.__credibilityAnalyzerLoaded = true;
+
+// Extraction messages and what they read. Each request may carry minChars, the least text
+// worth analyzing; the response is { article } or { error: { code, message } } explaining
+// why there is nothing to analyze (see diagnoseExtraction in extractor.js).
+function runExtraction(action, minChars) {
+  const extract = {
+    extractArticle: extractPageArticle,
+    extractViewport: extractViewport,
+    extractSelection: extractSelection
+  }[action];
+  const article = extract(document);
+  const failure = diagnoseExtraction(article, minChars);
+  return failure ? { error: failure } : { article: article };
+}
+
+// Listen for messages from the service worker and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'extractContent') {
-    // Extract and return article content
-    const content = extractArticleText();
-    sendResponse({ content: content });
+  if (['extractArticle', 'extractViewport', 'extractSelection'].includes(request.action)) {
+    try {
+      sendResponse(runExtraction(request.action, request.minChars));
+    } catch (error) {
+      sendResponse({ error: { code: 'EXTRACTION_FAILED', message: `Failed to extract article content: ${error.message}` } });
+    }
+  } else if (request.action === 'highlightClaims') {
+    // Highlight claim quotes on the page (highlighter.js)
+    sendResponse({ located: highlightClaims(request.claims || []) });
+  } else if (request.action === 'scrollToClaim') {
+    sendResponse({ found: scrollToClaim(request.index) });
+  } else if (request.action === 'clearHighlights') {
+    clearHighlights();
+    sendResponse({ cleared: true });
+  } else if (request.action === 'showResultPanel') {
+    // Context-menu analyses of a selection or link (result-panel.js)
+    showResultPanel(request.state);
+    sendResponse({ shown: true });
+  } else if (request.action === 'updateLinkBadges') {
+    // A link queued from its badge was analyzed (link-badges.js)
+    updateLinkBadges(request.url, request.badge);
+    sendResponse({ updated: true });
   }
   return true;
 });
 
-// Helper function to extract article text
-function extractArticleText() {
-  // Try multiple common selectors for article content
-  const selectors = [
-    'article',
-    '[role="article"]',
-    'main article',
-    '.article-content',
-    '.post-content',
-    '.entry-content',
-    '.story-body',
-    '.article-body',
-    'main',
-    '.content'
-  ];
+// Single-page apps change route with history.pushState, which this isolated world cannot
+// hook, and then re-render. Compare the URL after back/forward and after DOM updates, and
+// tell the service worker when it changes so the tab's result is marked stale. Changes to
+// the #fragment alone stay on the same article.
+function watchRouteChanges() {
+  let lastUrl = location.href.split('#')[0];
 
-  let articleText = '';
-
-  for (const selector of selectors) {
-    const element = document.querySelector(selector);
-    if (element) {
-      articleText = element.innerText;
-      if (articleText.trim().length > 200) {
-        break; // Found substantial content
-      }
+  const checkUrl = () => {
+    const url = location.href.split('#')[0];
+    if (url === lastUrl) {
+      return;
     }
-  }
-
-  // Fallback to body if nothing substantial found
-  if (!articleText || articleText.trim().length < 200) {
-    articleText = document.body.innerText;
-  }
+    lastUrl = url;
+    // The highlights belong to the previous article
+    clearHighlights();
+    chrome.runtime.sendMessage({ action: 'pageNavigated', url: location.href }).catch(() => {
+      // Extension reloaded; this content script is orphaned
+    });
+  };
 
-  // Clean up the text
-  articleText = articleText
-    .replace(/\s+/g, ' ') // Normalize whitespace
-    .replace(/\n{3,}/g, '\n\n') // Remove excessive line breaks
-    .trim();
+  window.addEventListener('popstate', checkUrl);
+  new MutationObserver(checkUrl).observe(document, { childList: true, subtree: true });
+}
 
-  // Limit to first 5000 characters to avoid token limits
-  return articleText.substring(0, 5000);
-}
\ No newline at end of file
+// Frames share the tab's result, which follows the top-level page, and listings are decorated
+// from the top frame
+if (window === window.top) {
+  watchRouteChanges();
+  initLinkBadges();
+}
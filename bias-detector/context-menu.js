@@ -0,0 +1,195 @@
+// context-menu.js - Right-click analysis of a text selection or a linked article
+// Loaded by the service worker via importScripts(). Results are shown in the in-page panel
+// (result-panel.js) and saved to history with their source type; a selection's result also
+// becomes the tab's latest result for the popup.
+
+const CONTEXT_MENU_SELECTION = 'analyze-selection';
+const CONTEXT_MENU_LINK = 'analyze-link';
+
+// Shorter selections don't carry enough content to assess
+const MIN_SELECTION_CHARS = 40;
+
+// How long a linked page gets to answer and then to send its body; a page that never finishes
+// loading fails the analysis instead of holding up the link queue (link-scores.js)
+const LINK_FETCH_TIMEOUT_MS = 20000;
+
+// The offscreen document being created, shared by concurrent link analyses (the context menu
+// and the badge queue) since a second createDocument() call fails while one exists
+let offscreenDocumentReady = null;
+
+// Called from onInstalled; menus persist across service worker restarts
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_SELECTION,
+      title: 'Analyze selected text for credibility',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_LINK,
+      title: 'Analyze linked article for credibility',
+      contexts: ['link']
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === CONTEXT_MENU_SELECTION) {
+    runContextAnalysis(tab, 'selection', () => selectionToArticle(tab, info));
+  } else if (info.menuItemId === CONTEXT_MENU_LINK) {
+    runContextAnalysis(tab, 'link', () => fetchLinkedArticle(info.linkUrl));
+  }
+});
+
+// Shared flow: loading panel, build the article, analyze, then result or error panel
+async function runContextAnalysis(tab, sourceType, buildArticle) {
+  const label = sourceType === 'selection' ? 'selected text' : 'linked article';
+  await showResultPanel(tab.id, { status: 'loading', sourceType: sourceType, message: `Analyzing ${label}...` });
+
+  try {
+    const { article, url } = await buildArticle();
+    const options = { sourceType: sourceType };
+    if (sourceType === 'selection') {
+      // Selections of one page share its URL, so key them by their own text as well
+      options.cacheKey = `${normalizeUrl(url)}#selection-${(await hashText(article.text)).substring(0, 16)}`;
+      options.highlightTabId = tab.id;
+    }
+
+    const result = await analyzeArticle(article, url, options);
+    // A selection is part of the page, so it becomes the tab's result and badge. A linked
+    // article is another page: it stays in the panel and history, and the page keeps its own.
+    if (sourceType === 'selection') {
+      await rememberTabResult(tab.id, tab.url, result, false);
+    }
+    const scoreColor = result.data.heuristic_only ? null : getScoreColor(result.data.credibility_score, await getSettings());
+    await showResultPanel(tab.id, {
+      status: 'result',
+      sourceType: sourceType,
+      url: url,
+      data: result.data,
+      notice: result.notice,
+      scoreColor: scoreColor
+    });
+  } catch (error) {
+    logError('Context menu analysis error:', error);
+    await showResultPanel(tab.id, { status: 'error', sourceType: sourceType, message: describeError(error.message, error.code) });
+  }
+}
+
+// Prefer the live selection from the content script, which keeps line breaks; info.selectionText
+// is whitespace-collapsed and only a fallback for cross-origin frames and pages we cannot script
+async function selectionToArticle(tab, info) {
+  let paragraphs;
+  try {
+    paragraphs = (await extractArticleContent(tab.id, 'selection', 0)).paragraphs;
+  } catch (error) {
+    paragraphs = (info.selectionText || '').split(/\n+/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  const joined = paragraphs.join('\n\n');
+  if (joined.length < MIN_SELECTION_CHARS) {
+    throw new Error('Select at least a full sentence to analyze');
+  }
+
+  const url = info.pageUrl || tab.url;
+  return {
+    url: url,
+    article: {
+      headline: `"${joined.length > 80 ? joined.substring(0, 77).trim() + '...' : joined}"`,
+      author: '',
+      publisher: getDomain(url),
+      publishedTime: '',
+      modifiedTime: '',
+      canonicalUrl: '',
+      description: `Excerpt selected on ${tab.title || getDomain(url)}`,
+      type: 'Selected excerpt (not a full article)',
+      paragraphs: paragraphs,
+      text: joined,
+      linkCount: 0,
+      hasByline: false,
+      hasDate: false
+    }
+  };
+}
+
+// Fetch the link in the background and run the shared extractor on it in an offscreen
+// document, since service workers have no DOMParser. Cookies are not sent, so paywalled
+// pages yield only their public part.
+async function fetchLinkedArticle(linkUrl) {
+  if (!/^https?:\/\//i.test(linkUrl || '')) {
+    throw new Error('Only http(s) links can be analyzed');
+  }
+
+  const response = await fetchWithRetry(linkUrl, { credentials: 'omit', headers: { 'Accept': 'text/html' } }, {
+    timeoutMs: LINK_FETCH_TIMEOUT_MS
+  });
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !/html/i.test(contentType)) {
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    throw new Error(response.ok
+      ? `The link is not a web page (${contentType || 'unknown type'})`
+      : `Could not fetch the linked page (HTTP ${response.status})`);
+  }
+  const html = await readText(response, null, LINK_FETCH_TIMEOUT_MS);
+
+  // Redirects (shorteners, tracking links) end somewhere else
+  const finalUrl = response.url || linkUrl;
+  const { minArticleChars } = await getSettings();
+  const article = await extractHtmlOffscreen(html, finalUrl, minArticleChars);
+
+  article.publisher = article.publisher || getDomain(finalUrl);
+  article.canonicalUrl = article.canonicalUrl || finalUrl;
+  return { url: finalUrl, article: article };
+}
+
+// Rejects with the extractor's failure code when the page has too little text (see
+// diagnoseExtraction in extractor.js)
+async function extractHtmlOffscreen(html, url, minChars) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen', action: 'extractHtml', html: html, url: url, minChars: minChars
+  });
+  if (!response) {
+    throw providerError('Failed to extract article content: no response', 'EXTRACTION_FAILED');
+  }
+  if (response.error) {
+    // Without a code the extractor itself threw
+    throw response.code
+      ? providerError(response.error, response.code)
+      : providerError(`Failed to extract article content: ${response.error}`, 'EXTRACTION_FAILED');
+  }
+  return response.article;
+}
+
+function ensureOffscreenDocument() {
+  if (!offscreenDocumentReady) {
+    offscreenDocumentReady = (async () => {
+      const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+      if (contexts.length === 0) {
+        await chrome.offscreen.createDocument({
+          url: 'offscreen.html',
+          reasons: ['DOM_PARSER'],
+          justification: 'Extract article text from links fetched for analysis'
+        });
+      }
+    })().finally(() => {
+      // Later calls look again, in case the document has been closed since
+      offscreenDocumentReady = null;
+    });
+  }
+  return offscreenDocumentReady;
+}
+
+// Show the in-page panel; pages we cannot script (browser pages, the web store) fall
+// back to the popup, which reads the stored tab result
+async function showResultPanel(tabId, state) {
+  try {
+    await sendToContentScript(tabId, { action: 'showResultPanel', state: state });
+  } catch (error) {
+    if (state.status !== 'loading') {
+      chrome.action.openPopup().catch(() => {});
+    }
+  }
+}
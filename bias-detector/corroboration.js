@@ -0,0 +1,247 @@
+// corroboration.js - Find real sources for an article's claims through a search backend
+// Loaded by the service worker via importScripts(). Claims become search queries, the
+// results are fetched and reduced to text, and each page is scored by how closely its
+// sentences match the claims. Nothing here is written by the model, so every source
+// shown was actually retrieved.
+
+const CORROBORATION_MAX_CLAIMS = 3;
+const CORROBORATION_MAX_SOURCES = 6;
+const CORROBORATION_FETCH_TIMEOUT_MS = 8000;
+// Pages are cut to this many characters before scoring
+const CORROBORATION_MAX_PAGE_CHARS = 200000;
+
+// Below this share of matching claim terms a page is not counted as covering the claim
+const CORROBORATION_MIN_MATCH = 0.35;
+
+const QUERY_STOPWORDS = new Set(('a an and are as at be been but by for from had has have he her his i in is it its ' +
+  'of on or our said says she that the their them there they this to was we were what when which who will with would ' +
+  'you about after also into more most not over than then these those through under very').split(' '));
+
+// Words near a matching sentence that suggest the source disputes rather than repeats the claim
+const CONTRADICTION_PATTERN = /\b(false|falsely|untrue|no evidence|not true|debunk\w*|misleading|denied|denies|deny|disputed|refuted|incorrect|fabricated|hoax)\b/i;
+
+// Search for each important claim, fetch the results and score them against the claims.
+// Returns [{ title, source_url, snippet, corroboration_score, stance, claim, retrieved }].
+// Aborting signal (the analysis being cancelled) stops the fetches in flight and rejects
+// with code CANCELLED.
+async function corroborateClaims(claims, articleUrl, settings, signal) {
+  const checkable = claims
+    .filter(claim => claim.verdict !== 'opinion')
+    .slice(0, CORROBORATION_MAX_CLAIMS);
+  if (checkable.length === 0) {
+    return [];
+  }
+
+  const articleDomain = getDomain(articleUrl);
+  const candidates = new Map();
+
+  for (const claim of checkable) {
+    let results = [];
+    try {
+      results = await searchWeb(buildSearchQuery(claim.claim), settings, signal);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw cancelledError();
+      }
+      logWarn('Corroboration search failed:', error.message);
+      continue;
+    }
+    results.forEach((result) => {
+      // The article itself and its own site don't corroborate anything
+      if (!candidates.has(result.url) && getDomain(result.url) !== articleDomain) {
+        candidates.set(result.url, result);
+      }
+    });
+  }
+
+  const pages = await Promise.all(Array.from(candidates.values())
+    .slice(0, CORROBORATION_MAX_SOURCES)
+    .map(async (result) => {
+      try {
+        return Object.assign({ text: await fetchPageText(result.url, signal) }, result);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw cancelledError();
+        }
+        logWarn(`Could not fetch ${result.url}:`, error.message);
+        return null;
+      }
+    }));
+
+  return pages
+    .filter(Boolean)
+    .map(page => scoreSource(page, checkable))
+    .filter(Boolean)
+    .sort((a, b) => b.corroboration_score - a.corroboration_score);
+}
+
+// Significant words of a claim, in order, as a plain keyword query
+function buildSearchQuery(claimText) {
+  return tokenize(claimText)
+    .filter(word => !QUERY_STOPWORDS.has(word))
+    .slice(0, 10)
+    .join(' ');
+}
+
+// Query the configured backend. The endpoint may contain a {query} placeholder; otherwise
+// the query is appended as ?q=. Understands SearXNG, Google Custom Search, Brave and plain
+// [{ title, url, snippet }] responses.
+async function searchWeb(query, settings, signal) {
+  const endpoint = settings.searchEndpoint;
+  const url = endpoint.includes('{query}')
+    ? endpoint.replace('{query}', encodeURIComponent(query))
+    : `${endpoint}${endpoint.includes('?') ? '&' : '?'}q=${encodeURIComponent(query)}`;
+
+  const data = await fetchWithTimeout(url, { headers: { 'Accept': 'application/json' } }, signal, (response) => {
+    if (!response.ok) {
+      throw new Error(`Search backend returned ${response.status}`);
+    }
+    return response.json();
+  });
+
+  const items = Array.isArray(data) ? data
+    : data.results || data.items || (data.web && data.web.results) || [];
+
+  return items
+    .map(item => ({
+      title: item.title || '',
+      url: item.url || item.link || '',
+      snippet: item.snippet || item.content || item.description || ''
+    }))
+    .filter(item => isPublicWebUrl(item.url))
+    .slice(0, settings.searchMaxResults);
+}
+
+async function fetchPageText(url, signal) {
+  const { contentType, body } = await fetchWithTimeout(url, { headers: { 'Accept': 'text/html' } }, signal, async (response) => {
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return {
+      contentType: response.headers.get('content-type') || '',
+      body: (await response.text()).substring(0, CORROBORATION_MAX_PAGE_CHARS)
+    };
+  });
+  return /html/i.test(contentType) ? htmlToText(body) : body;
+}
+
+// fetch() and read(response) under one deadline, so a server that sends its headers and
+// then stalls the body still times out. Resolves to what read() returns. The caller's
+// signal aborts the same controller.
+async function fetchWithTimeout(url, options, signal, read) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+  const controller = new AbortController();
+  const stopListening = onSignalAbort(signal, () => controller.abort());
+  const timer = setTimeout(() => controller.abort(), CORROBORATION_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, Object.assign({ signal: controller.signal, credentials: 'omit' }, options));
+    return await read(response);
+  } finally {
+    clearTimeout(timer);
+    stopListening();
+    // Releases the connection when read() gave up before the body
+    controller.abort();
+  }
+}
+
+// Service workers have no DOMParser, so reduce HTML to text with a few regex passes:
+// drop non-content elements, turn block boundaries into newlines, strip tags, decode entities
+function htmlToText(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|nav|header|footer|aside|form|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?(p|div|li|h[1-6]|br|tr|section|article|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&ldquo;|&rdquo;/g, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Best-matching sentence across the claims for one page. The score is the share of the
+// claim's significant words found in that sentence; pages matching no claim are dropped.
+function scoreSource(page, claims) {
+  const sentences = page.text
+    .split(/\n|(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= 30 && sentence.length <= 600);
+
+  let best = null;
+  claims.forEach((claim) => {
+    const terms = new Set(tokenize(claim.claim).filter(word => !QUERY_STOPWORDS.has(word)));
+    if (terms.size === 0) return;
+
+    sentences.forEach((sentence) => {
+      const words = new Set(tokenize(sentence));
+      let matched = 0;
+      terms.forEach((term) => {
+        if (words.has(term)) matched++;
+      });
+      const match = matched / terms.size;
+      if (!best || match > best.match) {
+        best = { match: match, sentence: sentence, claim: claim };
+      }
+    });
+  });
+
+  if (!best || best.match < CORROBORATION_MIN_MATCH) {
+    return null;
+  }
+
+  const contradicts = CONTRADICTION_PATTERN.test(best.sentence) && !CONTRADICTION_PATTERN.test(best.claim.claim);
+  return {
+    title: page.title || getDomain(page.url),
+    source_url: page.url,
+    snippet: best.sentence.substring(0, 300),
+    corroboration_score: Math.round(best.match * 100),
+    stance: contradicts ? 'contradicts' : best.match >= 0.6 ? 'supports' : 'mentions',
+    claim: best.claim.claim,
+    retrieved: true
+  };
+}
+
+// http(s) URLs on public hosts. Search results are fetched with the extension's host
+// permissions, so a result pointing at this machine or the local network (routers, intranet
+// pages, local servers) is never followed. Hosts are judged by name and address literal only.
+function isPublicWebUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return false;
+  }
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (!host.includes('.') && !host.includes(':')) {
+    return false; // localhost and other single-label intranet names
+  }
+  if (/\.(?:localhost|local|internal|lan|home\.arpa)$/.test(host)) {
+    return false;
+  }
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return !(a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168));
+  }
+  // IPv6: unspecified, loopback, IPv4-mapped, unique local (fc00::/7) and link-local (fe80::/10)
+  return !/^(?:::1?|::ffff:.*|f[cd][0-9a-f]{0,2}:.*|fe[89ab][0-9a-f]?:.*)$/.test(host);
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[a-z0-9À-ɏ]+(?:'[a-z]+)?/g) || [];
+}
@@ -0,0 +1,377 @@
+// extractor.js - Readability-style article extraction with structured metadata
+// Runs in page context: listed before content-script.js in the manifest, which answers the
+// service worker's extraction messages with it, and loaded by the offscreen document for
+// fetched links.
+//
+// Every extraction has the same shape: the metadata from extractMetadata() plus scope
+// ('article', 'viewport' or 'selection'), paragraphs, text, the link and byline signals
+// heuristics.js reads, isAmp and paywalled.
+
+// Extract the main article body plus headline/author/dates/publisher metadata from a document.
+// pageUrl is only needed for parsed documents (DOMParser), which have no location of their own.
+function extractArticle(doc, pageUrl) {
+  const location = doc.location || (pageUrl ? new URL(pageUrl) : null);
+  const jsonLd = findArticleJsonLd(doc);
+  const openGraph = collectOpenGraph(doc);
+  const metadata = extractMetadata(doc, jsonLd, openGraph, location);
+
+  const root = doc.body.cloneNode(true);
+  removeBoilerplate(root);
+
+  const candidate = findBestCandidate(root) || root;
+  let paragraphs = collectParagraphs(candidate);
+
+  // Fall back to the whole cleaned body when scoring found nothing substantial
+  if (paragraphs.join(' ').length < 200) {
+    paragraphs = collectParagraphs(root);
+  }
+  if (paragraphs.join(' ').length < 200) {
+    paragraphs = (root.textContent || '')
+      .split(/\n+/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 40);
+  }
+
+  const pageHost = location ? location.hostname : '';
+
+  return Object.assign(metadata, {
+    scope: 'article',
+    paragraphs: paragraphs,
+    text: paragraphs.join('\n\n'),
+    linkCount: countExternalLinks([candidate], pageHost),
+    hasByline: !!metadata.author,
+    hasDate: !!metadata.publishedTime,
+    isAmp: isAmpDocument(doc),
+    paywalled: detectPaywall(doc, jsonLd, openGraph),
+    jsonLd: jsonLd,
+    openGraph: openGraph
+  });
+}
+
+// The live page's article. Some sites render the story inside a same-origin iframe (embedded
+// CMS views, reader wrappers); when a frame holds more article text than the page, its text
+// is used, with the page's metadata and the frame's filling any gaps.
+function extractPageArticle(doc) {
+  const page = extractArticle(doc);
+  let best = page;
+  findReadableFrames(doc).forEach((frameDoc) => {
+    const framed = extractArticle(frameDoc);
+    if (framed.text.length > best.text.length) {
+      best = framed;
+    }
+  });
+  if (best === page) {
+    return page;
+  }
+
+  ['headline', 'author', 'publishedTime', 'modifiedTime', 'publisher', 'canonicalUrl', 'description', 'type']
+    .forEach((key) => {
+      best[key] = page[key] || best[key];
+    });
+  best.hasByline = !!best.author;
+  best.hasDate = !!best.publishedTime;
+  best.paywalled = best.paywalled || page.paywalled;
+  return best;
+}
+
+// Only the text blocks at least partly on screen, for live blogs, feeds and long pages where
+// the part being read is what matters. Uses the page's metadata.
+function extractViewport(doc) {
+  const view = doc.defaultView;
+  const jsonLd = findArticleJsonLd(doc);
+  const openGraph = collectOpenGraph(doc);
+  const metadata = extractMetadata(doc, jsonLd, openGraph, doc.location);
+  const blocks = [];
+
+  doc.body.querySelectorAll('p, h1, h2, h3, h4, blockquote, li, pre, td').forEach((block) => {
+    // Nested matches are covered by the outer block
+    if (block.parentElement && block.parentElement.closest('p, blockquote, li, pre, td')) {
+      return;
+    }
+    const rect = block.getBoundingClientRect();
+    if (rect.height === 0 || rect.bottom <= 0 || rect.top >= view.innerHeight) {
+      return;
+    }
+    if (block.closest('nav, header, footer, aside, [role="navigation"], [aria-hidden="true"]')) {
+      return;
+    }
+    if (block.textContent.replace(/\s+/g, ' ').trim().length >= 20) {
+      blocks.push(block);
+    }
+  });
+
+  const paragraphs = blocks.map(block => block.textContent.replace(/\s+/g, ' ').trim());
+  return Object.assign(metadata, {
+    scope: 'viewport',
+    paragraphs: paragraphs,
+    text: paragraphs.join('\n\n'),
+    linkCount: countExternalLinks(blocks, doc.location.hostname),
+    hasByline: !!metadata.author,
+    hasDate: !!metadata.publishedTime,
+    isAmp: isAmpDocument(doc),
+    paywalled: detectPaywall(doc, jsonLd, openGraph),
+    jsonLd: jsonLd,
+    openGraph: openGraph
+  });
+}
+
+// The text selected in the page or in one of its same-origin frames, line breaks kept as
+// paragraph breaks, with the page's metadata
+function extractSelection(doc) {
+  const selected = [doc].concat(findReadableFrames(doc))
+    .map(frameDoc => (frameDoc.getSelection() || '').toString())
+    .find(text => text.trim()) || '';
+  const jsonLd = findArticleJsonLd(doc);
+  const openGraph = collectOpenGraph(doc);
+  const metadata = extractMetadata(doc, jsonLd, openGraph, doc.location);
+  const paragraphs = selected.split(/\n+/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  return Object.assign(metadata, {
+    scope: 'selection',
+    paragraphs: paragraphs,
+    text: paragraphs.join('\n\n'),
+    linkCount: 0,
+    hasByline: !!metadata.author,
+    hasDate: !!metadata.publishedTime,
+    isAmp: isAmpDocument(doc),
+    paywalled: false,
+    jsonLd: jsonLd,
+    openGraph: openGraph
+  });
+}
+
+// Why an extraction cannot be analyzed, as { code, message }, or null when it can.
+// minChars is the least text worth sending to the model.
+function diagnoseExtraction(article, minChars) {
+  const length = article.text.trim().length;
+  if (length === 0) {
+    if (article.scope === 'selection') {
+      return { code: 'NO_SELECTION', message: 'No text is selected on this page' };
+    }
+    return {
+      code: 'NO_TEXT',
+      message: article.scope === 'viewport' ? 'No readable text is visible on screen' : 'No readable text was found on this page'
+    };
+  }
+  if (length >= (minChars || 0)) {
+    return null;
+  }
+  if (article.paywalled) {
+    return {
+      code: 'PAYWALLED',
+      message: `This article appears to be behind a paywall: only ${length} characters of it are on the page`
+    };
+  }
+  return {
+    code: 'TOO_SHORT',
+    message: `Only ${length} characters of ${article.scope === 'selection' ? 'selected' : 'article'} text were found, fewer than the ${minChars} needed`
+  };
+}
+
+// Documents of same-origin frames. Cross-origin frames throw or return null on access and
+// are skipped; the browser does not let a page script read them.
+function findReadableFrames(doc) {
+  const documents = [];
+  doc.querySelectorAll('iframe, frame').forEach((frame) => {
+    try {
+      const frameDoc = frame.contentDocument;
+      if (frameDoc && frameDoc.body) {
+        documents.push(frameDoc);
+      }
+    } catch (error) {
+      // Cross-origin
+    }
+  });
+  return documents;
+}
+
+// AMP pages mark the root element with amp or ⚡ and wrap content in amp-* elements
+function isAmpDocument(doc) {
+  const root = doc.documentElement;
+  return !!root && (root.hasAttribute('amp') || root.hasAttribute('\u26A1'));
+}
+
+// Whether the page says the article is (partly) behind a paywall: schema.org
+// isAccessibleForFree, the article:content_tier meta tag, or common paywall markup
+function detectPaywall(doc, jsonLd, openGraph) {
+  const ld = jsonLd || {};
+  const parts = [].concat(ld.hasPart || []);
+  if ([ld].concat(parts).some(item => item && String(item.isAccessibleForFree).toLowerCase() === 'false')) {
+    return true;
+  }
+  if (['locked', 'metered'].includes((openGraph['article:content_tier'] || '').toLowerCase())) {
+    return true;
+  }
+  return !!doc.querySelector([
+    '[class*="paywall"]', '[id*="paywall"]', '[class*="Paywall"]', '[data-paywall]', '[class*="regwall"]',
+    '.tp-modal', '.tp-container-inner', '[class*="piano-"]', '[class*="subscriber-only"]',
+    '[subscriptions-section="content-not-granted"]'
+  ].join(','));
+}
+
+function countExternalLinks(containers, pageHost) {
+  return containers.reduce((count, container) => count + Array.from(container.querySelectorAll('a[href^="http"]'))
+    .filter(link => link.hostname && link.hostname !== pageHost).length, 0);
+}
+
+// Headline, author, dates, publisher and canonical URL, preferring JSON-LD over OpenGraph over markup
+function extractMetadata(doc, jsonLd, openGraph, location) {
+  const meta = (selector) => {
+    const element = doc.querySelector(selector);
+    return element ? (element.getAttribute('content') || '').trim() : '';
+  };
+  const text = (selector) => {
+    const element = doc.querySelector(selector);
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  };
+
+  const ld = jsonLd || {};
+  const canonical = doc.querySelector('link[rel="canonical"]');
+  const time = doc.querySelector('time[datetime]');
+
+  return {
+    headline: ld.headline || openGraph['og:title'] || text('h1') || doc.title || '',
+    author: jsonLdNames(ld.author) || meta('meta[name="author"]') || meta('meta[property="article:author"]') ||
+      text('[rel="author"]') || text('[itemprop="author"]') || text('.byline') || '',
+    publishedTime: ld.datePublished || openGraph['article:published_time'] ||
+      meta('meta[itemprop="datePublished"]') || (time ? time.getAttribute('datetime') : '') || '',
+    modifiedTime: ld.dateModified || openGraph['article:modified_time'] || openGraph['og:updated_time'] || '',
+    publisher: jsonLdNames(ld.publisher) || openGraph['og:site_name'] || (location ? location.hostname : ''),
+    canonicalUrl: (canonical && canonical.href) || openGraph['og:url'] || (location ? location.href : ''),
+    description: ld.description || openGraph['og:description'] || meta('meta[name="description"]') || '',
+    type: (ld['@type'] && String(ld['@type'])) || openGraph['og:type'] || ''
+  };
+}
+
+// Find the first schema.org Article-like object across all JSON-LD blocks (including @graph)
+function findArticleJsonLd(doc) {
+  const articleTypes = /^(?:Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BlogPosting|ScholarlyArticle|WebPage)$/;
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  let fallback = null;
+
+  for (const script of scripts) {
+    let parsed;
+    try {
+      parsed = JSON.parse(script.textContent);
+    } catch (error) {
+      continue; // Malformed JSON-LD is common; skip it
+    }
+
+    const queue = Array.isArray(parsed) ? parsed.slice() : [parsed];
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item['@graph'])) {
+        queue.push(...item['@graph']);
+      }
+      const types = [].concat(item['@type'] || []);
+      if (types.some(type => articleTypes.test(type))) {
+        // Prefer a real article over a generic WebPage
+        if (!types.includes('WebPage')) {
+          return item;
+        }
+        fallback = fallback || item;
+      }
+    }
+  }
+
+  return fallback;
+}
+
+function jsonLdNames(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(jsonLdNames).filter(Boolean).join(', ');
+  return value.name || '';
+}
+
+function collectOpenGraph(doc) {
+  const openGraph = {};
+  doc.querySelectorAll('meta[property^="og:"], meta[property^="article:"]').forEach((element) => {
+    const property = element.getAttribute('property');
+    if (!(property in openGraph)) {
+      openGraph[property] = element.getAttribute('content') || '';
+    }
+  });
+  return openGraph;
+}
+
+// Strip navigation, ads, comments, share bars and related-link blocks from a cloned body
+function removeBoilerplate(root) {
+  root.querySelectorAll([
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+    'nav', 'header', 'footer', 'aside', '[role="navigation"]', '[role="banner"]',
+    '[role="complementary"]', '[role="contentinfo"]', '[aria-hidden="true"]', '[hidden]',
+    // AMP chrome, and the subscribe prompts AMP paywalls show in place of the locked text
+    'amp-ad', 'amp-embed', 'amp-sticky-ad', 'amp-sidebar', 'amp-consent', 'amp-analytics',
+    'amp-user-notification', 'amp-geo', '[subscriptions-section="content-not-granted"]',
+    '[subscriptions-dialog]', '[subscriptions-actions]'
+  ].join(',')).forEach(element => element.remove());
+
+  const unlikely = /comment|share|social|related|recommend|promo|advert|\bads?\b|\bad-|sponsor|sidebar|newsletter|subscribe|signup|popup|modal|cookie|banner|outbrain|taboola|breadcrumb|pagination|menu|masthead|footer|nav/i;
+  const maybe = /article|body|content|main|story|entry|post|text/i;
+
+  root.querySelectorAll('div, section, ul, ol, span, p, figure').forEach((element) => {
+    const hint = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+    if (unlikely.test(hint) && !maybe.test(hint) && element.parentNode) {
+      element.remove();
+    }
+  });
+}
+
+// Score container elements by the paragraph text they hold, discounted by link density
+function findBestCandidate(root) {
+  const scores = new Map();
+
+  root.querySelectorAll('p, pre, blockquote, td').forEach((paragraph) => {
+    const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length < 25) return;
+
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = paragraph.parentElement;
+    const grandparent = parent && parent.parentElement;
+
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + points);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity(element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+
+  return best;
+}
+
+function linkDensity(element) {
+  const textLength = element.textContent.length || 1;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((total, link) => total + link.textContent.length, 0);
+  return linkLength / textLength;
+}
+
+// Readable blocks in document order, skipping link lists and tiny fragments
+function collectParagraphs(container) {
+  const blocks = container.querySelectorAll('p, h2, h3, h4, blockquote, li, pre');
+  const paragraphs = [];
+
+  blocks.forEach((block) => {
+    // Nested matches (a <p> inside a <blockquote>) are covered by the outer block
+    if (block.parentElement && block.parentElement.closest('blockquote, li') &&
+        container.contains(block.parentElement.closest('blockquote, li'))) {
+      return;
+    }
+    const text = block.textContent.replace(/\s+/g, ' ').trim();
+    const isHeading = /^H\d$/.test(block.tagName);
+    if (text.length < (isHeading ? 10 : 30)) return;
+    if (linkDensity(block) > 0.5) return;
+    paragraphs.push(text);
+  });
+
+  return paragraphs;
+}
@@ -0,0 +1,159 @@
+// heuristics.js - Offline, deterministic credibility baseline computed from the article text
+// Loaded by the service worker via importScripts(). No network access, same input -> same score.
+
+// Sensational or loaded words that rarely appear in straight news reporting
+const LOADED_WORDS = [
+  'shocking', 'outrageous', 'bombshell', 'explosive', 'slams', 'destroys', 'obliterates',
+  'blasts', 'unbelievable', 'incredible', 'horrific', 'disgraceful', 'disgusting', 'evil',
+  'radical', 'insane', 'catastrophic', 'devastating', 'furious', 'meltdown', 'chaos',
+  'corrupt', 'traitor', 'scandalous', 'stunning', 'jaw-dropping', 'mind-blowing', 'epic',
+  'crisis', 'disaster', 'terrifying', 'humiliating', 'brutal', 'savage', 'nightmare'
+];
+
+// Phrases that attribute claims to nobody in particular
+const VAGUE_SOURCING_PATTERNS = [
+  /\bsources (?:say|said|claim|claimed|tell|told)\b/gi,
+  /\b(?:some|many) (?:people|experts|observers|critics) (?:say|said|believe|think)\b/gi,
+  /\bpeople are saying\b/gi,
+  /\bit is (?:widely )?(?:believed|said|rumou?red)\b/gi,
+  /\breportedly\b/gi,
+  /\banonymous sources?\b/gi,
+  /\baccording to (?:some|reports|rumou?rs)\b/gi
+];
+
+const ATTRIBUTION_PATTERN = /\b(?:said|says|told|stated|explained|wrote|according to|added|noted)\b/i;
+const CITATION_PATTERN = /\b(?:according to|study|studies|report(?:ed)? by|data (?:from|show)|survey|published in|research(?:ers)?|analysis by|figures from)\b|https?:\/\/\S+/gi;
+const DATE_PATTERN = /\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.? \d{1,2},? \d{4}\b|\b\d{4}-\d{2}-\d{2}\b/i;
+const BYLINE_PATTERN = /^\s*[Bb]y\s+[A-Z][a-z]+(?:\s+[A-Z][a-z'-]+)+/m;
+
+// Compute the baseline. pageSignals carries DOM-only facts the text cannot show
+// (linkCount, hasByline, hasDate); anything missing is inferred from the text.
+function computeHeuristicScore(text, pageSignals = {}) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const wordCount = Math.max(words.length, 1);
+  const per1000 = (count) => (count / wordCount) * 1000;
+  const sentences = text.split(/[.!?]+(?:\s|$)/).filter(s => s.trim().length > 0);
+  const sentenceCount = Math.max(sentences.length, 1);
+
+  // Citations: in-article links plus textual references to studies, reports, data
+  const textCitations = (text.match(CITATION_PATTERN) || []).length;
+  const citationDensity = per1000(textCitations + (pageSignals.linkCount || 0));
+
+  // Quote attribution: how many quotations have a speaker nearby
+  const quotes = text.match(/["“][^"“”]{15,}["”]/g) || [];
+  let attributedQuotes = 0;
+  let searchFrom = 0;
+  quotes.forEach((quote) => {
+    const index = text.indexOf(quote, searchFrom);
+    searchFrom = index + quote.length;
+    const context = text.substring(Math.max(0, index - 80), index + quote.length + 80);
+    if (ATTRIBUTION_PATTERN.test(context)) {
+      attributedQuotes++;
+    }
+  });
+  const quoteAttribution = quotes.length > 0 ? attributedQuotes / quotes.length : null;
+
+  // Loaded language
+  const lowerWords = words.map(w => w.toLowerCase().replace(/[^a-z-]/g, ''));
+  const loadedHits = lowerWords.filter(w => LOADED_WORDS.includes(w));
+  const loadedDensity = per1000(loadedHits.length);
+
+  // Shouting: all-caps words (4+ letters, so most acronyms are ignored) and exclamations
+  const capsWords = words.filter(w => /^[A-Z]{4,}[!?.,]*$/.test(w)).length;
+  const capsRatio = capsWords / wordCount;
+  const exclamations = (text.match(/!/g) || []).length;
+  const exclamationRate = exclamations / sentenceCount;
+
+  // Vague "sources say" phrasing
+  const vagueSourcing = VAGUE_SOURCING_PATTERNS
+    .reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+
+  // Byline / date presence
+  const hasByline = pageSignals.hasByline !== undefined ? pageSignals.hasByline : BYLINE_PATTERN.test(text);
+  const hasDate = pageSignals.hasDate !== undefined ? pageSignals.hasDate : DATE_PATTERN.test(text);
+
+  const readingEase = fleschReadingEase(words, sentenceCount);
+
+  // Combine signals, starting from a neutral 50
+  let score = 50;
+  const notes = [];
+
+  score += Math.min(citationDensity * 2, 20);
+  if (citationDensity < 1) {
+    notes.push('Few citations or links to sources');
+  }
+
+  if (quoteAttribution !== null) {
+    score += (quoteAttribution - 0.5) * 20;
+    if (quoteAttribution < 0.5) {
+      notes.push('Most quotes are not attributed to a named speaker');
+    }
+  }
+
+  score -= Math.min(loadedDensity * 3, 20);
+  if (loadedHits.length > 0) {
+    const examples = Array.from(new Set(loadedHits)).slice(0, 4).join(', ');
+    notes.push(`Loaded or sensational wording (${examples})`);
+  }
+
+  score -= Math.min(capsRatio * 400, 10);
+  score -= Math.min(exclamationRate * 40, 10);
+  if (capsRatio > 0.01 || exclamationRate > 0.1) {
+    notes.push('Heavy use of capitals or exclamation marks');
+  }
+
+  score -= Math.min(per1000(vagueSourcing) * 4, 15);
+  if (vagueSourcing > 0) {
+    notes.push(`${vagueSourcing} vague attribution${vagueSourcing === 1 ? '' : 's'} ("sources say", "reportedly")`);
+  }
+
+  score += hasByline ? 5 : -5;
+  score += hasDate ? 5 : -5;
+  if (!hasByline) notes.push('No byline found');
+  if (!hasDate) notes.push('No publication date found');
+
+  // Both very dense and very simplistic prose lower the baseline slightly
+  if (readingEase < 20 || readingEase > 85) {
+    score -= 5;
+    notes.push(readingEase < 20 ? 'Very hard to read' : 'Unusually simplistic prose');
+  }
+
+  return {
+    score: Math.round(Math.max(0, Math.min(100, score))),
+    signals: {
+      wordCount: words.length,
+      citationDensity: round1(citationDensity),
+      quoteAttribution: quoteAttribution === null ? null : round1(quoteAttribution * 100),
+      loadedWordDensity: round1(loadedDensity),
+      capsRatio: round1(capsRatio * 100),
+      exclamationRate: round1(exclamationRate * 100),
+      vagueSourcing: vagueSourcing,
+      hasByline: hasByline,
+      hasDate: hasDate,
+      readingEase: round1(readingEase)
+    },
+    notes: notes
+  };
+}
+
+// Flesch reading ease with a vowel-group syllable estimate (good enough for English news copy)
+function fleschReadingEase(words, sentenceCount) {
+  if (words.length === 0) {
+    return 0;
+  }
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+  return 206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * (syllables / words.length);
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) {
+    return 1;
+  }
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,329 @@
+// highlighter.js - Highlights analyzed claims on the live page with hover tooltips
+// Loaded as a content script before content-script.js, which routes messages to it.
+
+const CLAIM_VERDICT_LABELS = {
+  supported: 'Supported',
+  unsupported: 'Unsupported',
+  disputed: 'Disputed',
+  opinion: 'Opinion'
+};
+
+// Elements we never search inside or wrap
+const HIGHLIGHT_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'svg']);
+// Elements whose text is kept apart from their neighbours', so a quote never matches across
+// the end of one paragraph and the start of the next
+const HIGHLIGHT_BLOCK_SELECTOR = 'p, div, li, dd, dt, h1, h2, h3, h4, h5, h6, blockquote, pre, figcaption, ' +
+  'td, th, caption, section, article, aside, header, footer, nav, main, form, fieldset, table, ul, ol, dl';
+
+let activeClaims = [];
+// Indexes of the claims found on the page, the only ones worth restoring after a re-render
+let trackedClaimIndexes = [];
+let highlightObserver = null;
+let reapplyTimer = null;
+
+// Highlight each claim's quote on the page. Returns, per claim, whether it was found.
+function highlightClaims(claims) {
+  clearHighlights();
+  activeClaims = claims;
+  injectHighlightStyles();
+
+  trackedClaimIndexes = markClaims(claims.map((claim, index) => index));
+  const located = claims.map((claim, index) => trackedClaimIndexes.includes(index));
+
+  if (trackedClaimIndexes.length > 0) {
+    showHighlightControls();
+    watchForReflow();
+  }
+
+  return located;
+}
+
+// Remove every highlight, the tooltip and the floating control
+function clearHighlights() {
+  if (highlightObserver) {
+    highlightObserver.disconnect();
+    highlightObserver = null;
+  }
+  clearTimeout(reapplyTimer);
+
+  document.querySelectorAll('mark.cred-claim').forEach(unwrapMark);
+  ['cred-claim-tooltip', 'cred-claim-controls'].forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) element.remove();
+  });
+  activeClaims = [];
+  trackedClaimIndexes = [];
+}
+
+// Scroll the first highlighted span of a claim into view and flash it
+function scrollToClaim(index) {
+  const mark = document.querySelector(`mark.cred-claim[data-claim-index="${index}"]`);
+  if (!mark) {
+    return false;
+  }
+
+  mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  const marks = document.querySelectorAll(`mark.cred-claim[data-claim-index="${index}"]`);
+  marks.forEach(m => m.classList.add('cred-claim-flash'));
+  setTimeout(() => marks.forEach(m => m.classList.remove('cred-claim-flash')), 1600);
+  return true;
+}
+
+// Find the quotes of the given active claims in one pass over the page text and wrap each in
+// marks. A claim whose quote overlaps one found before it is left out. Returns the indexes found.
+function markClaims(indexes) {
+  const pageText = indexPageText();
+  const matches = [];
+  const found = indexes.filter((index) => {
+    const match = locateClaim(pageText, activeClaims[index]);
+    if (!match || matches.some(other => match.start < other.end && other.start < match.end)) {
+      return false;
+    }
+    matches.push(Object.assign(match, { index: index }));
+    return true;
+  });
+
+  // Wrap from the end of the page backwards: wrapping splits a text node, and the node keeps the
+  // text before the split, so the offsets of every match still to be wrapped stay valid
+  matches.sort((a, b) => b.start - a.start).forEach((match) => {
+    const claim = activeClaims[match.index];
+    textSegments(pageText, match).reverse().forEach(({ node, start, end }) => {
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, end);
+
+      const mark = document.createElement('mark');
+      mark.className = `cred-claim cred-claim-${claim.verdict || 'opinion'}`;
+      mark.dataset.claimIndex = String(match.index);
+      mark.addEventListener('mouseenter', showClaimTooltip);
+      mark.addEventListener('mouseleave', hideClaimTooltip);
+      range.surroundContents(mark);
+    });
+  });
+
+  return found;
+}
+
+// Where a claim's quote is in the page text, as { start, end } positions in pageText.text
+function locateClaim(pageText, claim) {
+  if (!claim || !claim.quote) {
+    return null;
+  }
+  return findQuote(pageText, claim.quote) ||
+    // Models sometimes paraphrase the tail of a quote; fall back to its opening words
+    findQuote(pageText, claim.quote.split(/\s+/).slice(0, 8).join(' '));
+}
+
+// Match a quote ignoring whitespace, case and quote-style differences
+function findQuote(pageText, quote) {
+  const needle = normalizeForMatch(quote).replace(/\s+/g, ' ').trim();
+  if (needle.length < 12) {
+    return null;
+  }
+  const start = pageText.text.indexOf(needle);
+  return start === -1 ? null : { start: start, end: start + needle.length };
+}
+
+// The page's visible text, normalized and whitespace-collapsed, with the text node and offset
+// behind each character. Text from different block elements is joined with a newline, which
+// a quote (its whitespace collapsed to spaces) never matches.
+function indexPageText() {
+  const parts = [];
+  const nodes = [];
+  const nodeOfChar = [];
+  const offsetOfChar = [];
+  let last = '\n';
+  let lastBlock = null;
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || HIGHLIGHT_SKIP_TAGS.has(parent.tagName) ||
+          parent.closest('#cred-claim-tooltip, #cred-claim-controls, #cred-result-panel, mark.cred-claim')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const block = node.parentElement.closest(HIGHLIGHT_BLOCK_SELECTOR);
+    if (block !== lastBlock && last !== '\n') {
+      parts.push('\n');
+      nodeOfChar.push(-1);
+      offsetOfChar.push(-1);
+      last = '\n';
+    }
+    lastBlock = block;
+
+    const value = node.nodeValue;
+    let normalized = normalizeForMatch(value);
+    // Lowercasing a few characters changes their length; keep one character per offset
+    if (normalized.length !== value.length) {
+      normalized = Array.from(value, char => normalizeForMatch(char).charAt(0)).join('');
+    }
+
+    nodes.push(node);
+    for (let i = 0; i < normalized.length; i++) {
+      const isSpace = /\s/.test(normalized[i]);
+      if (isSpace && (last === ' ' || last === '\n')) {
+        continue;
+      }
+      last = isSpace ? ' ' : normalized[i];
+      parts.push(last);
+      nodeOfChar.push(nodes.length - 1);
+      offsetOfChar.push(i);
+    }
+  }
+
+  return { text: parts.join(''), nodes: nodes, nodeOfChar: nodeOfChar, offsetOfChar: offsetOfChar };
+}
+
+// The per-node pieces of a match, in page order
+function textSegments(pageText, match) {
+  const segments = [];
+  for (let i = match.start; i < match.end; i++) {
+    const node = pageText.nodes[pageText.nodeOfChar[i]];
+    const offset = pageText.offsetOfChar[i];
+    const last = segments[segments.length - 1];
+    if (last && last.node === node) {
+      last.end = offset + 1;
+    } else {
+      segments.push({ node: node, start: offset, end: offset + 1 });
+    }
+  }
+  return segments;
+}
+
+// Fold case, typographic quotes/dashes and non-breaking spaces so a model's retyped
+// quote still matches the page text
+function normalizeForMatch(text) {
+  return text
+    .toLowerCase()
+    .replace(/[\u201C\u201D\u201E\u00AB\u00BB]/g, '"')
+    .replace(/[\u2018\u2019\u201A]/g, "'")
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u00A0/g, ' ');
+}
+
+function unwrapMark(mark) {
+  const parent = mark.parentNode;
+  if (!parent) return;
+  while (mark.firstChild) {
+    parent.insertBefore(mark.firstChild, mark);
+  }
+  parent.removeChild(mark);
+  parent.normalize();
+}
+
+// Pages that re-render (lazy loading, live blogs, SPA hydration) can wipe our marks;
+// re-apply any found claim whose highlight disappeared once the DOM settles.
+function watchForReflow() {
+  highlightObserver = new MutationObserver(() => {
+    clearTimeout(reapplyTimer);
+    reapplyTimer = setTimeout(reapplyMissingHighlights, 500);
+  });
+  highlightObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+function reapplyMissingHighlights() {
+  if (!highlightObserver) return;
+  // Pause observation so our own DOM changes do not retrigger this
+  highlightObserver.disconnect();
+
+  // A claim whose text left the page is dropped rather than searched for on every update,
+  // which on live pages (tickers, comments) would never end
+  const missing = trackedClaimIndexes.filter(index =>
+    !document.querySelector(`mark.cred-claim[data-claim-index="${index}"]`));
+  const restored = missing.length > 0 ? markClaims(missing) : [];
+  trackedClaimIndexes = trackedClaimIndexes.filter(index => !missing.includes(index) || restored.includes(index));
+  if (trackedClaimIndexes.length === 0) {
+    highlightObserver = null;
+    return;
+  }
+  if (!document.getElementById('cred-claim-controls')) {
+    showHighlightControls();
+  }
+
+  highlightObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+function showClaimTooltip(event) {
+  const mark = event.currentTarget;
+  const claim = activeClaims[Number(mark.dataset.claimIndex)];
+  if (!claim) return;
+
+  let tooltip = document.getElementById('cred-claim-tooltip');
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.id = 'cred-claim-tooltip';
+    document.body.appendChild(tooltip);
+  }
+
+  tooltip.textContent = '';
+  const verdict = document.createElement('div');
+  verdict.className = `cred-claim-tooltip-verdict cred-claim-${claim.verdict || 'opinion'}`;
+  verdict.textContent = CLAIM_VERDICT_LABELS[claim.verdict] || 'Claim';
+  const text = document.createElement('div');
+  text.className = 'cred-claim-tooltip-claim';
+  text.textContent = claim.claim || claim.quote;
+  const rationale = document.createElement('div');
+  rationale.textContent = claim.rationale || '';
+  tooltip.append(verdict, text, rationale);
+
+  const rect = mark.getBoundingClientRect();
+  tooltip.style.top = `${window.scrollY + rect.bottom + 6}px`;
+  tooltip.style.left = `${window.scrollX + Math.max(8, Math.min(rect.left, window.innerWidth - 328))}px`;
+  tooltip.style.display = 'block';
+}
+
+function hideClaimTooltip() {
+  const tooltip = document.getElementById('cred-claim-tooltip');
+  if (tooltip) tooltip.style.display = 'none';
+}
+
+// One-click removal of all highlights
+function showHighlightControls() {
+  const count = new Set(Array.from(document.querySelectorAll('mark.cred-claim'))
+    .map(mark => mark.dataset.claimIndex)).size;
+
+  const controls = document.createElement('button');
+  controls.id = 'cred-claim-controls';
+  controls.type = 'button';
+  controls.textContent = `✕ Clear ${count} claim highlight${count === 1 ? '' : 's'}`;
+  controls.addEventListener('click', clearHighlights);
+  document.body.appendChild(controls);
+}
+
+function injectHighlightStyles() {
+  if (document.getElementById('cred-claim-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'cred-claim-styles';
+  style.textContent = `
+    mark.cred-claim { color: inherit; border-radius: 2px; cursor: help; padding: 0 1px; }
+    mark.cred-claim-supported { background: rgba(16, 185, 129, 0.25); border-bottom: 2px solid #10B981; }
+    mark.cred-claim-unsupported { background: rgba(245, 158, 11, 0.25); border-bottom: 2px solid #F59E0B; }
+    mark.cred-claim-disputed { background: rgba(239, 68, 68, 0.25); border-bottom: 2px solid #EF4444; }
+    mark.cred-claim-opinion { background: rgba(139, 92, 246, 0.18); border-bottom: 2px dashed #8B5CF6; }
+    mark.cred-claim-flash { outline: 3px solid #2563EB; outline-offset: 2px; }
+    #cred-claim-tooltip {
+      position: absolute; z-index: 2147483647; display: none; max-width: 320px;
+      background: #1F2937; color: #F9FAFB; padding: 10px 12px; border-radius: 8px;
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    }
+    #cred-claim-tooltip .cred-claim-tooltip-verdict {
+      display: inline-block; font-size: 11px; font-weight: 600; text-transform: uppercase;
+      padding: 1px 6px; border-radius: 4px; margin-bottom: 4px; color: #1F2937;
+    }
+    #cred-claim-tooltip .cred-claim-tooltip-claim { font-weight: 600; margin-bottom: 4px; }
+    #cred-claim-controls {
+      position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+      background: #2563EB; color: white; border: none; border-radius: 8px; padding: 10px 14px;
+      font: 600 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      cursor: pointer; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+    }
+  `;
+  document.head.appendChild(style);
+}
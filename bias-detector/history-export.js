@@ -0,0 +1,420 @@
+// history-export.js - Export history as JSON/CSV/Markdown/HTML and re-import JSON exports
+// Loaded by the popup, after analysis-schema.js, and by the options page for downloadFile().
+
+const HISTORY_EXPORT_FORMAT = 'newsbiasdetector-history';
+const HISTORY_EXPORT_VERSION = 1;
+
+const LEANING_VALUES = ['Left', 'Center-Left', 'Center', 'Center-Right', 'Right', 'Neutral'];
+const SOURCE_TYPES = ['page', 'viewport', 'selection', 'link'];
+
+// Versioned JSON that importHistoryJson() accepts back
+function exportHistoryJson(entries) {
+  return JSON.stringify({
+    format: HISTORY_EXPORT_FORMAT,
+    version: HISTORY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map((entry) => {
+      const copy = Object.assign({}, entry);
+      delete copy.id; // IndexedDB keys are local to this browser
+      return copy;
+    })
+  }, null, 2);
+}
+
+// One row per analysis, for spreadsheets
+function exportHistoryCsv(entries) {
+  const columns = ['analyzed_at', 'url', 'domain', 'title', 'ai_score', 'text_score', 'leaning',
+    'confidence', 'provider', 'model', 'profile', 'source_type', 'summary', 'corroborating_sources']
+    .concat(BIAS_DIMENSIONS.map(dimension => `bias_${dimension.key}`));
+
+  const rows = entries.map((entry) => {
+    const analysis = entry.analysis || {};
+    const sources = (analysis.corroboration_analysis || [])
+      .map(source => `${source.title} <${source.source_url}> (${source.corroboration_score})`)
+      .join(' | ');
+    return [
+      new Date(entry.timestamp).toISOString(),
+      entry.url,
+      entry.domain,
+      entry.title,
+      entry.score,
+      entry.heuristicScore,
+      entry.leaning,
+      entry.confidence,
+      entry.provider,
+      entry.model,
+      entry.profile ? entry.profile.name : null,
+      entry.sourceType || 'page',
+      analysis.reasoning_summary,
+      sources
+    ].concat(BIAS_DIMENSIONS.map(dimension => entry.biasScores ? entry.biasScores[dimension.key] : null))
+      .map(csvCell).join(',');
+  });
+
+  return [columns.join(',')].concat(rows).join('\r\n');
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  // Quote anything with separators, and neutralize leading formula characters for spreadsheets
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// Markdown report with one section per article
+function exportHistoryMarkdown(entries) {
+  const sections = entries.map((entry) => {
+    const analysis = entry.analysis || {};
+    const lines = [
+      `## ${escapeMarkdown(entry.title || entry.url)}`,
+      '',
+      `- **URL:** <${markdownUrl(entry.url)}>`,
+      `- **Analyzed:** ${new Date(entry.timestamp).toLocaleString()}`,
+      `- **Credibility score:** ${formatScore(entry.score)}`,
+      `- **Text-signal baseline:** ${formatScore(entry.heuristicScore)}`,
+      `- **Political leaning:** ${entry.leaning || 'n/a'}`,
+      `- **Confidence:** ${entry.confidence === null || entry.confidence === undefined ? 'n/a' : entry.confidence + '%'}`
+    ];
+    if (entry.model) {
+      lines.push(`- **Model:** ${escapeMarkdown(entry.provider ? entry.provider + ' / ' : '')}${escapeMarkdown(entry.model)}`);
+    }
+    if (entry.profile) {
+      lines.push(`- **Profile:** ${escapeMarkdown(entry.profile.name)}`);
+    }
+    if (analysis.reasoning_summary) {
+      lines.push('', '### Summary', '', escapeMarkdown(analysis.reasoning_summary));
+    }
+    if (analysis.bias_dimensions) {
+      lines.push('', '### Bias breakdown', '');
+      BIAS_DIMENSIONS.forEach((dimension) => {
+        const result = analysis.bias_dimensions[dimension.key];
+        if (result) {
+          lines.push(`- **${dimension.label}:** ${result.score}/100${result.summary ? ' - ' + escapeMarkdown(result.summary) : ''}`);
+        }
+      });
+    }
+    const sources = analysis.corroboration_analysis || [];
+    if (sources.length > 0) {
+      lines.push('', '### Corroborating sources', '');
+      sources.forEach((source) => {
+        lines.push(`- [${escapeMarkdown(source.title)}](${markdownUrl(source.source_url)}) - corroboration ${source.corroboration_score}/100`);
+      });
+    }
+    const changes = (entry.versions || []).slice(1);
+    if (changes.length > 0) {
+      lines.push('', '### Changes since first analysis', '');
+      changes.forEach((version) => {
+        lines.push(`- **${new Date(version.timestamp).toLocaleString()}:** score ${formatScore(version.score)}, ` +
+          `${version.added.length} paragraph(s) added, ${version.removed.length} removed${version.summary ? ' - ' + escapeMarkdown(version.summary) : ''}`);
+      });
+    }
+    return lines.join('\n');
+  });
+
+  return `# Credibility Analysis Report\n\nExported ${new Date().toLocaleString()}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+// Standalone HTML report with the same content as the Markdown one
+function exportHistoryHtml(entries) {
+  const sections = entries.map((entry) => {
+    const analysis = entry.analysis || {};
+    const sources = (analysis.corroboration_analysis || []).map(source =>
+      `<li><a href="${escapeReportHtml(source.source_url)}">${escapeReportHtml(source.title)}</a> - corroboration ${escapeReportHtml(source.corroboration_score)}/100</li>`
+    ).join('');
+    const bias = analysis.bias_dimensions ? BIAS_DIMENSIONS
+      .filter(dimension => analysis.bias_dimensions[dimension.key])
+      .map(dimension => `<tr><th>${escapeReportHtml(dimension.label)}</th><td>${escapeReportHtml(analysis.bias_dimensions[dimension.key].score)}/100</td></tr>`)
+      .join('') : '';
+    const changes = (entry.versions || []).slice(1).map(version =>
+      `<li>${escapeReportHtml(new Date(version.timestamp).toLocaleString())}: score ${escapeReportHtml(formatScore(version.score))}, ` +
+      `${version.added.length} paragraph(s) added, ${version.removed.length} removed${version.summary ? ' - ' + escapeReportHtml(version.summary) : ''}</li>`
+    ).join('');
+
+    return `
+    <section>
+      <h2>${escapeReportHtml(entry.title || entry.url)}</h2>
+      <table>
+        <tr><th>URL</th><td><a href="${escapeReportHtml(entry.url)}">${escapeReportHtml(entry.url)}</a></td></tr>
+        <tr><th>Analyzed</th><td>${escapeReportHtml(new Date(entry.timestamp).toLocaleString())}</td></tr>
+        <tr><th>Credibility score</th><td>${escapeReportHtml(formatScore(entry.score))}</td></tr>
+        <tr><th>Text-signal baseline</th><td>${escapeReportHtml(formatScore(entry.heuristicScore))}</td></tr>
+        <tr><th>Political leaning</th><td>${escapeReportHtml(entry.leaning || 'n/a')}</td></tr>
+        <tr><th>Model</th><td>${escapeReportHtml(entry.model || 'n/a')}</td></tr>
+        ${entry.profile ? `<tr><th>Profile</th><td>${escapeReportHtml(entry.profile.name)}</td></tr>` : ''}
+      </table>
+      ${analysis.reasoning_summary ? `<h3>Summary</h3><p>${escapeReportHtml(analysis.reasoning_summary)}</p>` : ''}
+      ${bias ? `<h3>Bias breakdown</h3><table>${bias}</table>` : ''}
+      ${sources ? `<h3>Corroborating sources</h3><ul>${sources}</ul>` : ''}
+      ${changes ? `<h3>Changes since first analysis</h3><ul>${changes}</ul>` : ''}
+    </section>`;
+  }).join('\n<hr>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Credibility Analysis Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 32px auto; color: #1F2937; line-height: 1.5; }
+  th { text-align: left; color: #6B7280; font-weight: 500; padding-right: 16px; }
+  a { color: #2563EB; }
+  hr { border: none; border-top: 1px solid #E5E7EB; margin: 32px 0; }
+</style>
+</head>
+<body>
+<h1>Credibility Analysis Report</h1>
+<p>Exported ${escapeReportHtml(new Date().toLocaleString())}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? 'n/a' : `${score}/100`;
+}
+
+// Page and model text inside the Markdown report: its syntax characters are escaped and line
+// breaks folded, so a title or summary cannot end its link, list item or heading early
+function escapeMarkdown(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\\`*_{}[\]()<>#|~!]/g, '\\$&')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+// A URL as a Markdown link target, with the characters that would end it percent-encoded
+function markdownUrl(url) {
+  return String(url || '').replace(/[\s()<>\\]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function escapeReportHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Parse and validate a JSON export. Returns the valid entries and, for every rejected
+// row, its position and the reason; throws only when the file itself is unusable.
+function importHistoryJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  if (!parsed || parsed.format !== HISTORY_EXPORT_FORMAT) {
+    throw new Error('Not a credibility history export (missing "format" marker)');
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > HISTORY_EXPORT_VERSION) {
+    throw new Error(`Unsupported export version ${parsed.version}; this extension reads up to version ${HISTORY_EXPORT_VERSION}`);
+  }
+  if (!Array.isArray(parsed.entries)) {
+    throw new Error('Export has no "entries" list');
+  }
+
+  const entries = [];
+  const rejected = [];
+
+  parsed.entries.forEach((raw, index) => {
+    const reason = validateHistoryEntry(raw);
+    if (reason) {
+      rejected.push({ row: index + 1, reason: reason });
+      return;
+    }
+
+    const entry = Object.assign({}, raw);
+    try {
+      entry.analysis = normalizeImportedAnalysis(raw.analysis);
+    } catch (error) {
+      rejected.push({ row: index + 1, reason: `invalid analysis: ${error.message}` });
+      return;
+    }
+    delete entry.id;
+    entry.domain = typeof entry.domain === 'string' && entry.domain ? entry.domain : getDomain(entry.url);
+    entry.title = typeof entry.title === 'string' && entry.title ? entry.title : entry.domain;
+    entry.biasScores = entry.analysis && entry.analysis.bias_dimensions
+      ? Object.fromEntries(Object.entries(entry.analysis.bias_dimensions).map(([key, dimension]) => [key, dimension.score]))
+      : null;
+    entries.push(entry);
+  });
+
+  return { entries: entries, rejected: rejected };
+}
+
+// Returns a reason string when the entry is unusable, or null when it is valid
+function validateHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return 'not an object';
+  }
+  if (typeof entry.url !== 'string' || !/^https?:\/\//i.test(entry.url)) {
+    return 'missing or invalid url';
+  }
+  if (typeof entry.timestamp !== 'number' || !isFinite(entry.timestamp) || entry.timestamp <= 0) {
+    return 'missing or invalid timestamp';
+  }
+  for (const field of ['score', 'heuristicScore', 'confidence']) {
+    const value = entry[field];
+    if (value !== null && value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+      return `${field} must be a number from 0 to 100`;
+    }
+  }
+  if (entry.leaning !== null && entry.leaning !== undefined && !LEANING_VALUES.includes(entry.leaning)) {
+    return `unknown leaning "${entry.leaning}"`;
+  }
+  if (entry.sourceType !== undefined && !SOURCE_TYPES.includes(entry.sourceType)) {
+    return `unknown source type "${entry.sourceType}"`;
+  }
+  if (entry.profile !== null && entry.profile !== undefined &&
+      (typeof entry.profile !== 'object' || typeof entry.profile.name !== 'string')) {
+    return 'profile must be an object with a name';
+  }
+  if (entry.analysis !== null && entry.analysis !== undefined &&
+      (typeof entry.analysis !== 'object' || Array.isArray(entry.analysis))) {
+    return 'analysis must be an object';
+  }
+  if (entry.versions !== null && entry.versions !== undefined &&
+      (!Array.isArray(entry.versions) || !entry.versions.every(isValidArticleVersion))) {
+    return 'versions must be a list of article versions';
+  }
+  return null;
+}
+
+function isValidArticleVersion(version) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const isScore = value => value === null || value === undefined || (typeof value === 'number' && isFinite(value));
+  return !!version && typeof version.timestamp === 'number' &&
+    isStringList(version.added) && isStringList(version.removed) &&
+    isScore(version.score) && isScore(version.confidence) &&
+    (version.leaning === null || version.leaning === undefined || LEANING_VALUES.includes(version.leaning)) &&
+    (version.summary === undefined || typeof version.summary === 'string');
+}
+
+// An imported analysis goes through the same validation as model output, and the fields
+// stored next to it are rebuilt from their expected types, so the views that render it never
+// see anything a real analysis could not contain. Throws when the analysis is unusable; null
+// (entries migrated from the score-only history) stays null.
+function normalizeImportedAnalysis(analysis) {
+  if (analysis === null || analysis === undefined) {
+    return null;
+  }
+
+  const context = {
+    heuristic: normalizeImportedHeuristic(analysis.heuristic),
+    article: normalizeImportedArticle(analysis.article),
+    source_type: SOURCE_TYPES.includes(analysis.source_type) ? analysis.source_type : 'page'
+  };
+  if (analysis.heuristic_only) {
+    if (!context.heuristic) {
+      throw new Error('baseline-only analysis without a baseline');
+    }
+    return Object.assign({ heuristic_only: true }, context);
+  }
+
+  // Analyses made before the bias breakdown, or with a profile that leaves it out, have none
+  const result = validateAnalysis(analysis, { bias_dimensions: !!analysis.bias_dimensions });
+  const coverage = analysis.coverage || {};
+  return Object.assign(result, context, {
+    provider: typeof analysis.provider === 'string' ? analysis.provider : null,
+    model: typeof analysis.model === 'string' ? analysis.model : null,
+    profile: analysis.profile && typeof analysis.profile.name === 'string'
+      ? { id: String(analysis.profile.id || ''), name: analysis.profile.name }
+      : null,
+    coverage: analysis.coverage ? {
+      ratio: Math.min(1, Math.max(0, Number(coverage.ratio) || 0)),
+      chunks: Math.max(1, Math.round(Number(coverage.chunks) || 1)),
+      analyzedChunks: Math.max(0, Math.round(Number(coverage.analyzedChunks) || 0)),
+      analyzedParagraphs: Math.max(0, Math.round(Number(coverage.analyzedParagraphs) || 0)),
+      totalParagraphs: Math.max(0, Math.round(Number(coverage.totalParagraphs) || 0))
+    } : undefined,
+    corroboration_checked: analysis.corroboration_checked === true,
+    corroboration_analysis: (Array.isArray(analysis.corroboration_analysis) ? analysis.corroboration_analysis : [])
+      .filter(source => source && typeof source.source_url === 'string' && /^https?:\/\//i.test(source.source_url))
+      .map(source => ({
+        title: typeof source.title === 'string' ? source.title : getDomain(source.source_url),
+        source_url: source.source_url,
+        snippet: typeof source.snippet === 'string' ? source.snippet : '',
+        corroboration_score: clampScore(source.corroboration_score),
+        stance: ['supports', 'mentions', 'contradicts'].includes(source.stance) ? source.stance : 'mentions',
+        claim: typeof source.claim === 'string' ? source.claim : '',
+        retrieved: source.retrieved === true
+      }))
+  });
+}
+
+// The text-signal baseline (heuristics.js), or null when missing or unusable
+function normalizeImportedHeuristic(heuristic) {
+  if (!heuristic || typeof heuristic !== 'object' || typeof heuristic.score !== 'number') {
+    return null;
+  }
+  const signals = heuristic.signals || {};
+  const number = value => (typeof value === 'number' && isFinite(value) ? value : 0);
+  return {
+    score: clampScore(heuristic.score),
+    signals: {
+      wordCount: number(signals.wordCount),
+      citationDensity: number(signals.citationDensity),
+      quoteAttribution: signals.quoteAttribution === null ? null : number(signals.quoteAttribution),
+      loadedWordDensity: number(signals.loadedWordDensity),
+      capsRatio: number(signals.capsRatio),
+      exclamationRate: number(signals.exclamationRate),
+      vagueSourcing: number(signals.vagueSourcing),
+      hasByline: signals.hasByline === true,
+      hasDate: signals.hasDate === true,
+      readingEase: number(signals.readingEase)
+    },
+    notes: readStringList(heuristic.notes)
+  };
+}
+
+// Article metadata as summarizeArticle() keeps it: strings only
+function normalizeImportedArticle(article) {
+  if (!article || typeof article !== 'object') {
+    return null;
+  }
+  const normalized = {};
+  Object.keys(article).forEach((key) => {
+    if (typeof article[key] === 'string') {
+      normalized[key] = article[key];
+    }
+  });
+  // Shown as a link, so only web addresses, like entry and source URLs
+  if (normalized.canonicalUrl && !/^https?:\/\//i.test(normalized.canonicalUrl)) {
+    delete normalized.canonicalUrl;
+  }
+  return normalized;
+}
+
+// Entries not already present, comparing by URL + timestamp
+function mergeImportedEntries(existingEntries, importedEntries) {
+  const seen = new Set(existingEntries.map(entry => `${entry.url}|${entry.timestamp}`));
+  const added = [];
+
+  importedEntries.forEach((entry) => {
+    const key = `${entry.url}|${entry.timestamp}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      added.push(entry);
+    }
+  });
+
+  return { added: added, duplicates: importedEntries.length - added.length };
+}
+
+// Save generated content as a file through a temporary download link
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
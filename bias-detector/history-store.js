@@ -0,0 +1,205 @@
+// history-store.js - IndexedDB storage for full analysis history
+// Shared by the service worker (importScripts) and the popup, after settings.js; both run on
+// the extension origin, so they see the same database.
+
+const HISTORY_DB_NAME = 'credibility-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'analyses';
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('domain', 'domain');
+          store.createIndex('url', 'url');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        historyDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return historyDbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function historyStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+// Build a history record from an analysis result. The full payload is kept under
+// `analysis` so the popup can replay it; the top-level fields exist for filtering.
+function createHistoryEntry(url, analysisData, timestamp) {
+  const article = analysisData.article || {};
+  return {
+    url: url,
+    domain: getDomain(url),
+    title: article.headline || getDomain(url),
+    timestamp: timestamp || Date.now(),
+    score: analysisData.heuristic_only ? null : analysisData.credibility_score,
+    heuristicScore: analysisData.heuristic ? analysisData.heuristic.score : null,
+    leaning: analysisData.heuristic_only ? null : (analysisData.political_leaning || null),
+    confidence: !analysisData.heuristic_only && typeof analysisData.confidence === 'number' ? analysisData.confidence : null,
+    provider: analysisData.provider || null,
+    model: analysisData.model || null,
+    // 'page' or 'viewport' from the popup, 'selection' from the popup or context menu, 'link'
+    sourceType: analysisData.source_type || 'page',
+    // Analysis profile as { id, name }; null for baseline-only results and older entries
+    profile: analysisData.profile || null,
+    // Timeline of a watched article (article-watch.js); null until it is watched
+    versions: null,
+    // Per-dimension bias scores, e.g. { loaded_language: 35, framing: 60, ... }
+    biasScores: analysisData.bias_dimensions
+      ? Object.fromEntries(Object.entries(analysisData.bias_dimensions).map(([key, dimension]) => [key, dimension.score]))
+      : null,
+    analysis: analysisData
+  };
+}
+
+async function addHistoryEntry(entry) {
+  const store = await historyStore('readwrite');
+  const id = await idbRequest(store.add(entry));
+  await applyHistoryRetention();
+  return id;
+}
+
+async function putHistoryEntry(entry) {
+  const store = await historyStore('readwrite');
+  return idbRequest(store.put(entry));
+}
+
+// All entries, most recent first
+async function getHistoryEntries() {
+  const store = await historyStore('readonly');
+  const entries = await idbRequest(store.getAll());
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function getHistoryEntry(id) {
+  const store = await historyStore('readonly');
+  return idbRequest(store.get(id));
+}
+
+// Every analysis of one URL, most recent first
+async function getHistoryEntriesForUrl(url) {
+  const store = await historyStore('readonly');
+  const entries = await idbRequest(store.index('url').getAll(url));
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function deleteHistoryEntry(id) {
+  const store = await historyStore('readwrite');
+  return idbRequest(store.delete(id));
+}
+
+async function clearHistoryEntries() {
+  const store = await historyStore('readwrite');
+  return idbRequest(store.clear());
+}
+
+// Prune to the history limits in settings: the newest historyMaxEntries, none older than
+// historyRetentionDays (0 keeps them regardless of age)
+async function applyHistoryRetention() {
+  const { historyMaxEntries, historyRetentionDays } = await getSettings();
+  if (historyRetentionDays > 0) {
+    await pruneHistoryBefore(Date.now() - historyRetentionDays * 24 * 60 * 60 * 1000);
+  }
+  await pruneHistory(historyMaxEntries);
+}
+
+async function pruneHistoryBefore(cutoff) {
+  const store = await historyStore('readwrite');
+  await new Promise((resolve, reject) => {
+    const cursorRequest = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+// Delete the oldest entries so at most maxEntries remain
+async function pruneHistory(maxEntries) {
+  const store = await historyStore('readwrite');
+  const count = await idbRequest(store.count());
+  let excess = count - maxEntries;
+  if (excess <= 0) {
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const cursorRequest = store.index('timestamp').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+  });
+}
+
+// Move entries from the old chrome.storage.local array into IndexedDB, once
+async function migrateLegacyHistory() {
+  const { analysisHistory } = await chrome.storage.local.get(['analysisHistory']);
+  if (!Array.isArray(analysisHistory) || analysisHistory.length === 0) {
+    return;
+  }
+
+  const store = await historyStore('readwrite');
+  await Promise.all(analysisHistory.map(item => idbRequest(store.add({
+    url: item.url,
+    domain: getDomain(item.url),
+    title: item.title || getDomain(item.url),
+    timestamp: item.timestamp,
+    score: item.score === undefined ? null : item.score,
+    heuristicScore: item.heuristicScore === undefined ? null : item.heuristicScore,
+    leaning: null,
+    confidence: null,
+    provider: null,
+    model: null,
+    sourceType: 'page',
+    profile: null,
+    versions: null,
+    biasScores: null,
+    analysis: null // Legacy entries only stored the score
+  }))));
+
+  await chrome.storage.local.remove('analysisHistory');
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
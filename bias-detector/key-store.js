@@ -0,0 +1,194 @@
+// key-store.js - API key storage, optionally encrypted with a passphrase
+// Loaded by the service worker via importScripts() and by the popup for the settings panel.
+//
+// Keys live in chrome.storage.local only; chrome.storage.sync would copy them in plain text
+// to every browser signed in to the account. With a passphrase set, each key is stored as
+// AES-GCM ciphertext under a key derived from the passphrase with PBKDF2. Unlocking puts
+// the derived key in chrome.storage.session, which is kept in memory and cleared when the
+// browser closes, so the service worker can decrypt until then.
+
+const KEY_VAULT_ITERATIONS = 310000;
+
+// chrome.storage.local: { salt, iterations, check }. check is KEY_VAULT_CHECK encrypted
+// with the derived key, so a wrong passphrase is detected before anything is decrypted.
+const KEY_VAULT_STORAGE = 'keyVault';
+const KEY_VAULT_CHECK = 'news-bias-detector';
+// chrome.storage.session: the derived key, raw bytes as base64
+const KEY_VAULT_SESSION = 'keyVaultSecret';
+
+// Resolves to { apiKey, locked }. locked means a key is stored but the passphrase has not
+// been entered this browser session.
+async function readApiKey(providerId) {
+  const storageKey = providerStorageKey(providerId, 'ApiKey');
+  const stored = (await chrome.storage.local.get([storageKey]))[storageKey];
+
+  if (!stored) {
+    return { apiKey: '', locked: false };
+  }
+  if (typeof stored === 'string') {
+    return { apiKey: stored, locked: false };
+  }
+
+  const cryptoKey = await getUnlockedVaultKey();
+  if (!cryptoKey) {
+    return { apiKey: '', locked: true };
+  }
+  return { apiKey: await decryptText(cryptoKey, stored), locked: false };
+}
+
+// Store (or with an empty key, remove) one provider's key, encrypting it when a passphrase is set
+async function writeApiKey(providerId, apiKey) {
+  const storageKey = providerStorageKey(providerId, 'ApiKey');
+  if (!apiKey) {
+    await chrome.storage.local.remove(storageKey);
+    return;
+  }
+
+  const { [KEY_VAULT_STORAGE]: vault } = await chrome.storage.local.get([KEY_VAULT_STORAGE]);
+  if (!vault) {
+    await chrome.storage.local.set({ [storageKey]: apiKey });
+    return;
+  }
+
+  const cryptoKey = await getUnlockedVaultKey();
+  if (!cryptoKey) {
+    throw new Error('Unlock your API keys with the passphrase before changing them');
+  }
+  await chrome.storage.local.set({ [storageKey]: await encryptText(cryptoKey, apiKey) });
+}
+
+// 'none' (no passphrase), 'locked' or 'unlocked'
+async function getKeyVaultState() {
+  const { [KEY_VAULT_STORAGE]: vault } = await chrome.storage.local.get([KEY_VAULT_STORAGE]);
+  if (!vault) {
+    return 'none';
+  }
+  return (await getUnlockedVaultKey()) ? 'unlocked' : 'locked';
+}
+
+// Encrypt every stored key under a new passphrase and leave the vault unlocked
+async function setKeyPassphrase(passphrase) {
+  if (await getKeyVaultState() !== 'none') {
+    throw new Error('A passphrase is already set');
+  }
+
+  const plainKeys = {};
+  for (const providerId of Object.keys(PROVIDERS)) {
+    plainKeys[providerId] = (await readApiKey(providerId)).apiKey;
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cryptoKey = await deriveVaultKey(passphrase, salt, KEY_VAULT_ITERATIONS);
+  await chrome.storage.local.set({
+    [KEY_VAULT_STORAGE]: {
+      salt: bytesToBase64(salt),
+      iterations: KEY_VAULT_ITERATIONS,
+      check: await encryptText(cryptoKey, KEY_VAULT_CHECK)
+    }
+  });
+  await storeSessionKey(cryptoKey);
+
+  for (const providerId of Object.keys(plainKeys)) {
+    await writeApiKey(providerId, plainKeys[providerId]);
+  }
+}
+
+// Resolves to false when the passphrase is wrong
+async function unlockKeys(passphrase) {
+  const { [KEY_VAULT_STORAGE]: vault } = await chrome.storage.local.get([KEY_VAULT_STORAGE]);
+  if (!vault) {
+    return true;
+  }
+
+  const cryptoKey = await deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+  try {
+    if (await decryptText(cryptoKey, vault.check) !== KEY_VAULT_CHECK) {
+      return false;
+    }
+  } catch (error) {
+    return false; // AES-GCM authentication fails with the wrong key
+  }
+  await storeSessionKey(cryptoKey);
+  return true;
+}
+
+async function lockKeys() {
+  await chrome.storage.session.remove(KEY_VAULT_SESSION);
+}
+
+// Decrypt every key back to plain storage and drop the passphrase. Needs the vault unlocked.
+async function removeKeyPassphrase() {
+  if (await getKeyVaultState() !== 'unlocked') {
+    throw new Error('Unlock your API keys before removing the passphrase');
+  }
+
+  const plainKeys = {};
+  for (const providerId of Object.keys(PROVIDERS)) {
+    plainKeys[providerId] = (await readApiKey(providerId)).apiKey;
+  }
+  await chrome.storage.local.remove(KEY_VAULT_STORAGE);
+  await lockKeys();
+
+  for (const providerId of Object.keys(plainKeys)) {
+    await writeApiKey(providerId, plainKeys[providerId]);
+  }
+}
+
+// Older versions kept keys in chrome.storage.sync. Called from onInstalled.
+async function migrateApiKeysToLocal() {
+  const syncKeys = Object.keys(PROVIDERS).map(providerId => providerStorageKey(providerId, 'ApiKey'));
+  const stored = await chrome.storage.sync.get(syncKeys);
+
+  for (const providerId of Object.keys(PROVIDERS)) {
+    const apiKey = stored[providerStorageKey(providerId, 'ApiKey')];
+    // A key already in local storage is newer than the synced one
+    if (apiKey && !(await readApiKey(providerId)).apiKey) {
+      await writeApiKey(providerId, apiKey);
+    }
+  }
+  await chrome.storage.sync.remove(syncKeys);
+}
+
+async function getUnlockedVaultKey() {
+  const { [KEY_VAULT_SESSION]: secret } = await chrome.storage.session.get([KEY_VAULT_SESSION]);
+  if (!secret) {
+    return null;
+  }
+  return crypto.subtle.importKey('raw', base64ToBytes(secret), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function storeSessionKey(cryptoKey) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey));
+  await chrome.storage.session.set({ [KEY_VAULT_SESSION]: bytesToBase64(raw) });
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // Exported once, into session storage
+    ['encrypt', 'decrypt']
+  );
+}
+
+// { iv, data }, both base64
+async function encryptText(cryptoKey, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, new TextEncoder().encode(text));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function decryptText(cryptoKey, sealed) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, cryptoKey, base64ToBytes(sealed.data));
+  return new TextDecoder().decode(data);
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
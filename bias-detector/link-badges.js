@@ -0,0 +1,178 @@
+// link-badges.js - Credibility badges next to article links on search results, aggregators and feeds
+// Loaded as a content script before content-script.js, which starts it and routes messages to it.
+//
+// Which links get a badge is decided by the site rules in options (a host and a CSS selector
+// for its result links). Badges only show what is already known: the cached score of the
+// linked article or its domain's average from history. Nothing is sent to a model unless the
+// user clicks a badge, which queues an analysis of that one link.
+
+const LINK_BADGE_ATTRIBUTE = 'data-cred-link-badge';
+
+// Links sent to the service worker per lookup, so long feeds are scored in batches
+const LINK_BADGE_BATCH = 100;
+
+let linkBadgeSelector = null;
+let linkBadgeScanTimer = null;
+// Badge elements per link URL; a feed can list the same article more than once
+const linkBadges = new Map();
+
+// Ask the service worker whether this page has a site rule, then decorate its links and any
+// added later (infinite scroll, client-side rendering)
+async function initLinkBadges() {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'getLinkBadgeSelector', url: location.href });
+  } catch (error) {
+    return; // Extension reloaded; this content script is orphaned
+  }
+  if (!response || !response.selector) {
+    return;
+  }
+
+  linkBadgeSelector = response.selector;
+  injectLinkBadgeStyles();
+  scanLinkBadges();
+  new MutationObserver(() => {
+    clearTimeout(linkBadgeScanTimer);
+    linkBadgeScanTimer = setTimeout(scanLinkBadges, 500);
+  }).observe(document.body, { childList: true, subtree: true });
+}
+
+async function scanLinkBadges() {
+  let links;
+  try {
+    links = Array.from(document.querySelectorAll(linkBadgeSelector));
+  } catch (error) {
+    return; // Invalid selector in the site rule
+  }
+  links = links
+    .map(element => element.closest('a[href]'))
+    .filter(link => link && !link.hasAttribute(LINK_BADGE_ATTRIBUTE) && isOutboundArticleLink(link))
+    .slice(0, LINK_BADGE_BATCH);
+  if (links.length === 0) {
+    return;
+  }
+  links.forEach(link => link.setAttribute(LINK_BADGE_ATTRIBUTE, ''));
+
+  const urls = Array.from(new Set(links.map(link => link.href)));
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'getLinkScores', urls: urls });
+  } catch (error) {
+    return;
+  }
+  const badges = (response && response.badges) || {};
+  links.forEach(link => addLinkBadge(link, badges[link.href] || null));
+
+  // The batch limit may have left links for the next scan
+  if (links.length === LINK_BADGE_BATCH) {
+    linkBadgeScanTimer = setTimeout(scanLinkBadges, 500);
+  }
+}
+
+// http(s) links off this site; links back into the listing site are its own navigation
+function isOutboundArticleLink(link) {
+  return /^https?:$/.test(link.protocol) && link.hostname.replace(/^www\./, '') !== location.hostname.replace(/^www\./, '');
+}
+
+function addLinkBadge(link, badge) {
+  const element = document.createElement('span');
+  element.className = 'cred-link-badge';
+  element.setAttribute('role', 'button');
+  element.tabIndex = 0;
+  renderLinkBadge(element, link.href, badge);
+
+  const queue = (event) => {
+    // The badge sits next to the link, but result pages often make the whole row clickable
+    event.preventDefault();
+    event.stopPropagation();
+    queueLinkBadgeAnalysis(link.href);
+  };
+  element.addEventListener('click', queue);
+  element.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      queue(event);
+    }
+  });
+
+  link.insertAdjacentElement('afterend', element);
+  if (!linkBadges.has(link.href)) {
+    linkBadges.set(link.href, []);
+  }
+  linkBadges.get(link.href).push(element);
+}
+
+// badge: { source: 'cache', score, color, headline, summary, leaning, analyzedAt } for an
+// analyzed article, { source: 'domain', score, color, domain, count } for a domain average,
+// { status: 'queued' | 'error', message } while queued or after a failure, or null
+function renderLinkBadge(element, url, badge) {
+  const domain = new URL(url).hostname.replace(/^www\./, '');
+  element.style.removeProperty('--cred-badge-color');
+  element.dataset.kind = badge ? (badge.status || badge.source) : 'unknown';
+
+  if (!badge) {
+    element.textContent = '?';
+    element.title = `No analyses of ${domain} yet.\nClick to analyze this article.`;
+  } else if (badge.status === 'queued') {
+    element.textContent = '…';
+    element.title = badge.message;
+  } else if (badge.status === 'error') {
+    element.textContent = '!';
+    element.title = `${badge.message}\nClick to try again.`;
+  } else if (badge.source === 'cache') {
+    element.textContent = String(badge.score);
+    element.style.setProperty('--cred-badge-color', badge.color);
+    element.title = [
+      `Credibility ${badge.score}/100${badge.leaning ? ` · ${badge.leaning}` : ''}`,
+      badge.headline,
+      badge.summary,
+      'Click to show the analysis.'
+    ].filter(Boolean).join('\n');
+  } else {
+    element.textContent = `~${badge.score}`;
+    element.style.setProperty('--cred-badge-color', badge.color);
+    element.title = `${badge.domain} averages ${badge.score}/100 over ${badge.count} ` +
+      `${badge.count === 1 ? 'analysis' : 'analyses'}; this article has not been analyzed.\nClick to analyze it.`;
+  }
+}
+
+async function queueLinkBadgeAnalysis(url) {
+  updateLinkBadges(url, { status: 'queued', message: 'Queued for analysis...' });
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'queueLinkAnalysis', url: url });
+  } catch (error) {
+    response = { error: 'Lost connection to the extension. Reload the page and try again.' };
+  }
+  if (response && response.error) {
+    updateLinkBadges(url, { status: 'error', message: response.error });
+  } else if (response && response.position > 1) {
+    updateLinkBadges(url, { status: 'queued', message: `Queued for analysis (${response.position - 1} ahead)` });
+  }
+}
+
+// From the service worker when a queued analysis ends, with its badge or an error
+function updateLinkBadges(url, badge) {
+  (linkBadges.get(url) || []).forEach(element => renderLinkBadge(element, url, badge));
+}
+
+function injectLinkBadgeStyles() {
+  if (document.getElementById('cred-link-badge-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'cred-link-badge-styles';
+  style.textContent = `
+    .cred-link-badge {
+      --cred-badge-color: #9CA3AF;
+      display: inline-block; vertical-align: middle; margin: 0 4px; padding: 0 6px; min-width: 12px;
+      border: 1px solid var(--cred-badge-color); border-radius: 9px; background: var(--cred-badge-color);
+      color: white; font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      text-align: center; text-decoration: none; cursor: pointer; user-select: none;
+    }
+    .cred-link-badge[data-kind="domain"] { background: transparent; color: var(--cred-badge-color); border-style: dashed; }
+    .cred-link-badge[data-kind="unknown"], .cred-link-badge[data-kind="queued"] { background: transparent; color: #6B7280; }
+    .cred-link-badge[data-kind="error"] { --cred-badge-color: #DC2626; }
+    .cred-link-badge:focus-visible { outline: 2px solid #2563EB; outline-offset: 1px; }
+  `;
+  document.head.appendChild(style);
+}
@@ -0,0 +1,165 @@
+// link-scores.js - Scores for the link badges on listing pages, and the queue of link analyses
+// started by clicking a badge (see link-badges.js)
+// Loaded by the service worker via importScripts(), after source-reputation.js and
+// context-menu.js. Looking up scores never calls a provider; only queueLinkAnalysis() does,
+// and only for a badge the user clicked.
+
+// Clicked links waiting for analysis, run one at a time
+const LINK_QUEUE_MAX = 20;
+
+// Domain averages are rebuilt from history at most this often while a feed keeps scrolling
+const DOMAIN_SCORES_TTL_MS = 60000;
+
+const linkAnalysisQueue = [];
+let linkQueueRunning = false;
+let domainScores = null;
+
+// Combined selector of the site rules matching the page, or null when it gets no badges
+async function getLinkBadgeSelector(pageUrl) {
+  const settings = await getSettings();
+  let host;
+  try {
+    host = new URL(pageUrl).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+  if (!settings.linkBadges) {
+    return null;
+  }
+  const selectors = settings.linkBadgeRules
+    .filter(rule => domainInList(host, [rule.host]))
+    .map(rule => rule.selector);
+  return selectors.length > 0 ? selectors.join(', ') : null;
+}
+
+// Badge for each URL: the newest cached analysis of that article, else its domain's average
+// score in history, else null
+async function getLinkScores(urls) {
+  const settings = await getSettings();
+  const cached = await getCachedArticleScores(settings);
+  const domains = await getDomainScores();
+
+  const badges = {};
+  urls.forEach((url) => {
+    const entry = cached.get(normalizeUrl(url));
+    const domain = domains.get(getDomain(url));
+    if (entry) {
+      badges[url] = linkBadgeFromAnalysis(entry.data, settings);
+    } else if (domain && domain.averageScore !== null) {
+      badges[url] = {
+        source: 'domain',
+        score: domain.averageScore,
+        color: getScoreColor(domain.averageScore, settings),
+        domain: domain.domain,
+        count: domain.scoredCount
+      };
+    } else {
+      badges[url] = null;
+    }
+  });
+  return badges;
+}
+
+// Fresh cache entries by normalized URL. Keys carry profile and language tags after a #;
+// selections and visible-part analyses of a page are not the article's score.
+async function getCachedArticleScores(settings) {
+  const byUrl = new Map();
+  if (!settings.cacheTtlHours) {
+    return byUrl;
+  }
+  const { analysisCache = {} } = await chrome.storage.local.get(['analysisCache']);
+  const oldest = Date.now() - settings.cacheTtlHours * 3600 * 1000;
+
+  Object.keys(analysisCache).forEach((key) => {
+    const entry = analysisCache[key];
+    if (entry.timestamp < oldest || /#(?:selection|viewport)-/.test(key)) {
+      return;
+    }
+    const url = key.split('#')[0];
+    if (!byUrl.has(url) || byUrl.get(url).timestamp < entry.timestamp) {
+      byUrl.set(url, entry);
+    }
+  });
+  return byUrl;
+}
+
+async function getDomainScores() {
+  if (!domainScores || Date.now() - domainScores.builtAt > DOMAIN_SCORES_TTL_MS) {
+    const summaries = aggregateByDomain(await getHistoryEntries());
+    domainScores = { builtAt: Date.now(), byDomain: new Map(summaries.map(summary => [summary.domain, summary])) };
+  }
+  return domainScores.byDomain;
+}
+
+function linkBadgeFromAnalysis(data, settings) {
+  return {
+    source: 'cache',
+    score: data.credibility_score,
+    color: getScoreColor(data.credibility_score, settings),
+    headline: (data.article && data.article.headline) || '',
+    summary: data.reasoning_summary,
+    leaning: data.political_leaning
+  };
+}
+
+// Add a clicked link to the queue. Resolves to { position } (1 = analyzing now) or { error }.
+function queueLinkAnalysis(tabId, url) {
+  const index = linkAnalysisQueue.findIndex(item => item.url === url && item.tabId === tabId);
+  if (index !== -1) {
+    return { position: index + 1 };
+  }
+  if (linkAnalysisQueue.length >= LINK_QUEUE_MAX) {
+    return { error: `${LINK_QUEUE_MAX} links are already waiting. Try again when some have finished.` };
+  }
+  linkAnalysisQueue.push({ tabId: tabId, url: url });
+  runLinkAnalysisQueue();
+  return { position: linkAnalysisQueue.length };
+}
+
+// Fetch and analyze queued links in order, like the context menu's "Analyze linked article",
+// updating the tab's badges and showing each result in the in-page panel. Each step is
+// bounded (LINK_FETCH_TIMEOUT_MS for the page, the provider timeouts for the analysis), and
+// an item leaves the queue however its step ends, so one bad link cannot stall the rest.
+async function runLinkAnalysisQueue() {
+  if (linkQueueRunning) {
+    return;
+  }
+  linkQueueRunning = true;
+
+  try {
+    while (linkAnalysisQueue.length > 0) {
+      const item = linkAnalysisQueue[0];
+      let update;
+      try {
+        const { article, url } = await fetchLinkedArticle(item.url);
+        const result = await analyzeArticle(article, url, { sourceType: 'link' });
+        const settings = await getSettings();
+        if (result.data.heuristic_only) {
+          update = { badge: { status: 'error', message: result.notice } };
+        } else {
+          update = { badge: linkBadgeFromAnalysis(result.data, settings) };
+          await showResultPanel(item.tabId, {
+            status: 'result',
+            sourceType: 'link',
+            url: url,
+            data: result.data,
+            scoreColor: getScoreColor(result.data.credibility_score, settings)
+          });
+        }
+      } catch (error) {
+        logError('Link badge analysis error:', error);
+        update = { badge: { status: 'error', message: describeError(error.message, error.code) } };
+      } finally {
+        linkAnalysisQueue.shift();
+      }
+
+      domainScores = null;
+      chrome.tabs.sendMessage(item.tabId, Object.assign({ action: 'updateLinkBadges', url: item.url }, update))
+        .catch(() => {
+          // Tab closed or navigated away; the result is in history
+        });
+    }
+  } finally {
+    linkQueueRunning = false;
+  }
+}
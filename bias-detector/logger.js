@@ -0,0 +1,92 @@
+// logger.js - Diagnostic logging that keeps API keys and article text out of the console
+// Loaded by the service worker via importScripts() and by the popup, after settings.js.
+//
+// Secrets (API keys, auth headers, key query parameters) are always masked. Unless debug
+// logging is turned on in settings, which also enables logDebug(), only the message (the first
+// argument, written in this code) is logged as text. The values after it can hold article
+// text, prompts, model answers or provider messages echoing the request, so every string among
+// them is reduced to its length, however short.
+
+// Single words are kept: codes, finish reasons and statuses carry no page or model text
+const LOG_TOKEN_PATTERN = /^[\w.-]{1,40}$/;
+
+// Field names whose values are never logged, and those that hold page or model text
+const SECRET_FIELD_PATTERN = /api.?key|secret|token|password|passphrase|authorization/i;
+const TEXT_FIELD_PATTERN = /^(text|paragraphs|prompt|html|content|contents|parts|quote|claim|snippet|summary|reasoning_summary)$/i;
+
+// Key shapes of the supported providers, bearer tokens and key query parameters
+const SECRET_VALUE_PATTERNS = [
+  [/AIza[0-9A-Za-z_-]{20,}/g, '[redacted key]'],
+  [/\bsk-[A-Za-z0-9_-]{12,}/g, '[redacted key]'],
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/-]+=*/gi, '$1[redacted]'],
+  [/([?&](?:key|api_key|apikey|access_token)=)[^&#\s]+/gi, '$1[redacted]']
+];
+
+let debugLogging = false;
+
+getSettings().then((settings) => {
+  debugLogging = !!settings.debugLogging;
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.debugLogging) {
+    debugLogging = !!changes.debugLogging.newValue;
+  }
+});
+
+function logDebug(...args) {
+  if (debugLogging) {
+    console.debug(...args.map(arg => redactForLog(arg, true)));
+  }
+}
+
+function logWarn(...args) {
+  console.warn(...redactLogArgs(args));
+}
+
+function logError(...args) {
+  console.error(...redactLogArgs(args));
+}
+
+// The message as written, and the values after it as text only with debug logging on
+function redactLogArgs(args) {
+  return args.map((arg, index) => redactForLog(arg, debugLogging || (index === 0 && typeof arg === 'string')));
+}
+
+// Copy of value with secrets masked and, unless keepText, strings reduced to their length
+function redactForLog(value, keepText, depth) {
+  depth = depth || 0;
+
+  if (typeof value === 'string') {
+    const masked = SECRET_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    return keepText || LOG_TOKEN_PATTERN.test(masked) ? masked : `[${masked.length} characters]`;
+  }
+  if (value instanceof Error) {
+    // Keep errors recognizable as errors in the console, with the message and code only
+    const copy = new Error(redactForLog(value.message, keepText, depth + 1));
+    copy.code = value.code;
+    return copy;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 4) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactForLog(item, keepText, depth + 1));
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((field) => {
+    const fieldValue = value[field];
+    if (SECRET_FIELD_PATTERN.test(field) && fieldValue) {
+      copy[field] = '[redacted]';
+    } else if (!keepText && TEXT_FIELD_PATTERN.test(field) && fieldValue) {
+      copy[field] = `[${typeof fieldValue === 'string' ? fieldValue.length + ' characters' : 'text'}]`;
+    } else {
+      copy[field] = redactForLog(fieldValue, keepText, depth + 1);
+    }
+  });
+  return copy;
+}
@@ -0,0 +1,51 @@
+// migrations.js - Versioned upgrades of stored settings and data
+// Loaded by the service worker via importScripts(), after settings.js, key-store.js and
+// history-store.js. runMigrations() is called on install, update and browser start.
+//
+// Each step runs once, in order. The version reached is kept in chrome.storage.local rather
+// than sync: the data steps move this device's keys and history, so another browser on the
+// same account still has to run them. Steps never delete settings they do not recognize.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move history into IndexedDB and API keys out of sync storage',
+    run: async () => {
+      await migrateLegacyHistory();
+      await migrateApiKeysToLocal();
+    }
+  },
+  {
+    version: 2,
+    description: 'Repair settings saved before they were validated',
+    run: async () => {
+      const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+      await chrome.storage.sync.set(normalizeSettings(stored));
+    }
+  }
+];
+
+let migrationsRunning = null;
+
+// Resolves once every pending step has run; concurrent calls share one run
+function runMigrations() {
+  if (!migrationsRunning) {
+    migrationsRunning = applyMigrations().finally(() => {
+      migrationsRunning = null;
+    });
+  }
+  return migrationsRunning;
+}
+
+async function applyMigrations() {
+  const { settingsVersion } = await chrome.storage.local.get({ settingsVersion: 0 });
+  // A newer version's data after a downgrade is left alone
+  const pending = MIGRATIONS.filter(migration => migration.version > settingsVersion);
+
+  for (const migration of pending) {
+    logDebug(`Migrating settings to version ${migration.version}: ${migration.description}`);
+    await migration.run();
+    // Recorded per step, so a failure retries only what did not finish
+    await chrome.storage.local.set({ settingsVersion: migration.version });
+  }
+}
@@ -0,0 +1,29 @@
+// offscreen.js - Runs the shared extractor on HTML fetched by the service worker
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen' || request.action !== 'extractHtml') {
+    return;
+  }
+
+  try {
+    const doc = new DOMParser().parseFromString(request.html, 'text/html');
+    // Resolve relative links and canonical URLs against the fetched page, not this document
+    const base = doc.createElement('base');
+    base.href = request.url;
+    doc.head.prepend(base);
+
+    const article = extractArticle(doc, request.url);
+    const failure = diagnoseExtraction(article, request.minChars);
+    if (failure) {
+      sendResponse({ error: failure.message, code: failure.code });
+      return;
+    }
+    // Structured data is only needed by the extractor itself and can be large
+    delete article.jsonLd;
+    delete article.openGraph;
+
+    sendResponse({ article: article });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+});
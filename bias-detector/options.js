@@ -0,0 +1,549 @@
+// options.js - Options page: provider, analysis, history and appearance settings, and the
+// analysis profile editor with JSON import/export
+
+// DOM Elements
+const statusDiv = document.getElementById('status');
+const settingsForm = document.getElementById('settingsForm');
+const providerSelect = document.getElementById('providerSelect');
+const modelInput = document.getElementById('modelInput');
+const endpointInput = document.getElementById('endpointInput');
+const endpointRow = document.getElementById('endpointRow');
+const apiKeyInput = document.getElementById('apiKey');
+const apiKeyRow = document.getElementById('apiKeyRow');
+const apiKeyLabel = document.getElementById('apiKeyLabel');
+const revealKeyBtn = document.getElementById('revealKeyBtn');
+const testKeyBtn = document.getElementById('testKeyBtn');
+const keyVaultRow = document.getElementById('keyVaultRow');
+const passphraseInput = document.getElementById('passphraseInput');
+const passphraseBtn = document.getElementById('passphraseBtn');
+const removePassphraseBtn = document.getElementById('removePassphraseBtn');
+const languageInput = document.getElementById('languageInput');
+const autoUsageText = document.getElementById('autoUsageText');
+const apiUsageText = document.getElementById('apiUsageText');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
+const restoreDefaultsBtn = document.getElementById('restoreDefaultsBtn');
+const settingInputs = Array.from(settingsForm.querySelectorAll('[data-setting]'));
+const profileList = document.getElementById('profileList');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const importProfilesBtn = document.getElementById('importProfilesBtn');
+const importProfilesFile = document.getElementById('importProfilesFile');
+const exportProfilesBtn = document.getElementById('exportProfilesBtn');
+const profileForm = document.getElementById('profileForm');
+const profileName = document.getElementById('profileName');
+const profileDescription = document.getElementById('profileDescription');
+const profileTemplate = document.getElementById('profileTemplate');
+const placeholderList = document.getElementById('placeholderList');
+const criteriaRows = document.getElementById('criteriaRows');
+const addCriterionBtn = document.getElementById('addCriterionBtn');
+const profileModel = document.getElementById('profileModel');
+const profileTemperature = document.getElementById('profileTemperature');
+const profileMaxTokens = document.getElementById('profileMaxTokens');
+const outputFieldList = document.getElementById('outputFieldList');
+const duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+const useProfileBtn = document.getElementById('useProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+
+let profiles = [];
+let activeProfileId = DEFAULT_PROFILE_ID;
+// The profile shown in the editor; a new or duplicated profile is not in the list until saved
+let editingProfile = null;
+let formDirty = false;
+let settingsDirty = false;
+
+// Settings
+
+Object.keys(PROVIDERS).forEach((id) => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = PROVIDERS[id].label;
+  providerSelect.appendChild(option);
+});
+
+Object.keys(ANALYSIS_LANGUAGES).forEach((code) => {
+  const option = document.createElement('option');
+  option.value = code;
+  option.textContent = ANALYSIS_LANGUAGES[code];
+  languageInput.appendChild(option);
+});
+
+settingInputs.forEach((input) => {
+  const range = SETTING_RANGES[input.dataset.setting];
+  if (range) {
+    input.min = range[0];
+    input.max = range[1];
+    input.step = 1;
+  }
+});
+
+getProviderConfig().then(fillProviderFields);
+updateKeyVaultRow();
+getSettings().then(fillSettingsFields);
+updateUsageText();
+
+function fillSettingsFields(settings) {
+  settingInputs.forEach((input) => {
+    const value = settings[input.dataset.setting];
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else if (input.dataset.setting === 'linkBadgeRules') {
+      input.value = formatSiteRules(value);
+    } else {
+      input.value = Array.isArray(value) ? value.join('\n') : value;
+    }
+  });
+}
+
+function readSettingsFields() {
+  const values = {};
+  settingInputs.forEach((input) => {
+    values[input.dataset.setting] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return values;
+}
+
+async function updateUsageText() {
+  const { autoUsage } = await chrome.storage.local.get(['autoUsage']);
+  const usedToday = autoUsage && autoUsage.date === new Date().toISOString().slice(0, 10) ? autoUsage.count : 0;
+  autoUsageText.textContent = `auto analyses per day (${usedToday} used today)`;
+
+  const apiUsage = await getApiUsage();
+  apiUsageText.textContent = `requests per day, 0 for none (${apiUsage.requests} today, ~${apiUsage.tokens.toLocaleString()} tokens)`;
+}
+
+// Switching provider shows that provider's own stored key/model/endpoint
+providerSelect.addEventListener('change', async () => {
+  fillProviderFields(await getProviderConfig(providerSelect.value));
+});
+
+function fillProviderFields(config) {
+  const provider = PROVIDERS[config.provider];
+  providerSelect.value = config.provider;
+  modelInput.value = config.model;
+  endpointInput.value = config.endpoint;
+  apiKeyInput.value = config.apiKey;
+  apiKeyInput.placeholder = config.keysLocked ? 'Locked - enter your passphrase below' : 'Enter your API key';
+  apiKeyInput.type = 'password';
+  revealKeyBtn.textContent = 'Show';
+  endpointRow.classList.toggle('hidden', config.provider === 'mock');
+  apiKeyRow.classList.toggle('hidden', config.provider === 'mock');
+  apiKeyLabel.textContent = provider.requiresKey ? 'API key' : 'API key (optional)';
+}
+
+settingsForm.addEventListener('input', () => {
+  settingsDirty = true;
+});
+
+// Save the provider config (key in local storage) and the synced settings, then show the
+// values as normalized, so clamped numbers are visible
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const providerId = providerSelect.value;
+  const apiKey = apiKeyInput.value.trim();
+  // While locked the field is empty, which must not erase the encrypted key
+  const keysLocked = await getKeyVaultState() === 'locked';
+
+  if (PROVIDERS[providerId].requiresKey && !apiKey && !keysLocked) {
+    showStatus('Please enter an API key', 'error');
+    return;
+  }
+
+  const settings = normalizeSettings(readSettingsFields());
+  const badRule = settings.linkBadgeRules.find(rule => !isValidSelector(rule.selector));
+  if (badRule) {
+    showStatus(`The site rule for ${badRule.host} has an invalid CSS selector`, 'error');
+    return;
+  }
+
+  try {
+    await saveProviderConfig(providerId, {
+      apiKey: keysLocked && !apiKey ? undefined : apiKey,
+      model: modelInput.value.trim(),
+      endpoint: endpointInput.value.trim()
+    });
+    await saveSettings(settings);
+    fillSettingsFields(settings);
+  } catch (error) {
+    showStatus(`Error: ${error.message}`, 'error');
+    return;
+  }
+
+  settingsDirty = false;
+  showStatus('Settings saved', 'success');
+});
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Fills the form only; nothing changes until the settings are saved
+restoreDefaultsBtn.addEventListener('click', () => {
+  fillSettingsFields(DEFAULT_SETTINGS);
+  settingsDirty = true;
+  showStatus('Defaults restored in the form - save to apply them', 'info');
+});
+
+revealKeyBtn.addEventListener('click', () => {
+  const hidden = apiKeyInput.type === 'password';
+  apiKeyInput.type = hidden ? 'text' : 'password';
+  revealKeyBtn.textContent = hidden ? 'Hide' : 'Show';
+});
+
+// One tiny request with the values in the form, before they are saved. Not counted
+// against the daily limit.
+testKeyBtn.addEventListener('click', async () => {
+  const providerId = providerSelect.value;
+  const provider = PROVIDERS[providerId];
+  const config = {
+    provider: providerId,
+    apiKey: apiKeyInput.value.trim(),
+    model: modelInput.value.trim() || provider.defaultModel,
+    endpoint: (endpointInput.value.trim() || provider.defaultEndpoint).replace(/\/+$/, ''),
+    temperature: 0,
+    maxOutputTokens: 16
+  };
+
+  testKeyBtn.disabled = true;
+  showStatus(`Testing ${provider.label}...`, 'info');
+  try {
+    await provider.generate('Reply with the single word OK.', config);
+    showStatus(`${provider.label} accepted the key`, 'success');
+  } catch (error) {
+    // The request got through; only the (deliberately tiny) answer was unusable
+    if (['MAX_TOKENS', 'NO_OUTPUT', 'SAFETY'].includes(error.code)) {
+      showStatus(`${provider.label} accepted the key`, 'success');
+    } else {
+      showStatus(`Key test failed: ${describeError(error.message, error.code)}`, 'error');
+    }
+  } finally {
+    testKeyBtn.disabled = false;
+  }
+});
+
+// The passphrase row sets a passphrase, unlocks or locks, depending on the vault state
+async function updateKeyVaultRow() {
+  const state = await getKeyVaultState();
+  passphraseBtn.dataset.state = state;
+  passphraseInput.value = '';
+  passphraseInput.classList.toggle('hidden', state === 'unlocked');
+  passphraseInput.placeholder = state === 'none' ? 'Optional, encrypts saved keys' : 'Enter to unlock your keys';
+  passphraseBtn.textContent = { none: 'Encrypt keys', locked: 'Unlock', unlocked: 'Lock' }[state];
+  removePassphraseBtn.classList.toggle('hidden', state !== 'unlocked');
+  keyVaultRow.title = state === 'unlocked' ? 'Keys are encrypted and unlocked until the browser closes' : '';
+}
+
+passphraseBtn.addEventListener('click', async () => {
+  const state = passphraseBtn.dataset.state;
+  const passphrase = passphraseInput.value;
+
+  try {
+    if (state === 'unlocked') {
+      await lockKeys();
+      showStatus('API keys locked', 'success');
+    } else if (state === 'none') {
+      if (passphrase.length < 8) {
+        showStatus('Use a passphrase of at least 8 characters', 'error');
+        return;
+      }
+      await setKeyPassphrase(passphrase);
+      showStatus('API keys encrypted. Enter the passphrase again after restarting the browser.', 'success');
+    } else if (!(await unlockKeys(passphrase))) {
+      showStatus('Wrong passphrase', 'error');
+      return;
+    } else {
+      showStatus('API keys unlocked', 'success');
+    }
+  } catch (error) {
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+
+  await updateKeyVaultRow();
+  fillProviderFields(await getProviderConfig(providerSelect.value));
+});
+
+// Enter in the passphrase field would otherwise submit the whole settings form
+passphraseInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    passphraseBtn.click();
+  }
+});
+
+removePassphraseBtn.addEventListener('click', async () => {
+  try {
+    await removeKeyPassphrase();
+    showStatus('Passphrase removed. Keys are stored unencrypted on this device.', 'success');
+  } catch (error) {
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+  await updateKeyVaultRow();
+});
+
+clearCacheBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'clearCache' }, () => {
+    showStatus('Analysis cache cleared', 'success');
+  });
+});
+
+// Analysis profiles
+
+placeholderList.innerHTML = 'Placeholders: ' + Object.keys(PROFILE_PLACEHOLDERS)
+  .map(name => `<code>{{${name}}}</code> ${escapeHtml(PROFILE_PLACEHOLDERS[name].toLowerCase())}`)
+  .join(' · ');
+
+Object.keys(PROFILE_OUTPUT_FIELDS).forEach((field) => {
+  const row = document.createElement('label');
+  row.className = 'checkbox-row';
+  row.innerHTML = `<input type="checkbox" data-field="${field}"> ${escapeHtml(PROFILE_OUTPUT_FIELDS[field])}`;
+  outputFieldList.appendChild(row);
+});
+
+loadProfiles(DEFAULT_PROFILE_ID);
+
+async function loadProfiles(selectId) {
+  const [storedProfiles, settings] = await Promise.all([getProfiles(), getSettings()]);
+  profiles = storedProfiles;
+  activeProfileId = settings.activeProfile;
+  editProfile(profiles.find(profile => profile.id === selectId) || profiles[0]);
+}
+
+function renderProfileList() {
+  profileList.innerHTML = '';
+  const listed = profiles.some(profile => profile.id === editingProfile.id)
+    ? profiles
+    : profiles.concat([Object.assign({}, editingProfile, { unsaved: true })]);
+
+  listed.forEach((profile) => {
+    const tags = [profile.builtIn ? (profile.edited ? 'Built-in, edited' : 'Built-in') : 'Custom'];
+    if (profile.id === activeProfileId) tags.push('in use');
+    if (profile.unsaved) tags.push('not saved');
+
+    const item = document.createElement('li');
+    item.className = `profile-list-item${profile.id === editingProfile.id ? ' selected' : ''}`;
+    item.innerHTML = `
+      <div class="profile-list-name">${escapeHtml(profile.name || 'Untitled')}</div>
+      <div class="profile-list-meta">${tags.join(' · ')}</div>
+    `;
+    item.addEventListener('click', () => {
+      if (profile.id !== editingProfile.id && confirmDiscard()) {
+        editProfile(profile);
+      }
+    });
+    profileList.appendChild(item);
+  });
+}
+
+function editProfile(profile) {
+  editingProfile = profile;
+  profileName.value = profile.name;
+  profileDescription.value = profile.description;
+  profileTemplate.value = profile.promptTemplate;
+  profileModel.value = profile.model;
+  profileTemperature.value = profile.temperature;
+  profileMaxTokens.value = profile.maxOutputTokens;
+  outputFieldList.querySelectorAll('input').forEach((input) => {
+    input.checked = profile.outputFields[input.dataset.field];
+  });
+
+  criteriaRows.innerHTML = '';
+  profile.criteria.forEach(addCriterionRow);
+  updateCriteriaShares();
+
+  useProfileBtn.disabled = !profiles.some(existing => existing.id === profile.id) || profile.id === activeProfileId;
+  deleteProfileBtn.textContent = profile.builtIn ? 'Reset to default' : 'Delete';
+  deleteProfileBtn.disabled = profile.builtIn && !profile.edited;
+  formDirty = false;
+  renderProfileList();
+}
+
+function addCriterionRow(criterion) {
+  const row = document.createElement('div');
+  row.className = 'criteria-row';
+  row.innerHTML = `
+    <input type="text" class="criterion-label" placeholder="Criterion">
+    <input type="number" class="criterion-weight" min="0" step="1" title="Weight">
+    <span class="criteria-share"></span>
+    <button class="link-btn" type="button" title="Remove criterion">Remove</button>
+  `;
+  row.querySelector('.criterion-label').value = criterion.label;
+  row.querySelector('.criterion-weight').value = criterion.weight;
+  row.querySelector('.criterion-weight').addEventListener('input', updateCriteriaShares);
+  row.querySelector('button').addEventListener('click', () => {
+    row.remove();
+    formDirty = true;
+    updateCriteriaShares();
+  });
+  criteriaRows.appendChild(row);
+}
+
+// Show each weight as the share of the total the prompt will state
+function updateCriteriaShares() {
+  const rows = Array.from(criteriaRows.querySelectorAll('.criteria-row'));
+  const weights = rows.map(row => Math.max(0, Number(row.querySelector('.criterion-weight').value) || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  rows.forEach((row, index) => {
+    row.querySelector('.criteria-share').textContent = total > 0 ? `${Math.round((weights[index] / total) * 100)}%` : '';
+  });
+}
+
+function readProfileForm() {
+  const outputFields = {};
+  outputFieldList.querySelectorAll('input').forEach((input) => {
+    outputFields[input.dataset.field] = input.checked;
+  });
+  return {
+    id: editingProfile.id,
+    name: profileName.value,
+    description: profileDescription.value,
+    promptTemplate: profileTemplate.value,
+    criteria: Array.from(criteriaRows.querySelectorAll('.criteria-row')).map(row => ({
+      label: row.querySelector('.criterion-label').value,
+      weight: row.querySelector('.criterion-weight').value
+    })),
+    model: profileModel.value,
+    temperature: profileTemperature.value,
+    maxOutputTokens: profileMaxTokens.value,
+    outputFields: outputFields
+  };
+}
+
+function confirmDiscard() {
+  return !formDirty || confirm('Discard unsaved changes to this profile?');
+}
+
+profileForm.addEventListener('input', () => {
+  formDirty = true;
+});
+
+addCriterionBtn.addEventListener('click', () => {
+  addCriterionRow({ label: '', weight: 10 });
+  formDirty = true;
+  updateCriteriaShares();
+  criteriaRows.lastElementChild.querySelector('.criterion-label').focus();
+});
+
+profileForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    const saved = await saveProfile(readProfileForm());
+    formDirty = false;
+    await loadProfiles(saved.id);
+    showStatus(`Saved "${saved.name}"`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+});
+
+// New profiles start from the default profile's template and rubric
+newProfileBtn.addEventListener('click', () => {
+  if (!confirmDiscard()) return;
+  editProfile(Object.assign(normalizeProfile(BUILT_IN_PROFILES[0]), {
+    id: createProfileId(),
+    name: 'New profile',
+    description: '',
+    builtIn: false,
+    edited: false
+  }));
+  formDirty = true;
+  profileName.select();
+});
+
+duplicateProfileBtn.addEventListener('click', () => {
+  const copy = normalizeProfile(readProfileForm());
+  editProfile(Object.assign(copy, {
+    id: createProfileId(),
+    name: `${copy.name} (copy)`,
+    builtIn: false,
+    edited: false
+  }));
+  formDirty = true;
+});
+
+useProfileBtn.addEventListener('click', async () => {
+  await saveSettings({ activeProfile: editingProfile.id });
+  activeProfileId = editingProfile.id;
+  useProfileBtn.disabled = true;
+  renderProfileList();
+  showStatus(`"${editingProfile.name}" will be used for new analyses`, 'success');
+});
+
+// Deletes a custom profile, or resets an edited built-in
+deleteProfileBtn.addEventListener('click', async () => {
+  const { id, builtIn } = editingProfile;
+  const saved = profiles.some(profile => profile.id === id);
+  const question = builtIn
+    ? `Reset "${editingProfile.name}" to its default prompt and settings?`
+    : `Delete "${editingProfile.name}"?`;
+  if (!confirm(question)) return;
+
+  if (saved) {
+    await deleteProfile(id);
+  }
+  formDirty = false;
+  await loadProfiles(builtIn ? id : DEFAULT_PROFILE_ID);
+  showStatus(builtIn ? 'Profile reset' : 'Profile deleted', 'success');
+});
+
+// Export the custom and edited profiles; unedited built-ins ship with every install
+exportProfilesBtn.addEventListener('click', () => {
+  const changed = profiles.filter(profile => !profile.builtIn || profile.edited);
+  if (changed.length === 0) {
+    showStatus('Only unedited built-in profiles so far - nothing to export', 'error');
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadFile(`analysis-profiles-${stamp}.json`, exportProfilesJson(changed), 'application/json');
+});
+
+importProfilesBtn.addEventListener('click', () => importProfilesFile.click());
+
+// Imported profiles replace any existing profile with the same id
+importProfilesFile.addEventListener('change', async () => {
+  const file = importProfilesFile.files[0];
+  importProfilesFile.value = '';
+  if (!file || !confirmDiscard()) return;
+
+  try {
+    const { profiles: imported, errors } = parseProfilesJson(await file.text());
+    for (const profile of imported) {
+      await saveProfile(profile);
+    }
+    formDirty = false;
+    await loadProfiles(imported.length > 0 ? imported[0].id : editingProfile.id);
+
+    let message = `Imported ${imported.length} ${imported.length === 1 ? 'profile' : 'profiles'}`;
+    if (errors.length > 0) {
+      message += `, skipped ${errors.length} (${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; ...' : ''})`;
+    }
+    showStatus(message, errors.length > 0 ? 'error' : 'success');
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, 'error');
+  }
+});
+
+window.addEventListener('beforeunload', (event) => {
+  if (formDirty || settingsDirty) {
+    event.preventDefault();
+    event.returnValue = '';
+  }
+});
+
+function showStatus(message, type) {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return text.replace(/[&<>"']/g, m => map[m]);
+}
@@ -1,303 +1,562 @@
 // popup.js - Handles UI interactions with new TruthDetector design
+// The Analysis tab is the shared analysis view in ui-components.js; this file adds the popup's
+// other tabs (History, Sources, Compare) and the button that moves it to the side panel.
 
-// DOM Elements
-const apiKeyInput = document.getElementById('apiKey');
-const saveApiKeyBtn = document.getElementById('saveApiKey');
-const analyzeBtn = document.getElementById('analyzeBtn');
-const statusDiv = document.getElementById('status');
-const loadingDiv = document.getElementById('loading');
-const scoreSection = document.getElementById('scoreSection');
-const tabs = document.getElementById('tabs');
-const settingsBtn = document.getElementById('settingsBtn');
 const collapseBtn = document.getElementById('collapseBtn');
-const apiSection = document.getElementById('apiSection');
-
-// Score elements
-const scoreNumber = document.getElementById('scoreNumber');
-const reliabilityBadge = document.getElementById('reliabilityBadge');
-const heuristicBaseline = document.getElementById('heuristicBaseline');
-const politicalLeaning = document.getElementById('politicalLeaning');
-const confidence = document.getElementById('confidence');
-
-// Analysis sections
-const summarySection = document.getElementById('summarySection');
-const summaryText = document.getElementById('summaryText');
-const crossRefSection = document.getElementById('crossRefSection');
-const crossRefContent = document.getElementById('crossRefContent');
 
 // History
 const historyList = document.getElementById('historyList');
 const clearHistoryBtn = document.getElementById('clearHistory');
+const historySearch = document.getElementById('historySearch');
+const historyDomainFilter = document.getElementById('historyDomainFilter');
+const historyBandFilter = document.getElementById('historyBandFilter');
+const historyLeaningFilter = document.getElementById('historyLeaningFilter');
+const historyFromDate = document.getElementById('historyFromDate');
+const historyToDate = document.getElementById('historyToDate');
+const historyCount = document.getElementById('historyCount');
+const exportFormat = document.getElementById('exportFormat');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const replayNote = document.getElementById('replayNote');
+const replayNoteText = document.getElementById('replayNoteText');
+const replayOpenBtn = document.getElementById('replayOpenBtn');
 
 // Tab management
 let currentTab = 'analysis';
 const analysisContent = document.getElementById('analysisContent');
 const historyContent = document.getElementById('historyContent');
-
-// Load saved API key on popup open
-chrome.storage.sync.get(['geminiApiKey'], (result) => {
-  if (result.geminiApiKey) {
-    apiKeyInput.value = result.geminiApiKey;
-    apiSection.classList.add('hidden');
-  }
+const sourcesContent = document.getElementById('sourcesContent');
+const compareContent = document.getElementById('compareContent');
+const tabContents = {
+  analysis: analysisContent,
+  history: historyContent,
+  sources: sourcesContent,
+  compare: compareContent
+};
+
+// Compare
+const compareTabList = document.getElementById('compareTabList');
+const compareStatus = document.getElementById('compareStatus');
+const compareBtn = document.getElementById('compareBtn');
+const compareResults = document.getElementById('compareResults');
+
+// Sources
+const sourcesList = document.getElementById('sourcesList');
+const importRatingsBtn = document.getElementById('importRatingsBtn');
+const importRatingsFile = document.getElementById('importRatingsFile');
+const clearRatingsBtn = document.getElementById('clearRatingsBtn');
+const ratingsSummary = document.getElementById('ratingsSummary');
+
+// Follow an analysis of this tab still running from an earlier popup; otherwise show the
+// tab's latest result (from auto mode or an earlier run) without re-analyzing
+Promise.all([chrome.tabs.query({ active: true, currentWindow: true }), getSettings()]).then(([[tab], settings]) => {
+  pageTab = tab;
+  uiSettings = settings;
+  updateBandLabels();
+  followAnalysis({ action: 'attach', tabId: tab.id }, () => showTabResult(tab));
 });
 
-// Settings button - toggle API section
-settingsBtn.addEventListener('click', () => {
-  apiSection.classList.toggle('hidden');
-});
+// A new analysis shows up in the History tab right away
+onHistoryChanged = loadHistory;
 
-// Collapse button
-collapseBtn.addEventListener('click', () => {
+// Keep the analysis open next to the article: the side panel follows the active tab and
+// picks up this tab's result and any analysis still running
+collapseBtn.addEventListener('click', async () => {
+  await chrome.sidePanel.open({ windowId: pageTab.windowId });
   window.close();
 });
 
-// Save API key
-saveApiKeyBtn.addEventListener('click', () => {
-  const apiKey = apiKeyInput.value.trim();
+// Tab switching
+document.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    const tabName = tab.dataset.tab;
+    switchTab(tabName);
+  });
+});
+
+function switchTab(tabName) {
+  currentTab = tabName;
   
-  if (!apiKey) {
-    showStatus('Please enter an API key', 'error');
+  // Update tab buttons
+  document.querySelectorAll('.tab').forEach(t => {
+    t.classList.toggle('active', t.dataset.tab === tabName);
+  });
+
+  // Show/hide content
+  Object.keys(tabContents).forEach((name) => {
+    tabContents[name].classList.toggle('hidden', name !== tabName);
+  });
+
+  if (tabName === 'history') {
+    loadHistory();
+  } else if (tabName === 'sources') {
+    loadSources();
+  } else if (tabName === 'compare' && !compareBtn.dataset.running) {
+    loadCompareTabs();
+  }
+}
+
+// History entries loaded from IndexedDB, most recent first
+let historyEntries = [];
+
+// Entry ids ticked for export; empty means export everything
+const selectedHistoryIds = new Set();
+
+// Load history and render it through the current search/filters
+async function loadHistory() {
+  historyEntries = await getHistoryEntries();
+  populateDomainFilter();
+  renderHistory();
+}
+
+function populateDomainFilter() {
+  const selected = historyDomainFilter.value;
+  const domains = Array.from(new Set(historyEntries.map(entry => entry.domain))).sort();
+  historyDomainFilter.innerHTML = '<option value="">All domains</option>' +
+    domains.map(domain => `<option value="${escapeHtml(domain)}">${escapeHtml(domain)}</option>`).join('');
+  historyDomainFilter.value = domains.includes(selected) ? selected : '';
+}
+
+// Apply text search and the domain / score band / leaning / date filters
+function getFilteredHistory() {
+  const query = historySearch.value.trim().toLowerCase();
+  const domain = historyDomainFilter.value;
+  const band = historyBandFilter.value;
+  const leaning = historyLeaningFilter.value;
+  const from = historyFromDate.value ? new Date(historyFromDate.value).getTime() : null;
+  // Inclusive end date: everything before the following midnight
+  const to = historyToDate.value ? new Date(historyToDate.value).getTime() + 86400000 : null;
+
+  return historyEntries.filter((entry) => {
+    if (domain && entry.domain !== domain) return false;
+    if (band && getHistoryBand(entry.score) !== band) return false;
+    if (leaning && entry.leaning !== leaning) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp >= to) return false;
+
+    if (query) {
+      const analysis = entry.analysis || {};
+      const haystack = [entry.title, entry.url, analysis.reasoning_summary, entry.leaning]
+        .filter(Boolean).join(' ').toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+function getHistoryBand(score) {
+  if (score === null || score === undefined) return 'text-only';
+  return getScoreBand(score, uiSettings);
+}
+
+// The band filter shows the configured thresholds
+function updateBandLabels() {
+  const high = uiSettings.scoreHighThreshold;
+  const medium = uiSettings.scoreMediumThreshold;
+  document.getElementById('bandHighOption').textContent = `High (${high}+)`;
+  document.getElementById('bandMediumOption').textContent = `Medium (${medium}-${high - 1})`;
+  document.getElementById('bandLowOption').textContent = `Low (<${medium})`;
+}
+
+// Context-menu analyses are tagged in the history list; whole pages are not
+const SOURCE_TYPE_LABELS = {
+  selection: 'Selection',
+  viewport: 'Visible part',
+  link: 'Link'
+};
+
+function renderHistory() {
+  historyList.innerHTML = '';
+
+  if (historyEntries.length === 0) {
+    historyList.innerHTML = '<div class="history-empty">No analysis history yet</div>';
     return;
   }
 
-  chrome.storage.sync.set({ geminiApiKey: apiKey }, () => {
-    showStatus('API key saved successfully!', 'success');
-    setTimeout(() => {
-      apiSection.classList.add('hidden');
-      hideStatus();
-    }, 1500);
+  const entries = getFilteredHistory();
+  historyCount.textContent = `${entries.length} of ${historyEntries.length} analyses`;
+
+  if (entries.length === 0) {
+    historyList.innerHTML = '<div class="history-empty">No analyses match these filters</div>';
+    return;
+  }
+
+  entries.forEach((item) => {
+    const timeAgo = getTimeAgo(item.timestamp);
+    const scoreColor = getScoreColor(item.score, uiSettings);
+    const aiScore = item.score === null || item.score === undefined ? '--' : item.score;
+    const baseline = item.heuristicScore === null || item.heuristicScore === undefined ? '--' : item.heuristicScore;
+    
+    const historyItem = document.createElement('div');
+    historyItem.className = 'history-item';
+    
+    historyItem.innerHTML = `
+      <div class="history-item-header">
+        <div class="history-time">${timeAgo} · ${escapeHtml(item.domain)}${SOURCE_TYPE_LABELS[item.sourceType] ? ` · <span class="source-type-tag">${SOURCE_TYPE_LABELS[item.sourceType]}</span>` : ''}${item.profile && item.profile.id !== DEFAULT_PROFILE_ID ? ` · <span class="source-type-tag">${escapeHtml(item.profile.name)}</span>` : ''}</div>
+        <input type="checkbox" class="history-select" title="Select for export" ${selectedHistoryIds.has(item.id) ? 'checked' : ''}>
+      </div>
+      <div class="history-title">${escapeHtml(item.title || item.url)}</div>
+      <div class="history-scores">
+        <div class="history-score-item">
+          <span>🎯</span>
+          <span>AI: <strong style="color: ${scoreColor}">${aiScore}/100</strong></span>
+        </div>
+        <div class="history-score-item">
+          <span>📏</span>
+          <span>Text: <strong>${baseline}/100</strong></span>
+        </div>
+        ${item.leaning ? `<div class="history-score-item"><span>⚖️</span><span>${escapeHtml(item.leaning)}</span></div>` : ''}
+      </div>
+    `;
+    
+    const checkbox = historyItem.querySelector('.history-select');
+    checkbox.addEventListener('click', event => event.stopPropagation());
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedHistoryIds.add(item.id);
+      } else {
+        selectedHistoryIds.delete(item.id);
+      }
+      updateExportButton();
+    });
+
+    historyItem.addEventListener('click', () => openHistoryEntry(item));
+    
+    historyList.appendChild(historyItem);
   });
+}
+
+// Re-open a saved analysis in the Analysis tab. Entries migrated from the old
+// score-only history have no payload, so those still just open the article.
+function openHistoryEntry(entry) {
+  if (!entry.analysis) {
+    chrome.tabs.create({ url: entry.url });
+    return;
+  }
+
+  // Claim highlights belong to whichever page was open at the time, so don't offer jumping
+  const analysis = Object.assign({}, entry.analysis, {
+    claims: (entry.analysis.claims || []).map(claim => Object.assign({}, claim, { located: false }))
+  });
+
+  displayResults(analysis);
+  cacheNote.classList.add('hidden');
+  watchNote.classList.add('hidden');
+  displayArticleChanges(entry.versions);
+  replayNoteText.textContent = `Saved analysis · ${getTimeAgo(entry.timestamp).toLowerCase()}${entry.model ? ' · ' + entry.model : ''}${entry.profile ? ' · ' + entry.profile.name : ''}`;
+  replayNote.dataset.url = entry.url;
+  replayNote.classList.remove('hidden');
+  switchTab('analysis');
+}
+
+replayOpenBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: replayNote.dataset.url });
 });
 
-// Analyze current page
-analyzeBtn.addEventListener('click', async () => {
-  // Check if API key exists
-  const result = await chrome.storage.sync.get(['geminiApiKey']);
-  
-  if (!result.geminiApiKey) {
-    showStatus('Please save your API key first', 'error');
-    apiSection.classList.remove('hidden');
+[historySearch, historyDomainFilter, historyBandFilter, historyLeaningFilter, historyFromDate, historyToDate]
+  .forEach((input) => {
+    input.addEventListener('input', renderHistory);
+  });
+
+function updateExportButton() {
+  exportBtn.textContent = selectedHistoryIds.size > 0 ? `Export ${selectedHistoryIds.size} selected` : 'Export all';
+}
+
+// Export the selected entries, or the whole history when nothing is selected
+exportBtn.addEventListener('click', () => {
+  const entries = selectedHistoryIds.size > 0
+    ? historyEntries.filter(entry => selectedHistoryIds.has(entry.id))
+    : historyEntries;
+
+  if (entries.length === 0) {
+    showStatus('Nothing to export yet', 'error');
     return;
   }
 
-  // Show loading state
-  loadingDiv.style.display = 'block';
-  scoreSection.classList.add('hidden');
-  tabs.classList.add('hidden');
-  summarySection.classList.add('hidden');
-  crossRefSection.classList.add('hidden');
-  analyzeBtn.disabled = true;
-  showStatus('Extracting article content...', 'info');
+  const stamp = new Date().toISOString().slice(0, 10);
+  const exporters = {
+    json: () => downloadFile(`credibility-history-${stamp}.json`, exportHistoryJson(entries), 'application/json'),
+    csv: () => downloadFile(`credibility-history-${stamp}.csv`, exportHistoryCsv(entries), 'text/csv'),
+    markdown: () => downloadFile(`credibility-report-${stamp}.md`, exportHistoryMarkdown(entries), 'text/markdown'),
+    html: () => downloadFile(`credibility-report-${stamp}.html`, exportHistoryHtml(entries), 'text/html')
+  };
+  exporters[exportFormat.value]();
+});
+
+importBtn.addEventListener('click', () => importFile.click());
+
+// Import a JSON export, merging duplicates (same URL + timestamp) and reporting rejected rows
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
 
   try {
-    // Get active tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-    // Send message to service worker to start analysis
-    chrome.runtime.sendMessage(
-      { action: 'analyzeCredibility', tabId: tab.id, url: tab.url },
-      (response) => {
-        loadingDiv.style.display = 'none';
-        analyzeBtn.disabled = false;
-
-        if (chrome.runtime.lastError) {
-          showStatus(`Error: ${chrome.runtime.lastError.message}`, 'error');
-          return;
-        }
-
-        if (response.error) {
-          showStatus(`Error: ${response.error}`, 'error');
-          return;
-        }
-
-        // Display results
-        displayResults(response.data);
-        
-        // Refresh history
-        loadHistory();
-        
-        hideStatus();
-      }
-    );
+    const { entries, rejected } = importHistoryJson(await file.text());
+    const { added, duplicates } = mergeImportedEntries(historyEntries, entries);
+
+    for (const entry of added) {
+      await addHistoryEntry(entry);
+    }
+    await loadHistory();
+
+    let message = `Imported ${added.length} ${added.length === 1 ? 'entry' : 'entries'}`;
+    if (duplicates > 0) message += `, skipped ${duplicates} already in history`;
+    if (rejected.length > 0) {
+      const details = rejected.slice(0, 3).map(item => `row ${item.row}: ${item.reason}`).join('; ');
+      message += `, rejected ${rejected.length} (${details}${rejected.length > 3 ? '; ...' : ''})`;
+    }
+    showStatus(message, rejected.length > 0 ? 'error' : 'success');
   } catch (error) {
-    loadingDiv.style.display = 'none';
-    analyzeBtn.disabled = false;
-    showStatus(`Error: ${error.message}`, 'error');
+    showStatus(`Import failed: ${error.message}`, 'error');
   }
 });
 
-// Display analysis results
-function displayResults(data) {
-  const { credibility_score, reasoning_summary, corroboration_analysis, confidence, political_leaning } = data;
-
-  // Show sections
-  scoreSection.classList.remove('hidden');
-  tabs.classList.remove('hidden');
-  summarySection.classList.remove('hidden');
-  crossRefSection.classList.remove('hidden');
-
-  // Update score
-  scoreNumber.textContent = credibility_score;
-
-  // Update reliability badge
-  if (credibility_score >= 70) {
-    reliabilityBadge.textContent = 'HIGH';
-    reliabilityBadge.className = 'reliability-badge badge-high';
-  } else if (credibility_score >= 40) {
-    reliabilityBadge.textContent = 'MEDIUM';
-    reliabilityBadge.className = 'reliability-badge badge-medium';
-  } else {
-    reliabilityBadge.textContent = 'LOW';
-    reliabilityBadge.className = 'reliability-badge badge-low';
+// Open web pages in this window that can be compared
+async function loadCompareTabs() {
+  const openTabs = (await chrome.tabs.query({ currentWindow: true }))
+    .filter(tab => /^https?:\/\//.test(tab.url || ''));
+
+  if (openTabs.length < 2) {
+    compareTabList.innerHTML = '<div class="history-empty">Open the same story from at least two outlets to compare them</div>';
+    updateCompareButton();
+    return;
   }
 
-  // Display reasoning summary
-  summaryText.textContent = reasoning_summary;
+  compareTabList.innerHTML = '';
+  openTabs.forEach((tab) => {
+    const item = document.createElement('label');
+    item.className = 'compare-tab-item';
+    item.innerHTML = `
+      <input type="checkbox" value="${tab.id}">
+      <span class="compare-tab-title">${escapeHtml(tab.title || tab.url)}</span>
+      <span class="compare-tab-domain">${escapeHtml(getDomain(tab.url))}</span>
+    `;
+    item.querySelector('input').dataset.url = tab.url;
+    item.querySelector('input').dataset.title = tab.title || '';
+    compareTabList.appendChild(item);
+  });
+  updateCompareButton();
+}
 
-  // Display corroborating sources
-  if (corroboration_analysis && corroboration_analysis.length > 0) {
-    let html = '<p style="margin-bottom: 12px; font-size: 13px;">Found ' + corroboration_analysis.length + ' related articles:</p>';
-    
-    corroboration_analysis.forEach((source, index) => {
-      const icon = source.corroboration_score >= 70 ? '✅' : 
-                   source.corroboration_score >= 40 ? '⚠️' : '❌';
-      
-      html += `
-        <div class="corroboration-item">
-          <div class="corroboration-header">
-            <span class="corroboration-icon">${icon}</span>
-            <span class="corroboration-title">${escapeHtml(source.title)}</span>
-          </div>
-          <a href="${escapeHtml(source.source_url)}" target="_blank" class="corroboration-url">
-            ${escapeHtml(source.source_url)}
-          </a>
-          <div class="corroboration-score">
-            Corroboration Score: <span class="score-value">${source.corroboration_score}/100</span>
-          </div>
-        </div>
-      `;
-    });
-    
-    crossRefContent.innerHTML = html;
-  } else {
-    crossRefContent.innerHTML = '<p style="color: #9CA3AF; font-size: 13px;">No corroborating sources found</p>';
-  }
+function getSelectedCompareTabs() {
+  return Array.from(compareTabList.querySelectorAll('input:checked')).map(input => ({
+    tabId: Number(input.value),
+    url: input.dataset.url,
+    title: input.dataset.title
+  }));
+}
 
-  // Update metadata with real values from API
-  politicalLeaning.textContent = political_leaning || 'Neutral';
-  confidence.textContent = confidence ? confidence + '%' : '75%';
+function updateCompareButton() {
+  const count = getSelectedCompareTabs().length;
+  compareBtn.disabled = count < 2 || count > COMPARE_MAX_TABS || !!compareBtn.dataset.running;
+  if (!compareBtn.dataset.running) {
+    compareStatus.textContent = count > COMPARE_MAX_TABS
+      ? `Select at most ${COMPARE_MAX_TABS} tabs`
+      : `${count} selected · pick 2-${COMPARE_MAX_TABS} tabs on the same story`;
+  }
 }
 
-// Tab switching
-document.querySelectorAll('.tab').forEach(tab => {
-  tab.addEventListener('click', () => {
-    const tabName = tab.dataset.tab;
-    switchTab(tabName);
-  });
-});
+compareTabList.addEventListener('change', updateCompareButton);
 
-function switchTab(tabName) {
-  currentTab = tabName;
-  
-  // Update tab buttons
-  document.querySelectorAll('.tab').forEach(t => {
-    t.classList.toggle('active', t.dataset.tab === tabName);
+compareBtn.addEventListener('click', () => {
+  const selected = getSelectedCompareTabs();
+  compareBtn.dataset.running = 'true';
+  compareBtn.disabled = true;
+  compareResults.innerHTML = '';
+  compareStatus.textContent = `Analyzing ${selected.length} tabs...`;
+
+  const port = chrome.runtime.connect({ name: 'compare' });
+  const finish = () => {
+    port.disconnect();
+    delete compareBtn.dataset.running;
+    updateCompareButton();
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      compareStatus.textContent = message.stage === 'comparing'
+        ? `Comparing ${message.total} articles...`
+        : `Analyzed ${message.current} of ${message.total} tabs...`;
+    } else if (message.type === 'error') {
+      finish();
+      showStatus(`Error: ${describeError(message.error, message.code)}`, 'error');
+    } else if (message.type === 'result') {
+      finish();
+      displayComparison(message);
+      if (message.notice) {
+        showStatus(message.notice, 'info');
+      }
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (compareBtn.dataset.running) {
+      delete compareBtn.dataset.running;
+      updateCompareButton();
+      showStatus('Error: Lost connection to the extension. Please try again.', 'error');
+    }
   });
 
-  // Show/hide content
-  if (tabName === 'analysis') {
-    analysisContent.classList.remove('hidden');
-    historyContent.classList.add('hidden');
-  } else if (tabName === 'history') {
-    analysisContent.classList.add('hidden');
-    historyContent.classList.remove('hidden');
-    loadHistory();
+  port.postMessage({ action: 'start', tabs: selected });
+});
+
+// Comparison table: one column per outlet, one row per aspect
+function displayComparison({ articles, comparison }) {
+  let html = '';
+  if (comparison) {
+    html += `<div class="compare-summary">
+      ${escapeHtml(comparison.event_summary)}
+      ${comparison.shared_facts.length > 0 ? `<div style="margin-top: 8px;"><strong>Reported by all:</strong><ul>${comparison.shared_facts.map(fact => `<li>${escapeHtml(fact)}</li>`).join('')}</ul></div>` : ''}
+    </div>`;
   }
+
+  const list = items => items && items.length > 0
+    ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '<span style="color: #9CA3AF;">—</span>';
+
+  const cell = (article, render) => {
+    if (article.error) return `<td class="compare-error">${escapeHtml(article.error)}</td>`;
+    return `<td>${render(article)}</td>`;
+  };
+
+  const rows = [
+    ['Score', article => article.data.heuristic_only ? 'Text only' : `<strong>${article.data.credibility_score}</strong>/100`],
+    ['Leaning', article => escapeHtml(article.data.political_leaning || 'Unknown')],
+    ['Tone', article => article.coverage ? escapeHtml(article.coverage.tone) : '—'],
+    ['Includes', article => list(article.coverage && article.coverage.included_facts)],
+    ['Omits', article => list(article.coverage && article.coverage.omitted_facts)],
+    ['Only here', article => list(article.coverage && article.coverage.unique_claims)]
+  ];
+
+  html += `<div class="compare-table-wrapper"><table class="compare-table">
+    <tr><th></th>${articles.map(article => `<th><a href="${escapeHtml(article.url)}" target="_blank" class="corroboration-url">${escapeHtml(getDomain(article.url))}</a></th>`).join('')}</tr>
+    ${rows.map(([label, render]) => `<tr><th>${label}</th>${articles.map(article => cell(article, render)).join('')}</tr>`).join('')}
+  </table></div>`;
+
+  compareResults.innerHTML = html;
 }
 
-// Load and display history
-function loadHistory() {
-  chrome.storage.local.get(['analysisHistory'], (result) => {
-    const history = result.analysisHistory || [];
-    
-    historyList.innerHTML = '';
-    
-    if (history.length === 0) {
-      historyList.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #9CA3AF; font-size: 13px;">No analysis history yet</div>';
-      return;
+const LEANING_COLORS = {
+  'Left': '#2563EB',
+  'Center-Left': '#60A5FA',
+  'Center': '#9CA3AF',
+  'Center-Right': '#F87171',
+  'Right': '#DC2626',
+  'Neutral': '#D1D5DB'
+};
+
+// Per-domain reputation view built from history plus the user's known ratings
+async function loadSources() {
+  const [entries, knownRatings] = await Promise.all([getHistoryEntries(), getKnownRatings()]);
+  historyEntries = entries;
+
+  const ratedCount = Object.keys(knownRatings).length;
+  ratingsSummary.textContent = ratedCount > 0 ? `${ratedCount} known ratings loaded` : 'No known ratings loaded';
+  clearRatingsBtn.classList.toggle('hidden', ratedCount === 0);
+
+  const summaries = aggregateByDomain(entries);
+  if (summaries.length === 0) {
+    sourcesList.innerHTML = '<div class="history-empty">Analyze some articles to build source reputations</div>';
+    return;
+  }
+
+  sourcesList.innerHTML = '';
+  summaries.forEach((summary) => {
+    const knownRating = findKnownRating(knownRatings, summary.domain);
+    const comparison = compareWithKnownRating(summary, knownRating);
+    const card = document.createElement('div');
+    card.className = 'source-card';
+
+    const average = summary.averageScore === null ? '--' : summary.averageScore;
+    const averageColor = getScoreColor(summary.averageScore, uiSettings);
+    let trend = '';
+    if (summary.trend !== null) {
+      const arrow = summary.trend >= 2 ? '↗' : summary.trend <= -2 ? '↘' : '→';
+      trend = `<span class="source-trend" title="${summary.trend} points per analysis">${arrow}</span>`;
     }
 
-    // Display most recent first
-    history.reverse().forEach((item) => {
-      const timeAgo = getTimeAgo(item.timestamp);
-      const scoreColor = item.score >= 70 ? '#10B981' : item.score >= 40 ? '#F59E0B' : '#EF4444';
-      
-      const historyItem = document.createElement('div');
-      historyItem.className = 'history-item';
-      
-      historyItem.innerHTML = `
-        <div class="history-time">${timeAgo}</div>
-        <div class="history-title">${escapeHtml(item.title || item.url)}</div>
-        <div class="history-scores">
-          <div class="history-score-item">
-            <span>🎯</span>
-            <span>AI: <strong style="color: ${scoreColor}">${item.score}/100</strong></span>
-          </div>
-        </div>
-      `;
-      
-      historyItem.addEventListener('click', () => {
-        chrome.tabs.create({ url: item.url });
-      });
-      
-      historyList.appendChild(historyItem);
+    const leaningTotal = Object.values(summary.leanings).reduce((sum, count) => sum + count, 0);
+    const leaningBar = Object.keys(LEANING_COLORS)
+      .filter(leaning => summary.leanings[leaning])
+      .map(leaning => `<span style="width: ${(summary.leanings[leaning] / leaningTotal) * 100}%; background: ${LEANING_COLORS[leaning]}" title="${leaning}: ${summary.leanings[leaning]}"></span>`)
+      .join('');
+
+    let ratingLine = '';
+    if (knownRating) {
+      const source = knownRating.source ? ` (${escapeHtml(knownRating.source)})` : '';
+      ratingLine = `<div class="source-rating${comparison && comparison.disagrees ? ' disagrees' : ''}">
+        Known rating: ${knownRating.rating}/100${source}
+        ${comparison && comparison.disagrees ? ` · ⚠️ AI average is ${Math.abs(comparison.difference)} points ${comparison.difference > 0 ? 'higher' : 'lower'}` : ''}
+      </div>`;
+    }
+
+    card.innerHTML = `
+      <div class="source-header">
+        <span class="source-domain">${escapeHtml(summary.domain)}</span>
+        <span class="source-average" style="color: ${averageColor}">${average}/100 ${trend}</span>
+      </div>
+      <div class="source-meta">${summary.count} ${summary.count === 1 ? 'analysis' : 'analyses'} · last ${getTimeAgo(summary.lastAnalyzed).toLowerCase()}</div>
+      ${leaningBar ? `<div class="leaning-bar">${leaningBar}</div>` : ''}
+      ${ratingLine}
+      <div class="source-recent"></div>
+    `;
+
+    const recent = card.querySelector('.source-recent');
+    summary.recent.forEach((entry) => {
+      const link = document.createElement('button');
+      link.className = 'link-btn source-recent-item';
+      link.textContent = `${entry.title} (${entry.score === null || entry.score === undefined ? '--' : entry.score})`;
+      link.addEventListener('click', () => openHistoryEntry(entry));
+      recent.appendChild(link);
     });
+
+    sourcesList.appendChild(card);
   });
 }
 
+importRatingsBtn.addEventListener('click', () => importRatingsFile.click());
+
+// Merge a local ratings file into the stored known ratings
+importRatingsFile.addEventListener('change', async () => {
+  const file = importRatingsFile.files[0];
+  importRatingsFile.value = '';
+  if (!file) return;
+
+  try {
+    const { ratings, rejected } = parseKnownRatings(await file.text());
+    const knownRatings = Object.assign(await getKnownRatings(), ratings);
+    await saveKnownRatings(knownRatings);
+    await loadSources();
+
+    let message = `Loaded ${Object.keys(ratings).length} ratings`;
+    if (rejected.length > 0) {
+      message += `, rejected ${rejected.length} (${rejected.slice(0, 3).map(item => `row ${item.row}: ${item.reason}`).join('; ')})`;
+    }
+    showStatus(message, rejected.length > 0 ? 'error' : 'success');
+  } catch (error) {
+    showStatus(`Ratings import failed: ${error.message}`, 'error');
+  }
+});
+
+clearRatingsBtn.addEventListener('click', async () => {
+  if (confirm('Remove all known domain ratings?')) {
+    await saveKnownRatings({});
+    await loadSources();
+  }
+});
+
 // Clear history
-clearHistoryBtn.addEventListener('click', () => {
+clearHistoryBtn.addEventListener('click', async () => {
   if (confirm('Are you sure you want to clear all analysis history?')) {
-    chrome.storage.local.set({ analysisHistory: [] }, () => {
-      loadHistory();
-      showStatus('History cleared', 'success');
-      setTimeout(() => hideStatus(), 2000);
-    });
+    await clearHistoryEntries();
+    selectedHistoryIds.clear();
+    updateExportButton();
+    await loadHistory();
+    showStatus('History cleared', 'success');
+    setTimeout(() => hideStatus(), 2000);
   }
 });
 
 // Load history on popup open
 loadHistory();
-
-// Utility functions
-function showStatus(message, type) {
-  statusDiv.textContent = message;
-  statusDiv.className = `status ${type}`;
-}
-
-function hideStatus() {
-  statusDiv.className = 'status';
-}
-
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
-
-function getTimeAgo(timestamp) {
-  const seconds = Math.floor((Date.now() - timestamp) / 1000);
-  
-  if (seconds < 60) return 'Just now';
-  if (seconds < 3600) return Math.floor(seconds / 60) + ' minutes ago';
-  if (seconds < 86400) return Math.floor(seconds / 3600) + ' hours ago';
-  if (seconds < 604800) return Math.floor(seconds / 86400) + ' days ago';
-  
-  return new Date(timestamp).toLocaleDateString();
-}
\ No newline at end of file
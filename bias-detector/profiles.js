@@ -0,0 +1,307 @@
+// profiles.js - Named analysis profiles: prompt template, rubric, model settings and output fields
+// Loaded by the service worker via importScripts(), by the popup for the profile picker and
+// by the options page, which edits them. Needs settings.js for the active profile.
+//
+// Built-in profiles are defined here; edited built-ins and custom profiles are stored in
+// chrome.storage.local under analysisProfiles, and a stored profile with a built-in's id
+// replaces it until reset. The JSON output rules are not part of the template: they are
+// always appended, so an edited template cannot break parsing.
+
+const DEFAULT_PROFILE_ID = 'standard';
+const PROFILES_STORAGE_KEY = 'analysisProfiles';
+
+const PROFILE_EXPORT_FORMAT = 'newsbiasdetector-profiles';
+const PROFILE_EXPORT_VERSION = 1;
+
+// {{name}} placeholders a template may use; {{text}} is required
+const PROFILE_PLACEHOLDERS = {
+  url: 'Article URL',
+  text: 'Article text (or the section notes of a long article)',
+  metadata: 'Headline, author, publisher and dates',
+  criteria: 'The rubric below, with weights as percentages'
+};
+
+// Parts of the answer a profile can switch off; the score, summary, confidence and
+// leaning are always requested
+const PROFILE_OUTPUT_FIELDS = {
+  claims: 'Claims with verdicts and page highlights',
+  bias_dimensions: 'Bias breakdown by dimension'
+};
+
+const DEFAULT_PROMPT_TEMPLATE = `You are a credibility analysis expert. Analyze the following article and provide a credibility assessment.
+
+Article URL: {{url}}
+{{metadata}}
+Article Content:
+{{text}}
+
+Evaluate the article on these criteria, weighted as shown:
+{{criteria}}`;
+
+const BUILT_IN_PROFILES = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Standard',
+    description: 'Balanced check of sourcing, evidence and tone',
+    promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+    criteria: [
+      { label: 'Source reliability', weight: 25 },
+      { label: 'Citations and evidence', weight: 20 },
+      { label: 'Writing quality', weight: 15 },
+      { label: 'Objectivity', weight: 20 },
+      { label: 'Logical consistency', weight: 20 }
+    ],
+    model: '',
+    temperature: 0.3,
+    maxOutputTokens: 4096,
+    outputFields: { claims: true, bias_dimensions: true }
+  },
+  {
+    id: 'quick',
+    name: 'Quick check',
+    description: 'Score and summary only, for a fast and cheap first look',
+    promptTemplate: `You are a credibility analysis expert. Give a quick credibility assessment of this article.
+
+Article URL: {{url}}
+{{metadata}}
+Article Content:
+{{text}}
+
+Judge it on:
+{{criteria}}
+Keep the summary to two sentences.`,
+    criteria: [
+      { label: 'Source reliability', weight: 50 },
+      { label: 'Objectivity', weight: 50 }
+    ],
+    model: '',
+    temperature: 0.2,
+    maxOutputTokens: 1024,
+    outputFields: { claims: false, bias_dimensions: false }
+  },
+  {
+    id: 'science',
+    name: 'Scientific/health claims',
+    description: 'Evidence quality and how faithfully research is reported',
+    promptTemplate: `You are a science journalist and research methods expert. Assess how credibly this article reports scientific or health claims.
+
+Article URL: {{url}}
+{{metadata}}
+Article Content:
+{{text}}
+
+Evaluate the article on these criteria, weighted as shown:
+{{criteria}}
+Treat claims that overstate a study (correlation reported as causation, animal or lab results presented as human outcomes, single small studies presented as settled) as unsupported or disputed.`,
+    criteria: [
+      { label: 'Quality of the cited evidence (peer review, study design, sample size)', weight: 30 },
+      { label: 'Accurate representation of findings', weight: 25 },
+      { label: 'Independent expert sourcing', weight: 20 },
+      { label: 'Uncertainty and limitations acknowledged', weight: 15 },
+      { label: 'Conflicts of interest disclosed', weight: 10 }
+    ],
+    model: '',
+    temperature: 0.2,
+    maxOutputTokens: 4096,
+    outputFields: { claims: true, bias_dimensions: true }
+  },
+  {
+    id: 'political',
+    name: 'Political reporting',
+    description: 'Balance, framing and separation of news from opinion',
+    promptTemplate: `You are a media analyst specializing in political coverage. Assess the credibility and balance of this article.
+
+Article URL: {{url}}
+{{metadata}}
+Article Content:
+{{text}}
+
+Evaluate the article on these criteria, weighted as shown:
+{{criteria}}
+Judge the reporting, not the politics: a credible article can cover any side.`,
+    criteria: [
+      { label: 'Balance of sources and viewpoints', weight: 25 },
+      { label: 'Factual accuracy of claims', weight: 25 },
+      { label: 'Context and omissions', weight: 20 },
+      { label: 'Neutral language', weight: 15 },
+      { label: 'Separation of news and opinion', weight: 15 }
+    ],
+    model: '',
+    temperature: 0.3,
+    maxOutputTokens: 4096,
+    outputFields: { claims: true, bias_dimensions: true }
+  }
+];
+
+// Built-ins (with any stored edits) followed by custom profiles, each marked builtIn
+// and, for built-ins, edited
+async function getProfiles() {
+  const { [PROFILES_STORAGE_KEY]: stored } = await chrome.storage.local.get({ [PROFILES_STORAGE_KEY]: [] });
+  const byId = new Map(stored.map(profile => [profile.id, profile]));
+
+  const builtIns = BUILT_IN_PROFILES.map(profile => Object.assign(
+    normalizeProfile(byId.get(profile.id) || profile), { builtIn: true, edited: byId.has(profile.id) }));
+  const custom = stored
+    .filter(profile => !BUILT_IN_PROFILES.some(builtIn => builtIn.id === profile.id))
+    .map(profile => Object.assign(normalizeProfile(profile), { builtIn: false, edited: false }));
+
+  return builtIns.concat(custom);
+}
+
+async function getProfile(profileId) {
+  const profiles = await getProfiles();
+  return profiles.find(profile => profile.id === profileId) || profiles[0];
+}
+
+// The profile chosen in the popup, used by manual, auto and context-menu analyses
+async function getActiveProfile() {
+  const { activeProfile } = await getSettings();
+  return getProfile(activeProfile);
+}
+
+// Insert or replace a profile. Throws with the validation problem when it is invalid.
+async function saveProfile(profile) {
+  const normalized = normalizeProfile(profile);
+  const problem = validateProfile(normalized);
+  if (problem) {
+    throw new Error(`Invalid profile: ${problem}`);
+  }
+  normalized.updatedAt = Date.now();
+
+  const { [PROFILES_STORAGE_KEY]: stored } = await chrome.storage.local.get({ [PROFILES_STORAGE_KEY]: [] });
+  const others = stored.filter(existing => existing.id !== normalized.id);
+  await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: others.concat([normalized]) });
+  return normalized;
+}
+
+// Deletes a custom profile, or resets an edited built-in to its shipped version
+async function deleteProfile(profileId) {
+  const { [PROFILES_STORAGE_KEY]: stored } = await chrome.storage.local.get({ [PROFILES_STORAGE_KEY]: [] });
+  await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: stored.filter(profile => profile.id !== profileId) });
+
+  const { activeProfile } = await getSettings();
+  if (activeProfile === profileId && !BUILT_IN_PROFILES.some(profile => profile.id === profileId)) {
+    await saveSettings({ activeProfile: DEFAULT_PROFILE_ID });
+  }
+}
+
+function createProfileId() {
+  return `custom-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+}
+
+// Fill in missing fields from the default profile and coerce types, keeping only known fields
+function normalizeProfile(profile) {
+  const base = BUILT_IN_PROFILES[0];
+  const outputFields = Object.assign({}, base.outputFields, profile.outputFields);
+  return {
+    id: String(profile.id || createProfileId()),
+    name: String(profile.name || '').trim(),
+    description: String(profile.description || '').trim(),
+    promptTemplate: typeof profile.promptTemplate === 'string' ? profile.promptTemplate : base.promptTemplate,
+    criteria: (Array.isArray(profile.criteria) ? profile.criteria : base.criteria).map(criterion => ({
+      label: String(criterion.label || '').trim(),
+      weight: Number(criterion.weight)
+    })),
+    model: String(profile.model || '').trim(),
+    temperature: profile.temperature === undefined ? base.temperature : Number(profile.temperature),
+    maxOutputTokens: profile.maxOutputTokens === undefined ? base.maxOutputTokens : Number(profile.maxOutputTokens),
+    outputFields: Object.fromEntries(Object.keys(PROFILE_OUTPUT_FIELDS).map(field => [field, outputFields[field] !== false])),
+    updatedAt: Number(profile.updatedAt) || 0
+  };
+}
+
+// Describe the first problem with a normalized profile, or null when it is usable
+function validateProfile(profile) {
+  if (!profile.name) {
+    return 'name is required';
+  }
+  if (!profile.promptTemplate.includes('{{text}}')) {
+    return 'the prompt template must contain {{text}}';
+  }
+  const unknown = (profile.promptTemplate.match(/\{\{\s*(\w+)\s*\}\}/g) || [])
+    .map(placeholder => placeholder.replace(/[{}\s]/g, ''))
+    .find(name => !(name in PROFILE_PLACEHOLDERS));
+  if (unknown) {
+    return `unknown placeholder {{${unknown}}}`;
+  }
+  if (profile.criteria.some(criterion => !criterion.label || !isFinite(criterion.weight) || criterion.weight < 0)) {
+    return 'every criterion needs a label and a weight of 0 or more';
+  }
+  if (!profile.criteria.some(criterion => criterion.weight > 0)) {
+    return 'at least one criterion needs a weight above 0';
+  }
+  if (!isFinite(profile.temperature) || profile.temperature < 0 || profile.temperature > 2) {
+    return 'temperature must be between 0 and 2';
+  }
+  if (!Number.isInteger(profile.maxOutputTokens) || profile.maxOutputTokens < 256 || profile.maxOutputTokens > 32768) {
+    return 'max output tokens must be a whole number from 256 to 32768';
+  }
+  return null;
+}
+
+// Fill {{placeholders}} in the profile's template
+function renderProfilePrompt(profile, values) {
+  return profile.promptTemplate.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    (name in values ? String(values[name]) : placeholder));
+}
+
+// Rubric lines with weights as shares of the total, e.g. "- Objectivity (20%)"
+function formatProfileCriteria(criteria) {
+  const total = criteria.reduce((sum, criterion) => sum + criterion.weight, 0) || 1;
+  return criteria
+    .filter(criterion => criterion.weight > 0)
+    .map(criterion => `- ${criterion.label} (${Math.round((criterion.weight / total) * 100)}%)`)
+    .join('\n');
+}
+
+// Suffix for the analysis cache key, so results from other profiles or from before an
+// edit are not reused. Empty for the unedited default profile, which keeps older entries valid.
+function profileCacheTag(profile) {
+  if (profile.id === DEFAULT_PROFILE_ID && !profile.edited) {
+    return '';
+  }
+  return `#profile-${profile.id}-${profile.updatedAt || 0}`;
+}
+
+function exportProfilesJson(profiles) {
+  return JSON.stringify({
+    format: PROFILE_EXPORT_FORMAT,
+    version: PROFILE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles.map((profile) => {
+      const copy = normalizeProfile(profile);
+      delete copy.updatedAt;
+      return copy;
+    })
+  }, null, 2);
+}
+
+// Parse an export back into normalized profiles. Invalid profiles are reported, not imported.
+// Throws when the file is not a profile export at all.
+function parseProfilesJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!parsed || parsed.format !== PROFILE_EXPORT_FORMAT || !Array.isArray(parsed.profiles)) {
+    throw new Error('The file is not a profile export from this extension');
+  }
+  if (parsed.version > PROFILE_EXPORT_VERSION) {
+    throw new Error(`The file is from a newer version of the extension (format ${parsed.version})`);
+  }
+
+  const profiles = [];
+  const errors = [];
+  parsed.profiles.forEach((raw, index) => {
+    const profile = normalizeProfile(raw || {});
+    const problem = validateProfile(profile);
+    if (problem) {
+      errors.push(`Profile ${index + 1} (${profile.name || 'unnamed'}): ${problem}`);
+    } else {
+      profiles.push(profile);
+    }
+  });
+  return { profiles: profiles, errors: errors };
+}
@@ -0,0 +1,573 @@
+// providers.js - LLM provider adapters (Gemini, OpenAI-compatible, Anthropic, Ollama, mock)
+// Loaded by the service worker via importScripts() and by the popup for the settings panel.
+
+// Each provider exposes the same generate(prompt, config) -> text contract so the
+// analysis pipeline never needs to know which backend it is talking to.
+// config: { apiKey, model, endpoint, temperature, maxOutputTokens, responseSchema?, signal? }
+// responseSchema ({ name, schema }, see analysis-schema.js) asks the backend to enforce
+// the JSON shape through its own structured-output mode. signal (an AbortSignal) cancels
+// the request, which then fails with code CANCELLED.
+// stream(prompt, config, onText) -> text does the same through the backend's streaming
+// endpoint, calling onText with the text received so far after every chunk.
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash',
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresKey: true,
+    async generate(prompt, config) {
+      const apiUrl = `${config.endpoint}/models/${config.model}:generateContent`;
+
+      const data = await postJson(this.label, apiUrl, this.buildHeaders(config), this.buildBody(prompt, config), config.signal);
+      logDebug('Gemini response:', data);
+
+      // Check if content was blocked by safety filters
+      if (data.promptFeedback && data.promptFeedback.blockReason) {
+        throw providerError(`Content blocked by safety filters: ${data.promptFeedback.blockReason}`, 'SAFETY');
+      }
+
+      // Check if response was blocked or filtered
+      if (!data.candidates || data.candidates.length === 0) {
+        if (data.promptFeedback) {
+          throw providerError(`No response generated. Reason: ${JSON.stringify(data.promptFeedback)}`, 'NO_OUTPUT');
+        }
+        throw providerError('No response generated by API - content may have been filtered', 'NO_OUTPUT');
+      }
+
+      // Check finish reason
+      const candidate = data.candidates[0];
+      this.checkFinishReason(candidate.finishReason);
+
+      if (!candidate.content || !candidate.content.parts) {
+        logError('No content in candidate:', candidate);
+        throw providerError('Invalid response structure from Gemini API - no content found', 'NO_OUTPUT');
+      }
+
+      return candidate.content.parts.map(part => part.text || '').join('');
+    },
+
+    // Each server-sent event is a partial response carrying the next text parts
+    async stream(prompt, config, onText) {
+      const apiUrl = `${config.endpoint}/models/${config.model}:streamGenerateContent?alt=sse`;
+      let text = '';
+      let finishReason = '';
+
+      await postStream(this.label, apiUrl, this.buildHeaders(config), this.buildBody(prompt, config), config.signal, (data) => {
+        if (data.promptFeedback && data.promptFeedback.blockReason) {
+          throw providerError(`Content blocked by safety filters: ${data.promptFeedback.blockReason}`, 'SAFETY');
+        }
+        const candidate = data.candidates && data.candidates[0];
+        if (!candidate) return;
+        finishReason = candidate.finishReason || finishReason;
+        if (candidate.content && candidate.content.parts) {
+          text += candidate.content.parts.map(part => part.text || '').join('');
+          onText(text);
+        }
+      });
+
+      this.checkFinishReason(finishReason);
+      if (!text) {
+        throw providerError('No response generated by API - content may have been filtered', 'NO_OUTPUT');
+      }
+      return text;
+    },
+
+    // In a header rather than the ?key= parameter, which ends up in proxy and server logs
+    buildHeaders(config) {
+      return { 'x-goog-api-key': config.apiKey };
+    },
+
+    buildBody(prompt, config) {
+      return {
+        contents: [
+          {
+            parts: [
+              {
+                text: prompt
+              }
+            ]
+          }
+        ],
+        generationConfig: Object.assign({
+          temperature: config.temperature,
+          maxOutputTokens: config.maxOutputTokens
+        }, config.responseSchema ? {
+          responseMimeType: 'application/json',
+          // Gemini's OpenAPI-style schema has no additionalProperties
+          responseSchema: adaptSchema(config.responseSchema.schema, ['additionalProperties'])
+        } : {})
+      };
+    },
+
+    checkFinishReason(finishReason) {
+      if (finishReason && finishReason !== 'STOP') {
+        logWarn('Unusual finish reason:', finishReason);
+        if (finishReason === 'SAFETY') {
+          throw providerError('Response blocked by safety filters', 'SAFETY');
+        }
+        if (finishReason === 'MAX_TOKENS') {
+          throw providerError('Response incomplete - hit token limit. Try a shorter article.', 'MAX_TOKENS');
+        }
+      }
+    }
+  },
+
+  // Covers OpenAI itself plus anything speaking the same /chat/completions dialect
+  // (llama.cpp server, LM Studio, vLLM, OpenRouter...). Local servers usually need no key.
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultEndpoint: 'https://api.openai.com/v1',
+    requiresKey: false,
+    async generate(prompt, config) {
+      const data = await postJson(this.label, `${config.endpoint}/chat/completions`,
+        this.buildHeaders(config), this.buildBody(prompt, config), config.signal);
+
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw providerError('No response generated by API', 'NO_OUTPUT');
+      }
+      this.checkFinishReason(choice.finish_reason);
+
+      return choice.message.content || '';
+    },
+
+    async stream(prompt, config, onText) {
+      const body = Object.assign(this.buildBody(prompt, config), { stream: true });
+      let text = '';
+      let finishReason = '';
+
+      await postStream(this.label, `${config.endpoint}/chat/completions`, this.buildHeaders(config), body, config.signal, (data) => {
+        // Some servers end with a usage-only chunk that has no choices
+        const choice = data.choices && data.choices[0];
+        if (!choice) return;
+        finishReason = choice.finish_reason || finishReason;
+        if (choice.delta && choice.delta.content) {
+          text += choice.delta.content;
+          onText(text);
+        }
+      });
+
+      this.checkFinishReason(finishReason);
+      if (!text) {
+        throw providerError('No response generated by API', 'NO_OUTPUT');
+      }
+      return text;
+    },
+
+    buildHeaders(config) {
+      const headers = {};
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+      return headers;
+    },
+
+    buildBody(prompt, config) {
+      const body = {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: config.temperature,
+        max_tokens: config.maxOutputTokens
+      };
+      if (config.responseSchema) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: {
+            name: config.responseSchema.name,
+            strict: true,
+            // Strict mode rejects numeric range keywords; the validator clamps instead
+            schema: adaptSchema(config.responseSchema.schema, ['minimum', 'maximum'])
+          }
+        };
+      }
+      return body;
+    },
+
+    checkFinishReason(finishReason) {
+      if (finishReason === 'content_filter') {
+        throw providerError('Response blocked by content filter', 'SAFETY');
+      }
+      if (finishReason === 'length') {
+        throw providerError('Response incomplete - hit token limit. Try a shorter article.', 'MAX_TOKENS');
+      }
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultEndpoint: 'https://api.anthropic.com/v1',
+    requiresKey: true,
+    async generate(prompt, config) {
+      const data = await postJson(this.label, `${config.endpoint}/messages`,
+        this.buildHeaders(config), this.buildBody(prompt, config), config.signal);
+
+      this.checkStopReason(data.stop_reason);
+      if (!Array.isArray(data.content) || data.content.length === 0) {
+        throw providerError('No response generated by API', 'NO_OUTPUT');
+      }
+
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+
+    // Text arrives as text_delta events; a forced tool call streams its input as raw JSON
+    // fragments (input_json_delta), which concatenate to the same JSON the tool receives
+    async stream(prompt, config, onText) {
+      const body = Object.assign(this.buildBody(prompt, config), { stream: true });
+      let text = '';
+      let stopReason = '';
+
+      await postStream(this.label, `${config.endpoint}/messages`, this.buildHeaders(config), body, config.signal, (event) => {
+        if (event.type === 'error') {
+          const overloaded = event.error && event.error.type === 'overloaded_error';
+          throw providerError(`${this.label} API error: ${event.error ? event.error.message : 'stream failed'}`,
+            overloaded ? 'UNAVAILABLE' : 'HTTP');
+        }
+        if (event.type === 'message_delta' && event.delta) {
+          stopReason = event.delta.stop_reason || stopReason;
+        }
+        if (event.type === 'content_block_delta' && event.delta) {
+          text += event.delta.text || event.delta.partial_json || '';
+          onText(text);
+        }
+      });
+
+      this.checkStopReason(stopReason);
+      if (!text) {
+        throw providerError('No response generated by API', 'NO_OUTPUT');
+      }
+      return text;
+    },
+
+    buildHeaders(config) {
+      return {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for requests coming straight from an extension rather than a backend
+        'anthropic-dangerous-direct-browser-access': 'true'
+      };
+    },
+
+    buildBody(prompt, config) {
+      const body = {
+        model: config.model,
+        max_tokens: config.maxOutputTokens,
+        temperature: config.temperature,
+        messages: [{ role: 'user', content: prompt }]
+      };
+      // Structured output through a forced tool call whose input is the schema
+      if (config.responseSchema) {
+        body.tools = [{
+          name: config.responseSchema.name,
+          description: 'Record the analysis result.',
+          input_schema: config.responseSchema.schema
+        }];
+        body.tool_choice = { type: 'tool', name: config.responseSchema.name };
+      }
+      return body;
+    },
+
+    checkStopReason(stopReason) {
+      if (stopReason === 'refusal') {
+        throw providerError('Response blocked by safety filters', 'SAFETY');
+      }
+      if (stopReason === 'max_tokens') {
+        throw providerError('Response incomplete - hit token limit. Try a shorter article.', 'MAX_TOKENS');
+      }
+    }
+  },
+
+  ollama: {
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.1',
+    defaultEndpoint: 'http://localhost:11434',
+    requiresKey: false,
+    async generate(prompt, config) {
+      const data = await postJson(this.label, `${config.endpoint}/api/chat`, {}, this.buildBody(prompt, config, false), config.signal);
+
+      if (data.done_reason === 'length') {
+        throw providerError('Response incomplete - hit token limit. Try a shorter article.', 'MAX_TOKENS');
+      }
+      if (!data.message || !data.message.content) {
+        throw providerError('No response generated by local model', 'NO_OUTPUT');
+      }
+
+      return data.message.content;
+    },
+
+    // Streams newline-delimited JSON objects rather than server-sent events
+    async stream(prompt, config, onText) {
+      let text = '';
+      let doneReason = '';
+
+      await postStream(this.label, `${config.endpoint}/api/chat`, {}, this.buildBody(prompt, config, true), config.signal, (data) => {
+        if (data.error) {
+          throw providerError(`${this.label} error: ${data.error}`, 'HTTP');
+        }
+        doneReason = data.done_reason || doneReason;
+        if (data.message && data.message.content) {
+          text += data.message.content;
+          onText(text);
+        }
+      });
+
+      if (doneReason === 'length') {
+        throw providerError('Response incomplete - hit token limit. Try a shorter article.', 'MAX_TOKENS');
+      }
+      if (!text) {
+        throw providerError('No response generated by local model', 'NO_OUTPUT');
+      }
+      return text;
+    },
+
+    buildBody(prompt, config, stream) {
+      return {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: stream,
+        // Ollama accepts a full JSON schema as the output format
+        format: config.responseSchema ? config.responseSchema.schema : undefined,
+        options: {
+          temperature: config.temperature,
+          num_predict: config.maxOutputTokens
+        }
+      };
+    }
+  },
+
+  // Offline provider for exercising the whole pipeline without network or quota.
+  // Scores are derived from the prompt so the same article always gets the same result.
+  mock: {
+    label: 'Mock (offline)',
+    defaultModel: 'mock-1',
+    defaultEndpoint: '',
+    requiresKey: false,
+    async generate(prompt) {
+      let hash = 0;
+      for (let i = 0; i < prompt.length; i++) {
+        hash = (hash * 31 + prompt.charCodeAt(i)) >>> 0;
+      }
+      const leanings = ['Left', 'Center-Left', 'Center', 'Center-Right', 'Right', 'Neutral'];
+
+      // Coverage comparison prompts (comparison.js) get one entry per outlet
+      const outletCount = (prompt.match(/^=== Outlet \d+:/gm) || []).length;
+      if (outletCount > 0) {
+        return JSON.stringify({
+          event_summary: 'Mock comparison generated offline.',
+          shared_facts: ['Mock shared fact'],
+          outlets: Array.from({ length: outletCount }, (unused, index) => ({
+            outlet: index + 1,
+            tone: ['measured', 'emotive', 'neutral'][(hash + index) % 3],
+            included_facts: [`Mock detail only outlet ${index + 1} reports`],
+            omitted_facts: [],
+            unique_claims: []
+          }))
+        });
+      }
+
+      // Quote the first sentences of the article so highlighting can be exercised offline
+      const contentStart = prompt.indexOf('Article Content:\n');
+      const sentences = contentStart === -1 ? [] :
+        (prompt.substring(contentStart + 17).match(/[^.!?\n]{20,200}[.!?]/g) || []).slice(0, 2);
+      const verdicts = ['supported', 'unsupported', 'disputed', 'opinion'];
+
+      return JSON.stringify({
+        credibility_score: 40 + (hash % 50),
+        reasoning_summary: 'Mock analysis generated offline. The article was not sent to any model.',
+        confidence: 50 + (hash % 40),
+        political_leaning: leanings[hash % leanings.length],
+        claims: sentences.map((sentence, index) => ({
+          claim: sentence.trim(),
+          quote: sentence.trim(),
+          verdict: verdicts[(hash + index) % verdicts.length],
+          rationale: 'Mock verdict for offline testing.'
+        })),
+        bias_dimensions: Object.fromEntries(BIAS_DIMENSIONS.map(({ key }, index) => [key, {
+          score: (hash >>> index) % 80,
+          summary: 'Mock dimension score for offline testing.',
+          examples: sentences.slice(0, 1).map(sentence => sentence.trim())
+        }]))
+      });
+    },
+
+    // Replays the generated answer in small pieces so the streaming UI can be tried offline
+    async stream(prompt, config, onText) {
+      const text = await this.generate(prompt);
+      const pieceLength = Math.ceil(text.length / 12);
+
+      for (let end = pieceLength; end < text.length + pieceLength; end += pieceLength) {
+        await new Promise(resolve => setTimeout(resolve, 80));
+        if (config.signal && config.signal.aborted) {
+          throw cancelledError();
+        }
+        onText(text.substring(0, end));
+      }
+      return text;
+    }
+  }
+};
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// POST a JSON body and return the parsed JSON response, mapping HTTP failures to provider errors
+async function postJson(providerLabel, url, headers, body, signal) {
+  const response = await sendJson(providerLabel, url, headers, body, signal);
+  try {
+    return await readJson(response, signal);
+  } catch (error) {
+    throw asCancellation(error);
+  }
+}
+
+// POST a JSON body and hand each event of the streamed reply to onEvent. Handles both
+// server-sent events ("data: {...}" lines) and newline-delimited JSON; an exception thrown
+// by onEvent stops reading and is rethrown, as is a stall longer than STREAM_IDLE_TIMEOUT_MS.
+async function postStream(providerLabel, url, headers, body, signal, onEvent) {
+  const response = await sendJson(providerLabel, url, headers, body, signal);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const payload = line.replace(/^data:\s*/, '').trim();
+    // Blank separators, "event:" names, ":" keep-alive comments and OpenAI's end marker
+    if (!payload || payload === '[DONE]' || /^(?:event|id|retry):/.test(payload) || payload.startsWith(':')) {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      logWarn('Skipping malformed stream line:', payload);
+      return;
+    }
+    onEvent(event);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await readWithTimeout(reader, STREAM_IDLE_TIMEOUT_MS, signal);
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        handleLine(buffer.substring(0, newline));
+        buffer = buffer.substring(newline + 1);
+      }
+    }
+    handleLine(buffer + decoder.decode());
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw asCancellation(error);
+  }
+}
+
+// Timeouts and retries come from fetchWithRetry() (request.js)
+async function sendJson(providerLabel, url, headers, body, signal) {
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: JSON.stringify(body)
+  }, { signal: signal });
+
+  if (!response.ok) {
+    // Error bodies are not always JSON (proxies, local servers), so read as text first
+    const rawBody = await readText(response, signal).catch(() => '');
+    let errorData = {};
+    try {
+      errorData = JSON.parse(rawBody);
+    } catch (parseError) {
+      errorData = { error: { message: rawBody.substring(0, 200) } };
+    }
+    logError('API Error Response:', errorData);
+    throw mapHttpError(providerLabel, response, errorData);
+  }
+
+  return response;
+}
+
+// Translate HTTP status codes into errors with a stable code the UI can react to
+function mapHttpError(providerLabel, response, errorData) {
+  const detail = (errorData.error && (errorData.error.message || errorData.error)) ||
+    errorData.message || response.statusText;
+
+  if (response.status === 401 || response.status === 403) {
+    return providerError(`${providerLabel} rejected the API key: ${detail}`, 'AUTH');
+  }
+  if (response.status === 429) {
+    return providerError(`${providerLabel} rate limit reached: ${detail}`, 'RATE_LIMIT');
+  }
+  if (response.status === 503 || response.status === 529) {
+    return providerError(`${providerLabel} is overloaded: ${detail}`, 'UNAVAILABLE');
+  }
+  return providerError(`${providerLabel} API error: ${detail}`, 'HTTP');
+}
+
+function providerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function cancelledError() {
+  return providerError('Analysis cancelled', 'CANCELLED');
+}
+
+// fetch() and stream reads reject with a DOMException when their signal aborts
+function asCancellation(error) {
+  return error && error.name === 'AbortError' ? cancelledError() : error;
+}
+
+// Per-provider settings live under their own keys (geminiApiKey, openaiModel, ...)
+// so switching providers never overwrites another provider's key. Models and endpoints
+// are in chrome.storage.sync; keys are kept by key-store.js.
+function providerStorageKey(providerId, field) {
+  return `${providerId}${field}`;
+}
+
+// Load the active (or given) provider together with its stored key, model and endpoint.
+// keysLocked is set when the key is encrypted and the passphrase has not been entered yet.
+async function getProviderConfig(providerId) {
+  const { llmProvider } = await chrome.storage.sync.get({ llmProvider: DEFAULT_PROVIDER });
+  const id = providerId || llmProvider;
+  const provider = PROVIDERS[id];
+
+  if (!provider) {
+    throw new Error(`Unknown provider: ${id}`);
+  }
+
+  const keys = ['Model', 'Endpoint'].map(field => providerStorageKey(id, field));
+  const stored = await chrome.storage.sync.get(keys);
+  const { apiKey, locked } = await readApiKey(id);
+
+  return {
+    provider: id,
+    apiKey: apiKey,
+    keysLocked: locked,
+    model: stored[providerStorageKey(id, 'Model')] || provider.defaultModel,
+    endpoint: (stored[providerStorageKey(id, 'Endpoint')] || provider.defaultEndpoint).replace(/\/+$/, '')
+  };
+}
+
+// Persist settings for one provider and make it the active one. An undefined apiKey
+// leaves the stored key as it is.
+async function saveProviderConfig(providerId, { apiKey, model, endpoint }) {
+  if (apiKey !== undefined) {
+    await writeApiKey(providerId, apiKey);
+  }
+  await chrome.storage.sync.set({
+    llmProvider: providerId,
+    [providerStorageKey(providerId, 'Model')]: model,
+    [providerStorageKey(providerId, 'Endpoint')]: endpoint
+  });
+}
@@ -0,0 +1,265 @@
+// request.js - Request layer for provider calls: timeouts, retries with backoff, error hints
+// and the daily usage counter. Loaded by the service worker via importScripts(), by the
+// popup for the error hints and by the options page for the key test and the usage shown there.
+
+// How long a provider gets to start answering, and then to send a whole non-streamed body
+// (readText); a streamed answer gets STREAM_IDLE_TIMEOUT_MS between chunks
+const REQUEST_TIMEOUT_MS = 60000;
+const STREAM_IDLE_TIMEOUT_MS = 30000;
+
+// Retries after the first attempt, for throttling, overload and dropped connections
+const REQUEST_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+// A Retry-After longer than this fails right away instead of leaving the popup spinning
+const RETRY_MAX_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+
+// What the user can do about each error code, shown after the error message
+const API_ERROR_HINTS = {
+  AUTH: 'Check the API key in settings.',
+  RATE_LIMIT: 'The provider is throttling requests. Wait a minute and try again.',
+  UNAVAILABLE: 'The provider is overloaded. Try again shortly or switch providers in settings.',
+  TIMEOUT: 'The model took too long to answer. Try again or choose a faster model.',
+  NETWORK: 'Check your connection, or that the local server is running if you use one.',
+  QUOTA: 'Raise the daily request limit in settings or try again tomorrow.',
+  LOCKED: 'Enter your passphrase in the popup to unlock your API keys.',
+  SAFETY: 'The provider refused this content. Try another provider.',
+  MAX_TOKENS: 'A model with a larger output limit may help.',
+  NO_OUTPUT: 'Try again, or choose another model.',
+  INVALID_JSON: 'The model\'s answer was unusable. Try again or choose a stronger model.',
+  INVALID_OUTPUT: 'The model\'s answer was unusable. Try again or choose a stronger model.',
+  HTTP: 'Check the model name and endpoint in settings.',
+  // Extraction failures, from extractArticleContent() in the service worker
+  NO_TEXT: 'Wait for the page to finish loading, or select the text and analyze the selection.',
+  NO_SELECTION: 'Select the passage to analyze first.',
+  TOO_SHORT: 'Select the article text and analyze the selection, or lower the minimum article length in options.',
+  PAYWALLED: 'Log in or open the full article, or select the visible part and analyze the selection.',
+  RESTRICTED_PAGE: 'Browser pages, the Web Store and the built-in PDF viewer cannot be analyzed.',
+  EXTRACTION_FAILED: 'Reload the page and try again.'
+};
+
+// Error message followed by the suggested fix for its code, if there is one
+function describeError(message, code) {
+  const hint = API_ERROR_HINTS[code];
+  if (!hint) {
+    return message;
+  }
+  return /[.!?]$/.test(message) ? `${message} ${hint}` : `${message}. ${hint}`;
+}
+
+// fetch() with a timeout per attempt and retries on network failures and retryable
+// statuses. Resolves to the last response, OK or not, so the caller can still read the
+// error body. Rejects with code TIMEOUT, NETWORK or CANCELLED (options.signal aborted).
+async function fetchWithRetry(url, init, options) {
+  const signal = options.signal;
+  const timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetchWithDeadline(url, init, signal, timeoutMs);
+    } catch (error) {
+      // A slow model is just as slow the second time, and a cancel is final
+      if (error.code !== 'NETWORK') {
+        throw error;
+      }
+      failure = error;
+    }
+
+    if (!failure && !RETRYABLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+    const delay = attempt < REQUEST_MAX_RETRIES ? retryDelay(response, attempt) : null;
+    if (delay === null) {
+      if (failure) {
+        throw failure;
+      }
+      return response;
+    }
+
+    logWarn(`Request failed (${failure ? failure.message : `HTTP ${response.status}`}), retry ${attempt + 1} in ${Math.round(delay)} ms`);
+    if (response && response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    await sleep(delay, signal);
+  }
+}
+
+async function fetchWithDeadline(url, init, signal, timeoutMs) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+
+  // Own controller per attempt so the timeout can abort it; the caller's signal is forwarded
+  // until the headers are in, and the body readers (readText, readWithTimeout) watch it after
+  const controller = new AbortController();
+  const stopListening = onSignalAbort(signal, () => controller.abort());
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+  } catch (error) {
+    if (timedOut) {
+      throw providerError(`No response from ${new URL(url).host} within ${timeoutMs / 1000} seconds`, 'TIMEOUT');
+    }
+    if (error.name === 'AbortError') {
+      throw cancelledError();
+    }
+    throw providerError(`Could not reach ${new URL(url).host}: ${error.message}`, 'NETWORK');
+  } finally {
+    clearTimeout(timer);
+    stopListening();
+  }
+}
+
+// Retry-After (seconds or an HTTP date) when the server sends one, otherwise exponential
+// backoff with jitter. null when the server asks for a longer wait than RETRY_MAX_DELAY_MS.
+function retryDelay(response, attempt) {
+  const header = response ? response.headers.get('retry-after') : null;
+  if (header) {
+    const seconds = Number(header);
+    const delay = isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (isFinite(delay)) {
+      return delay > RETRY_MAX_DELAY_MS ? null : Math.max(0, delay);
+    }
+  }
+  return RETRY_BASE_DELAY_MS * 2 ** attempt + Math.random() * 250;
+}
+
+function sleep(ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(cancelledError());
+  }
+  return new Promise((resolve, reject) => {
+    const stopListening = onSignalAbort(signal, () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    });
+    const timer = setTimeout(() => {
+      stopListening();
+      resolve();
+    }, ms);
+  });
+}
+
+// The whole body of a fetchWithRetry() response as text. The deadline of fetchWithRetry()
+// ends with the headers, so the body gets timeoutMs of its own: a body that stalls fails with
+// TIMEOUT, and aborting signal fails the read with CANCELLED.
+async function readText(response, signal, timeoutMs) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+  if (!response.body) {
+    return '';
+  }
+  const limit = timeoutMs || REQUEST_TIMEOUT_MS;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  let timer;
+  let stopListening;
+  const stopped = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(providerError(`The response did not finish within ${limit / 1000} seconds`, 'TIMEOUT'));
+    }, limit);
+    stopListening = onSignalAbort(signal, () => reject(cancelledError()));
+  });
+
+  let text = '';
+  try {
+    while (true) {
+      const { done, value } = await Promise.race([reader.read(), stopped]);
+      if (done) {
+        return text + decoder.decode();
+      }
+      text += decoder.decode(value, { stream: true });
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    stopListening();
+  }
+}
+
+// readText() parsed as JSON
+async function readJson(response, signal, timeoutMs) {
+  return JSON.parse(await readText(response, signal, timeoutMs));
+}
+
+// Call onAbort when signal (optional) aborts. Returns a function that stops listening, for
+// when the work the signal could cancel is over.
+function onSignalAbort(signal, onAbort) {
+  if (!signal) {
+    return () => {};
+  }
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+// reader.read() on a streamed body, failing with TIMEOUT when the stream stalls and with
+// CANCELLED when signal aborts
+function readWithTimeout(reader, timeoutMs, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(cancelledError());
+  }
+  let timer;
+  let stopListening;
+  const stalled = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(providerError(`The response stream stalled for ${timeoutMs / 1000} seconds`, 'TIMEOUT'));
+    }, timeoutMs);
+    stopListening = onSignalAbort(signal, () => reject(cancelledError()));
+  });
+  return Promise.race([reader.read(), stalled]).finally(() => {
+    clearTimeout(timer);
+    stopListening();
+  });
+}
+
+// Provider requests and estimated tokens (prompt plus answer) for the current day,
+// kept in chrome.storage.local as { date, requests, tokens }
+async function getApiUsage() {
+  const today = new Date().toISOString().slice(0, 10);
+  const { apiUsage } = await chrome.storage.local.get(['apiUsage']);
+  return apiUsage && apiUsage.date === today ? apiUsage : { date: today, requests: 0, tokens: 0 };
+}
+
+// The last pending change to the counter. Chunks, comparisons and auto runs call providers in
+// parallel, and each change reads and rewrites the counter, so they run one after another.
+let apiUsageWrites = Promise.resolve();
+
+function editApiUsage(edit) {
+  const write = apiUsageWrites.then(async () => {
+    const usage = await getApiUsage();
+    edit(usage);
+    await chrome.storage.local.set({ apiUsage: usage });
+  });
+  apiUsageWrites = write.catch(() => {});
+  return write;
+}
+
+// Count a request before it is sent, failing with code QUOTA once today's requests reach the
+// limit (0 means no limit). Checking and counting are one step, so parallel calls cannot all
+// take the last request left.
+function reserveApiRequest(dailyLimit) {
+  return editApiUsage((usage) => {
+    if (dailyLimit && usage.requests >= dailyLimit) {
+      throw providerError(`Daily limit of ${dailyLimit} API requests reached`, 'QUOTA');
+    }
+    usage.requests += 1;
+  });
+}
+
+// Add a finished request's estimated tokens
+function recordApiTokens(tokens) {
+  return editApiUsage((usage) => {
+    usage.tokens += tokens;
+  });
+}
@@ -0,0 +1,133 @@
+// result-panel.js - Small in-page panel for context-menu analyses of selections and links, and
+// for links analyzed from their badge
+// Loaded as a content script before content-script.js, which routes messages to it.
+
+const PANEL_SOURCE_LABELS = {
+  selection: 'Selected text',
+  link: 'Linked article',
+  viewport: 'Visible part',
+  page: 'This page'
+};
+
+// state: { status: 'loading' | 'result' | 'error', sourceType, message?, url?, data?, notice?,
+// scoreColor? (the score's band color under the user's thresholds) }
+function showResultPanel(state) {
+  injectResultPanelStyles();
+
+  let panel = document.getElementById('cred-result-panel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'cred-result-panel';
+    document.body.appendChild(panel);
+  }
+  panel.textContent = '';
+
+  const header = document.createElement('div');
+  header.className = 'cred-panel-header';
+  const title = document.createElement('span');
+  title.textContent = `Credibility · ${PANEL_SOURCE_LABELS[state.sourceType] || 'Analysis'}`;
+  const close = document.createElement('button');
+  close.type = 'button';
+  close.className = 'cred-panel-close';
+  close.textContent = '✕';
+  close.title = 'Close';
+  close.addEventListener('click', hideResultPanel);
+  header.append(title, close);
+  panel.appendChild(header);
+
+  if (state.status === 'loading' || state.status === 'error') {
+    const message = document.createElement('div');
+    message.className = state.status === 'error' ? 'cred-panel-error' : 'cred-panel-loading';
+    message.textContent = state.message;
+    panel.appendChild(message);
+    return;
+  }
+
+  const data = state.data;
+  const info = data.article || {};
+
+  if (state.sourceType === 'link') {
+    const link = document.createElement('a');
+    link.className = 'cred-panel-link';
+    link.href = state.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = info.headline || state.url;
+    panel.appendChild(link);
+  }
+
+  const score = document.createElement('div');
+  score.className = 'cred-panel-score';
+  if (data.heuristic_only) {
+    score.textContent = `Text signals: ${data.heuristic.score}/100`;
+  } else {
+    const value = document.createElement('strong');
+    value.textContent = `${data.credibility_score}/100`;
+    value.style.color = state.scoreColor;
+    score.append(value, ` · ${data.political_leaning} · ${data.confidence}% confidence`);
+  }
+  panel.appendChild(score);
+
+  const summary = document.createElement('div');
+  summary.className = 'cred-panel-summary';
+  summary.textContent = data.heuristic_only ? (state.notice || '') : data.reasoning_summary;
+  panel.appendChild(summary);
+
+  (data.claims || []).slice(0, 3).forEach((claim) => {
+    const item = document.createElement('div');
+    item.className = 'cred-panel-claim';
+    const verdict = document.createElement('span');
+    verdict.className = `cred-claim-tooltip-verdict cred-claim-${claim.verdict}`;
+    verdict.textContent = CLAIM_VERDICT_LABELS[claim.verdict] || claim.verdict;
+    item.append(verdict, ` ${claim.claim}`);
+    panel.appendChild(item);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'cred-panel-footer';
+  footer.textContent = 'Saved to history · open the extension popup for details';
+  panel.appendChild(footer);
+}
+
+function hideResultPanel() {
+  const panel = document.getElementById('cred-result-panel');
+  if (panel) panel.remove();
+}
+
+function injectResultPanelStyles() {
+  if (document.getElementById('cred-result-panel-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'cred-result-panel-styles';
+  style.textContent = `
+    #cred-result-panel {
+      position: fixed; top: 16px; right: 16px; z-index: 2147483647; width: 320px; max-height: 70vh;
+      overflow-y: auto; background: white; color: #1F2937; border-radius: 10px; padding: 12px 14px;
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25); text-align: left;
+    }
+    #cred-result-panel .cred-panel-header {
+      display: flex; justify-content: space-between; align-items: center;
+      font-weight: 600; color: #2563EB; margin-bottom: 8px;
+    }
+    #cred-result-panel .cred-panel-close {
+      background: none; border: none; cursor: pointer; font-size: 14px; color: #6B7280; padding: 0 2px;
+    }
+    #cred-result-panel .cred-panel-link { display: block; color: #2563EB; font-weight: 500; margin-bottom: 6px; }
+    #cred-result-panel .cred-panel-score { margin-bottom: 6px; }
+    #cred-result-panel .cred-panel-summary { color: #4B5563; margin-bottom: 8px; }
+    #cred-result-panel .cred-panel-claim { font-size: 12px; margin-bottom: 6px; }
+    #cred-result-panel .cred-claim-tooltip-verdict {
+      display: inline-block; font-size: 10px; font-weight: 600; text-transform: uppercase;
+      padding: 1px 6px; border-radius: 4px;
+    }
+    #cred-result-panel .cred-claim-supported { background: rgba(16, 185, 129, 0.25); }
+    #cred-result-panel .cred-claim-unsupported { background: rgba(245, 158, 11, 0.25); }
+    #cred-result-panel .cred-claim-disputed { background: rgba(239, 68, 68, 0.25); }
+    #cred-result-panel .cred-claim-opinion { background: rgba(139, 92, 246, 0.18); }
+    #cred-result-panel .cred-panel-loading { color: #6B7280; }
+    #cred-result-panel .cred-panel-error { color: #DC2626; }
+    #cred-result-panel .cred-panel-footer { font-size: 11px; color: #9CA3AF; margin-top: 8px; }
+  `;
+  document.head.appendChild(style);
+}
@@ -1,109 +1,707 @@
 // service-worker.js - Background script for API calls, messaging, and storage
 
+importScripts('settings.js', 'logger.js', 'request.js', 'providers.js', 'key-store.js', 'profiles.js', 'heuristics.js', 'token-budget.js', 'cache.js', 'history-store.js',
+  'migrations.js', 'source-reputation.js', 'auto-analysis.js', 'analysis-schema.js', 'corroboration.js',
+  'comparison.js', 'context-menu.js', 'link-scores.js', 'article-watch.js');
+
+// Same list and order as content_scripts in manifest.json
+const CONTENT_SCRIPT_FILES = ['extractor.js', 'highlighter.js', 'result-panel.js', 'link-badges.js', 'content-script.js'];
+
+// Upgrade stored settings and data from older versions (see migrations.js)
+chrome.runtime.onInstalled.addListener(() => {
+  runMigrations().catch(error => logError('Settings migration failed:', error));
+  createContextMenus();
+  updateWatchAlarm().catch(error => logError('Could not schedule article watch:', error));
+});
+
+// Retry a migration that failed last time, and drop history past its retention period
+chrome.runtime.onStartup.addListener(() => {
+  runMigrations().catch(error => logError('Settings migration failed:', error));
+  applyHistoryRetention().catch(error => logError('History pruning failed:', error));
+  updateWatchAlarm().catch(error => logError('Could not schedule article watch:', error));
+});
+
+// Lowering the history limits in options takes effect right away, and so does a new
+// interval for watched articles
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.historyMaxEntries || changes.historyRetentionDays)) {
+    applyHistoryRetention().catch(error => logError('History pruning failed:', error));
+  }
+  if (areaName === 'sync' && changes.watchIntervalMinutes) {
+    updateWatchAlarm().catch(error => logError('Could not schedule article watch:', error));
+  }
+});
+
+// Periodic re-check of watched articles that are open (article-watch.js)
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) {
+    checkOpenWatchedArticles().catch(error => logWarn('Watched article check failed:', error.message));
+  }
+});
+
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'analyzeCredibility') {
-    handleAnalysis(request.tabId, request.url, sendResponse);
-    return true; // Keep message channel open for async response
+  if (request.action === 'getTabResult') {
+    handleGetTabResult(request.tabId, request.url, sendResponse);
+    return true;
+  }
+  if (request.action === 'clearCache') {
+    clearAnalysisCache().then(() => sendResponse({ cleared: true }));
+    return true;
+  }
+  // From the content script: a single-page app moved to another route
+  if (request.action === 'pageNavigated' && sender.tab) {
+    handlePageNavigated(sender.tab.id, request.url);
+  }
+  // Link badges on listing pages (link-scores.js)
+  if (request.action === 'getLinkBadgeSelector') {
+    getLinkBadgeSelector(request.url).then(selector => sendResponse({ selector: selector }));
+    return true;
+  }
+  if (request.action === 'getLinkScores') {
+    getLinkScores(request.urls || [])
+      .then(badges => sendResponse({ badges: badges }))
+      .catch((error) => {
+        logWarn('Could not score links:', error.message);
+        sendResponse({ badges: {} });
+      });
+    return true;
+  }
+  if (request.action === 'queueLinkAnalysis' && sender.tab) {
+    sendResponse(queueLinkAnalysis(sender.tab.id, request.url));
+  }
+  // Watching an article for changes (article-watch.js)
+  if (request.action === 'getWatch') {
+    getArticleWatch(request.url).then(watch => sendResponse({ watch: watch }));
+    return true;
+  }
+  if (request.action === 'watchArticle') {
+    watchArticle(request.tabId, request.url)
+      .then(watch => sendResponse({ watch: watch }))
+      .catch((error) => {
+        logWarn('Could not watch article:', error.message);
+        sendResponse({ error: describeError(error.message, error.code) });
+      });
+    return true;
+  }
+  if (request.action === 'unwatchArticle') {
+    unwatchArticle(request.url).then(() => sendResponse({ watch: null }));
+    return true;
+  }
+});
+
+// Long-running work for the popup and side panel goes over a port so progress can be pushed as it happens.
+// Port messages: { type: 'progress', stage, ... }, { type: 'result', ... }, { type: 'error', error },
+// { type: 'cancelled' } and, for 'attach' when nothing is running, { type: 'idle' }.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'analysis') {
+    port.onMessage.addListener((message) => {
+      if (message.action === 'start') {
+        startAnalysis(message.tabId, message.url, message.force, message.scope, port);
+      } else if (message.action === 'attach') {
+        attachToAnalysis(message.tabId, port);
+      } else if (message.action === 'cancel') {
+        cancelAnalysis(message.tabId);
+      }
+    });
+  } else if (port.name === 'compare') {
+    port.onMessage.addListener((message) => {
+      if (message.action === 'start') {
+        handleComparison(message.tabs, port);
+      }
+    });
   }
 });
 
-// Main analysis handler
-async function handleAnalysis(tabId, url, sendResponse) {
+// Popup- and side-panel-initiated analyses by tab id: { controller, ports, stage, partial }.
+// A run outlives the popup that started it; its result is stored per tab and shown when the
+// popup reopens, or followed live by a popup or side panel that attaches before it finishes.
+const runningAnalyses = new Map();
+
+// force skips the cache and always calls the provider; scope is 'article' (the default),
+// 'viewport' or 'selection'
+async function startAnalysis(tabId, url, force, scope, port) {
+  if (runningAnalyses.has(tabId)) {
+    attachToAnalysis(tabId, port);
+    return;
+  }
+
+  const run = { controller: new AbortController(), ports: new Set(), stage: null, partial: null };
+  runningAnalyses.set(tabId, run);
+  addRunPort(run, port);
+
+  try {
+    const result = await analyzeTab(tabId, url, {
+      force: force,
+      scope: scope,
+      signal: run.controller.signal,
+      onProgress: (progress) => {
+        if (progress.stage === 'partial') {
+          run.partial = progress;
+        } else {
+          run.stage = progress;
+        }
+        postToRun(run, Object.assign({ type: 'progress' }, progress));
+      }
+    });
+    await rememberTabResult(tabId, url, result, false);
+    postToRun(run, Object.assign({ type: 'result' }, result));
+  } catch (error) {
+    if (error.code === 'CANCELLED') {
+      postToRun(run, { type: 'cancelled' });
+    } else {
+      logError('Analysis error:', error);
+      postToRun(run, { type: 'error', error: error.message, code: error.code });
+    }
+  } finally {
+    runningAnalyses.delete(tabId);
+  }
+}
+
+// Follow a run already in progress, catching the port up on its stage and partial fields
+function attachToAnalysis(tabId, port) {
+  const run = runningAnalyses.get(tabId);
+  if (!run) {
+    port.postMessage({ type: 'idle' });
+    return;
+  }
+  addRunPort(run, port);
+  [run.stage, run.partial].filter(Boolean).forEach((progress) => {
+    port.postMessage(Object.assign({ type: 'progress' }, progress));
+  });
+}
+
+// Aborts the provider request in flight; the run then ends with { type: 'cancelled' }
+function cancelAnalysis(tabId) {
+  const run = runningAnalyses.get(tabId);
+  if (run) {
+    run.controller.abort();
+  }
+}
+
+function addRunPort(run, port) {
+  run.ports.add(port);
+  port.onDisconnect.addListener(() => run.ports.delete(port));
+}
+
+// The popup may close at any moment, so a port that is gone is dropped rather than an error
+function postToRun(run, message) {
+  run.ports.forEach((port) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      run.ports.delete(port);
+    }
+  });
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+// Popup Compare tab: analyze several tabs and compare their coverage of one story
+async function handleComparison(tabs, port) {
+  const post = (message) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // Popup closed; the analyses are still stored per tab and in history
+    }
+  };
+
+  try {
+    if (!Array.isArray(tabs) || tabs.length < 2 || tabs.length > COMPARE_MAX_TABS) {
+      throw new Error(`Select between 2 and ${COMPARE_MAX_TABS} tabs to compare`);
+    }
+    const result = await compareTabs(tabs, progress => post(Object.assign({ type: 'progress' }, progress)));
+    post(Object.assign({ type: 'result' }, result));
+  } catch (error) {
+    logError('Comparison error:', error);
+    post({ type: 'error', error: error.message, code: error.code });
+  }
+}
+
+// Extract, score and analyze one tab. Shared by the popup and auto mode; auto runs skip
+// pages that are not articles, never fall back to baseline-only results, are charged
+// against the daily budget and leave highlighting to whenever the popup is opened.
+// options.scope picks what is read: 'article' (default), 'viewport' or 'selection'.
+// Resolves to { data, cachedAt?, notice? } or, for auto runs, { skipped: reason }.
+async function analyzeTab(tabId, url, options) {
+  const auto = !!options.auto;
+  const scope = options.scope || 'article';
+  const onProgress = options.onProgress || (() => {});
+
+  // Step 1: Extract article content from the page
+  onProgress({ stage: 'extracting' });
+  const { minArticleChars } = await getSettings();
+  let article;
+  try {
+    article = await extractArticleContent(tabId, scope, scope === 'selection' ? MIN_SELECTION_CHARS : minArticleChars);
+  } catch (error) {
+    if (auto && error.code) {
+      return { skipped: 'no-content' };
+    }
+    throw error;
+  }
+  if (auto && !looksLikeArticle(article)) {
+    return { skipped: 'not-article' };
+  }
+
+  const scopeOptions = {
+    highlightTabId: auto ? null : tabId,
+    sourceType: scope === 'article' ? 'page' : scope
+  };
+  // A part of the page is cached apart from the whole article, keyed by its own text
+  if (scope !== 'article') {
+    scopeOptions.cacheKey = `${normalizeUrl(url, article.canonicalUrl)}#${scope}-${(await hashText(article.text)).substring(0, 16)}`;
+  }
+  return analyzeArticle(article, url, Object.assign({}, options, scopeOptions));
+}
+
+// Score, cache, analyze and record already-extracted content. Also used for context-menu
+// selections and fetched links. Options beyond analyzeTab's: highlightTabId (tab whose
+// page should get claim highlights), cacheKey (overrides the URL-based key),
+// sourceType ('page', 'viewport', 'selection' or 'link', recorded in history), recordHistory
+// (false when the caller files the result itself, as article watches do) and signal (an
+// AbortSignal; a cancelled run fails with code CANCELLED and records nothing).
+async function analyzeArticle(article, url, options) {
+  const auto = !!options.auto;
+  const onProgress = options.onProgress || (() => {});
+  const articleText = article.text;
+  throwIfCancelled(options.signal);
+
+  // Step 2: Offline text-signal baseline over the full text, available even without an API key
+  const heuristic = computeHeuristicScore(articleText, article);
+  const articleInfo = summarizeArticle(article);
+
+  // Reuse a stored analysis of this exact article text, made with the same profile and in the
+  // same language, unless a fresh one was requested
+  const settings = await getSettings();
+  const profile = await getActiveProfile();
+  const cacheKey = (options.cacheKey || normalizeUrl(url, article.canonicalUrl)) + profileCacheTag(profile) +
+    (settings.analysisLanguage ? `#lang-${settings.analysisLanguage}` : '');
+  const contentHash = await hashText(articleText);
+  const cached = options.force ? null : await getCachedAnalysis(cacheKey, contentHash);
+
+  if (cached) {
+    if (options.highlightTabId) {
+      await applyClaimHighlights(options.highlightTabId, cached.data);
+    }
+    return { data: cached.data, cachedAt: cached.timestamp };
+  }
+
+  // Step 3: Load the active provider and its stored key
+  const config = Object.assign(await getProviderConfig(), { signal: options.signal });
+  const provider = PROVIDERS[config.provider];
+
+  if (config.keysLocked) {
+    if (auto) {
+      return { skipped: 'locked' };
+    }
+    throw providerError('Your API keys are locked', 'LOCKED');
+  }
+
+  if (provider.requiresKey && !config.apiKey) {
+    if (auto) {
+      return { skipped: 'no-key' };
+    }
+    const baselineOnly = {
+      heuristic: heuristic,
+      heuristic_only: true,
+      article: articleInfo,
+      source_type: options.sourceType
+    };
+    if (options.recordHistory !== false) {
+      await saveToHistory(url, baselineOnly);
+    }
+    return {
+      data: baselineOnly,
+      notice: `No ${provider.label} API key saved - showing the text-signal baseline only.`
+    };
+  }
+
+  if (auto && !(await consumeAutoBudget(options.dailyBudget))) {
+    return { skipped: 'budget' };
+  }
+
+  // Step 4: Call the LLM provider for analysis
+  const analysisData = await analyzeWithProvider(article, url, config, articleInfo, profile, settings, onProgress);
+  analysisData.profile = { id: profile.id, name: profile.name };
+  analysisData.heuristic = heuristic;
+  analysisData.article = articleInfo;
+  analysisData.source_type = options.sourceType;
+
+  // Corroborating sources come only from pages actually retrieved for the claims
+  analysisData.corroboration_analysis = [];
+  analysisData.corroboration_checked = !!settings.searchEndpoint;
+  if (settings.searchEndpoint) {
+    throwIfCancelled(options.signal);
+    onProgress({ stage: 'corroborating' });
+    analysisData.corroboration_analysis = await corroborateClaims(analysisData.claims, url, settings, options.signal);
+  }
+  throwIfCancelled(options.signal);
+
+  // Step 5: Highlight the claims on the page so the popup can jump to them
+  if (options.highlightTabId) {
+    await applyClaimHighlights(options.highlightTabId, analysisData);
+  }
+
+  // Step 6: Save to history and cache
+  if (options.recordHistory !== false) {
+    await saveToHistory(url, analysisData);
+  }
+  await setCachedAnalysis(cacheKey, contentHash, analysisData);
+
+  return { data: analysisData };
+}
+
+// Keep the latest result for the tab and show its score on the toolbar badge
+async function rememberTabResult(tabId, url, result, auto) {
+  await storeTabResult(tabId, {
+    url: url,
+    data: result.data,
+    cachedAt: result.cachedAt || null,
+    analyzedAt: Date.now(),
+    auto: auto
+  });
+  await setScoreBadge(tabId, result.data);
+}
+
+// Stored result for the popup, if it still belongs to the page open in the tab, or one the
+// tab navigated away from, sent with stale: true so the popup can offer analyzing the new page.
+// Auto results were never highlighted and reloads drop highlights, so (re)apply them now.
+async function handleGetTabResult(tabId, url, sendResponse) {
   try {
-    // Step 1: Extract article content from the page
-    const articleText = await extractArticleContent(tabId);
-    
-    if (!articleText || articleText.trim().length < 100) {
-      sendResponse({ error: 'Could not extract sufficient article content from this page' });
+    const stored = await getTabResult(tabId);
+    if (!stored || (stored.url !== url && !stored.stale)) {
+      sendResponse({ result: null });
       return;
     }
+    if (stored.url !== url) {
+      sendResponse({ result: stored, stale: true });
+      return;
+    }
+    // A linked article's claims quote a different page
+    if (!stored.data.heuristic_only && stored.data.source_type !== 'link') {
+      await applyClaimHighlights(tabId, stored.data);
+    }
+    sendResponse({ result: stored });
+  } catch (error) {
+    logError('Could not load tab result:', error);
+    sendResponse({ result: null });
+  }
+}
+
+// Auto mode: analyze article pages in the background once they finish loading
+const autoAnalysisInFlight = new Set();
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // A new page in the tab makes its previous result and badge stale
+  if (changeInfo.url) {
+    markTabResultStale(tabId, changeInfo.url);
+  }
+  if (changeInfo.status === 'complete' && tab.url) {
+    // The watch check runs after auto mode so a changed article is only sent to the model once
+    // (the second run finds the first one's cached analysis)
+    autoAnalyzeTab(tabId, tab.url)
+      .catch(error => logWarn('Auto analysis failed:', error.message))
+      .then(() => checkWatchOnVisit(tabId, tab.url))
+      .catch(error => logWarn('Watched article check failed:', error.message));
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabResult(tabId);
+});
+
+// How long a single-page app gets to render a new route before auto mode reads it
+const ROUTE_SETTLE_MS = 1500;
 
-    // Step 2: Get API key from storage
-    const result = await chrome.storage.sync.get(['geminiApiKey']);
-    const apiKey = result.geminiApiKey;
+// Single-page apps may not fire a 'complete' update for a new route, so the content script
+// reports it (see watchRouteChanges in content-script.js)
+function handlePageNavigated(tabId, url) {
+  markTabResultStale(tabId, url);
+  setTimeout(() => {
+    autoAnalyzeTab(tabId, url).catch(error => logWarn('Auto analysis failed:', error.message));
+  }, ROUTE_SETTLE_MS);
+}
+
+// Keep the tab's result for the popup but mark it as belonging to an earlier page. A change
+// of #fragment alone keeps the same article.
+async function markTabResultStale(tabId, url) {
+  const stored = await getTabResult(tabId);
+  if (!stored || stored.stale || stored.url.split('#')[0] === url.split('#')[0]) {
+    return;
+  }
+  await storeTabResult(tabId, Object.assign(stored, { stale: true }));
+  await clearScoreBadge(tabId);
+}
+
+async function autoAnalyzeTab(tabId, url) {
+  const settings = await getSettings();
+  if (!settings.autoAnalyze || autoAnalysisInFlight.has(tabId) || !isAutoAnalysisCandidate(url, settings)) {
+    return;
+  }
+
+  // Pages fire 'complete' more than once (frames, history.replaceState); analyze each URL once
+  const existing = await getTabResult(tabId);
+  if (existing && existing.url === url && !existing.stale) {
+    return;
+  }
 
-    if (!apiKey) {
-      sendResponse({ error: 'API key not found. Please save your API key first.' });
+  autoAnalysisInFlight.add(tabId);
+  try {
+    const result = await analyzeTab(tabId, url, { auto: true, dailyBudget: settings.autoDailyBudget });
+    if (result.skipped) {
       return;
     }
+    // The user may have navigated away while the provider was answering
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.url === url) {
+      await rememberTabResult(tabId, url, result, true);
+    }
+  } finally {
+    autoAnalysisInFlight.delete(tabId);
+  }
+}
 
-    // Step 3: Call Gemini API for analysis
-    const analysisData = await callGeminiAPI(articleText, url, apiKey);
+// Content script message for each extraction scope
+const EXTRACTION_ACTIONS = {
+  article: 'extractArticle',
+  viewport: 'extractViewport',
+  selection: 'extractSelection'
+};
+
+// Ask the tab's content script for the article, the visible text or the selection. Rejects
+// with a code saying why there is nothing to analyze: NO_TEXT, NO_SELECTION, TOO_SHORT and
+// PAYWALLED from the page (fewer than minChars characters), RESTRICTED_PAGE when the browser
+// does not let extensions into the tab.
+async function extractArticleContent(tabId, scope, minChars) {
+  let response;
+  try {
+    response = await sendToContentScript(tabId, { action: EXTRACTION_ACTIONS[scope || 'article'], minChars: minChars || 0 });
+  } catch (error) {
+    logWarn('Could not reach the content script:', error.message);
+    throw providerError('This page cannot be read by extensions', 'RESTRICTED_PAGE');
+  }
+  if (!response) {
+    throw providerError('The page did not answer', 'EXTRACTION_FAILED');
+  }
+  if (response.error) {
+    throw providerError(response.error.message, response.error.code);
+  }
+  return response.article;
+}
 
-    // Step 4: Save to history
-    await saveToHistory(url, analysisData);
+// Highlight an analysis' claims in the tab and record which ones were found on the page
+async function applyClaimHighlights(tabId, analysisData) {
+  const claims = analysisData.claims || [];
+  const located = await highlightClaimsInTab(tabId, claims);
+  claims.forEach((claim, index) => {
+    claim.located = !!located[index];
+  });
+}
 
-    // Step 5: Send response back to popup
-    sendResponse({ data: analysisData });
+// Ask the content script to highlight claim quotes
+async function highlightClaimsInTab(tabId, claims) {
+  if (!claims || claims.length === 0) {
+    return [];
+  }
 
+  try {
+    const response = await sendToContentScript(tabId, { action: 'highlightClaims', claims: claims });
+    return response.located;
   } catch (error) {
-    console.error('Analysis error:', error);
-    sendResponse({ error: error.message });
+    // Highlighting is a nice-to-have; the analysis itself already succeeded
+    logWarn('Could not highlight claims:', error.message);
+    return [];
   }
 }
 
-// Extract article content from the active tab
-async function extractArticleContent(tabId) {
+// Message the tab's content scripts. Pages opened before the extension was installed have
+// none yet, so when nothing is listening, inject them and retry. A page that already has them
+// (the flag content-script.js sets) is not injected again.
+async function sendToContentScript(tabId, message) {
   try {
-    // Inject and execute content script
-    const results = await chrome.scripting.executeScript({
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    if (!/Receiving end does not exist/i.test(error.message)) {
+      throw error;
+    }
+    const [probe] = await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      func: () => {
-        // Extract main article content
-        // Try multiple common selectors for article content
-        const selectors = [
-          'article',
-          '[role="article"]',
-          'main article',
-          '.article-content',
-          '.post-content',
-          '.entry-content',
-          'main',
-          '.content'
-        ];
-
-        let articleText = '';
-
-        for (const selector of selectors) {
-          const element = document.querySelector(selector);
-          if (element) {
-            articleText = element.innerText;
-            break;
-          }
-        }
+      func: () => !!window.__credibilityAnalyzerLoaded
+    });
+    if (!probe || !probe.result) {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: CONTENT_SCRIPT_FILES
+      });
+    }
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+}
 
-        // Fallback to body if nothing found
-        if (!articleText || articleText.trim().length < 100) {
-          articleText = document.body.innerText;
-        }
+// Article metadata worth keeping with the analysis (no body text)
+function summarizeArticle(article) {
+  return {
+    headline: article.headline,
+    author: article.author,
+    publisher: article.publisher,
+    publishedTime: article.publishedTime,
+    modifiedTime: article.modifiedTime,
+    canonicalUrl: article.canonicalUrl,
+    description: article.description,
+    type: article.type
+  };
+}
 
-        // Limit to first 3000 characters to avoid token limits and ensure complete responses
-        return articleText.substring(0, 3000);
-      }
-    });
+// Model settings for requests that are not tied to an analysis profile (comparisons)
+const GENERATION_SETTINGS = {
+  temperature: 0.3,
+  maxOutputTokens: 4096 // Increased from 2048 to allow longer responses
+};
+
+// Run the credibility analysis against the configured LLM provider, with the prompt,
+// rubric, model settings and output fields of the given profile.
+// Articles that fit the prompt budget (settings.articleTokenBudget) go out in one request;
+// longer ones are map-reduced.
+async function analyzeWithProvider(article, pageUrl, config, articleInfo, profile, settings, onProgress) {
+  const provider = PROVIDERS[config.provider];
+  const generationConfig = Object.assign({}, config, {
+    temperature: profile.temperature,
+    maxOutputTokens: profile.maxOutputTokens,
+    model: profile.model || config.model
+  });
+  const budget = fitToTokenBudget(article.paragraphs, settings.articleTokenBudget);
+  const analysisOptions = { profile: profile, language: settings.analysisLanguage, maxChunks: settings.maxChunks };
 
-    return results[0].result;
-  } catch (error) {
-    throw new Error(`Failed to extract article content: ${error.message}`);
+  let analysisData;
+
+  if (!budget.truncated) {
+    try {
+      onProgress({ stage: 'prompting' });
+      const prompt = buildAnalysisPrompt(budget.text, pageUrl, articleInfo, analysisOptions);
+      analysisData = await generateValidated(provider, prompt, generationConfig,
+        buildAnalysisSchema(profile.outputFields), data => validateAnalysis(data, profile.outputFields), onProgress);
+      analysisData.coverage = {
+        ratio: 1,
+        chunks: 1,
+        analyzedChunks: 1,
+        analyzedParagraphs: budget.includedParagraphs,
+        totalParagraphs: budget.totalParagraphs
+      };
+    } catch (error) {
+      // The answer outgrew the output limit; smaller chunks give the model less to say per call
+      if (error.code !== 'MAX_TOKENS') {
+        throw error;
+      }
+      analysisData = await analyzeInChunks(article.paragraphs, pageUrl, articleInfo, analysisOptions,
+        provider, generationConfig, Math.floor(CHUNK_TOKEN_BUDGET / 2), onProgress);
+    }
+  } else {
+    analysisData = await analyzeInChunks(article.paragraphs, pageUrl, articleInfo, analysisOptions,
+      provider, generationConfig, CHUNK_TOKEN_BUDGET, onProgress);
   }
+
+  analysisData.provider = config.provider;
+  analysisData.model = generationConfig.model;
+  return analysisData;
 }
 
-// Call Gemini API with article content
-async function callGeminiAPI(articleText, pageUrl, apiKey) {
-  // Construct the API endpoint with API key as query parameter
-  // Using gemini-2.5-flash which is the latest stable model with free tier
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
+// Map step: analyze each paragraph-aligned chunk for claims, sourcing and tone.
+// Reduce step: merge the per-chunk notes into one assessment. Confidence is scaled by
+// the share of the article text that was actually analyzed.
+// analysisOptions: { profile, language, maxChunks }
+async function analyzeInChunks(paragraphs, pageUrl, articleInfo, analysisOptions, provider, generationConfig, chunkTokens, onProgress) {
+  const profile = analysisOptions.profile;
+  const allChunks = splitIntoChunks(paragraphs, chunkTokens);
+  const chunks = allChunks.slice(0, analysisOptions.maxChunks);
+  const totalChars = paragraphs.join('\n\n').length;
+  const notes = [];
+  let analyzedChars = 0;
+  let analyzedParagraphs = 0;
+
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress({ stage: 'chunk', current: i + 1, total: chunks.length });
 
-  // Create the prompt that instructs JSON output
-  const prompt = `You are a credibility analysis expert. Analyze the following article and provide a credibility assessment.
+    try {
+      const prompt = buildChunkPrompt(chunks[i].text, i + 1, allChunks.length, pageUrl, articleInfo);
+      const chunkNotes = await generateValidated(provider, prompt, generationConfig, CHUNK_NOTES_SCHEMA, validateChunkNotes);
+      notes.push(Object.assign({ part: i + 1 }, chunkNotes));
+      analyzedChars += chunks[i].text.length;
+      analyzedParagraphs += chunks[i].paragraphs.length;
+    } catch (error) {
+      // A bad key or exhausted quota will fail every remaining chunk too
+      if (['AUTH', 'RATE_LIMIT', 'QUOTA', 'CANCELLED'].includes(error.code)) {
+        throw error;
+      }
+      logWarn(`Chunk ${i + 1} of ${chunks.length} failed:`, error.message);
+    }
+  }
 
-Article URL: ${pageUrl}
+  if (notes.length === 0) {
+    throw new Error('None of the article sections could be analyzed');
+  }
+
+  onProgress({ stage: 'merging', current: chunks.length, total: chunks.length });
+  const mergePrompt = buildMergePrompt(notes, allChunks.length, pageUrl, articleInfo, analysisOptions);
+  const analysisData = await generateValidated(provider, mergePrompt, generationConfig,
+    buildAnalysisSchema(profile.outputFields), data => validateAnalysis(data, profile.outputFields), onProgress);
+
+  const ratio = Math.min(1, analyzedChars / Math.max(totalChars, 1));
+  analysisData.confidence = Math.round(analysisData.confidence * ratio);
+  analysisData.coverage = {
+    ratio: Math.round(ratio * 100) / 100,
+    chunks: allChunks.length,
+    analyzedChunks: notes.length,
+    analyzedParagraphs: analyzedParagraphs,
+    totalParagraphs: paragraphs.length
+  };
 
-Article Content:
-${articleText}
+  return analysisData;
+}
+
+// Output rules and schema shared by the single-pass and merge prompts. Always appended after
+// the profile's template, listing only the fields the profile asks for.
+function buildAnalysisJsonInstructions(outputFields, language) {
+  const schemaFields = [
+    '  "credibility_score": <integer 0-100>',
+    '  "reasoning_summary": "<concise explanation>"',
+    '  "confidence": <integer 0-100>',
+    '  "political_leaning": "<one of: Left, Center-Left, Center, Center-Right, Right, or Neutral>"'
+  ];
+  const guidance = [];
+
+  if (outputFields.claims) {
+    schemaFields.push(`  "claims": [
+    {
+      "claim": "<the factual claim, in your own words>",
+      "quote": "<the exact sentence or phrase from the article, copied verbatim>",
+      "verdict": "<one of: supported, unsupported, disputed, opinion>",
+      "rationale": "<one sentence explaining the verdict>"
+    }
+  ]`);
+    guidance.push(`List the article's 3-8 most important claims. Each "quote" must be copied character for character
+from the article text so it can be located on the page; keep quotes under 200 characters.`);
+  }
+  if (outputFields.bias_dimensions) {
+    schemaFields.push(`  "bias_dimensions": {
+${BIAS_DIMENSIONS.map(dimension => `    "${dimension.key}": { "score": <integer 0-100>, "summary": "<one sentence>", "examples": ["<verbatim quote>"] }`).join(',\n')}
+  }`);
+    guidance.push(`Score each bias dimension from 0 (no problem) to 100 (severe):
+${BIAS_DIMENSIONS.map(dimension => `- ${dimension.key}: ${dimension.description}`).join('\n')}
+Give up to ${BIAS_EXAMPLES_MAX} short verbatim example quotes per dimension, or none when the score is low.`);
+  }
+  if (language) {
+    const target = language === 'article' ? 'the same language as the article' : ANALYSIS_LANGUAGES[language];
+    guidance.push(`Write the summary, claims, rationales and bias summaries in ${target}. Keep quotes exactly as they
+appear in the article, and keep JSON keys and the listed enum values in English.`);
+  }
 
-CRITICAL INSTRUCTIONS:
+  return `CRITICAL INSTRUCTIONS:
 1. Respond with ONLY a valid JSON object
 2. No markdown code blocks (no \`\`\`json)
 3. No additional text before or after the JSON
@@ -112,170 +710,167 @@ CRITICAL INSTRUCTIONS:
 
 Required JSON schema:
 {
+${schemaFields.join(',\n')}
+}${guidance.map(text => `\n\n${text}`).join('')}`;
+}
+
+// Create the prompt that instructs JSON output: the profile's template, then the output rules
+function buildAnalysisPrompt(articleText, pageUrl, articleInfo, analysisOptions) {
+  const profile = analysisOptions.profile;
+  const instructions = renderProfilePrompt(profile, {
+    url: pageUrl,
+    metadata: formatArticleMetadata(articleInfo),
+    text: articleText,
+    criteria: formatProfileCriteria(profile.criteria)
+  });
+  return `${instructions}
+
+${buildAnalysisJsonInstructions(profile.outputFields, analysisOptions.language)}
+
+Return ONLY the JSON object with no other text.`;
+}
+
+// Map prompt: notes on one section of a long article
+function buildChunkPrompt(chunkText, part, totalParts, pageUrl, articleInfo) {
+  return `You are a credibility analysis expert reviewing part ${part} of ${totalParts} of a long article.
+Only assess this section; another step will combine the notes for all sections.
+
+Article URL: ${pageUrl}
+${formatArticleMetadata(articleInfo)}
+Section Content:
+${chunkText}
+
+Respond with ONLY a valid JSON object, no markdown and no other text, using this schema:
+{
+  "section_summary": "<2-3 sentence summary of this section>",
+  "key_claims": [
+    {
+      "claim": "<factual claim made in this section>",
+      "quote": "<the exact sentence or phrase from the section, copied verbatim>"
+    }
+  ],
+  "sourcing": "<how the claims in this section are sourced or attributed>",
+  "sourcing_score": <integer 0-100>,
+  "tone": "<short description of tone, e.g. neutral, measured, emotive, sensational>",
   "credibility_score": <integer 0-100>,
-  "reasoning_summary": "<concise explanation>",
-  "confidence": <integer 0-100>,
   "political_leaning": "<one of: Left, Center-Left, Center, Center-Right, Right, or Neutral>",
-  "corroboration_analysis": [
+  "bias_examples": [
     {
-      "title": "<source title>",
-      "source_url": "<valid URL>",
-      "corroboration_score": <integer 0-100>
+      "dimension": "<one of: ${BIAS_DIMENSIONS.map(dimension => dimension.key).join(', ')}>",
+      "quote": "<the exact sentence or phrase from the section, copied verbatim>"
     }
   ]
 }
 
-Evaluate based on: source reliability, citations, writing quality, objectivity, logical consistency.
-Provide 2-3 corroborating sources. Return ONLY the JSON object with no other text.`;
-
-  // Construct request body for Gemini API
-  const requestBody = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt
-          }
-        ]
-      }
-    ],
-    generationConfig: {
-      temperature: 0.3,
-      maxOutputTokens: 4096, // Increased from 2048 to allow longer responses
-    }
-  };
+List at most 5 key claims and at most 5 bias examples. Bias dimensions:
+${BIAS_DIMENSIONS.map(dimension => `- ${dimension.key}: ${dimension.description}`).join('\n')}`;
+}
 
-  try {
-    // Make API call
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+// Reduce prompt: merge per-section notes into the final assessment
+function buildMergePrompt(notes, totalParts, pageUrl, articleInfo, analysisOptions) {
+  const profile = analysisOptions.profile;
+  const skipped = totalParts - notes.length;
+  const mergeRules = [];
+  if (profile.outputFields.claims) {
+    mergeRules.push('Build "claims" from the sections\' key_claims, keeping their quotes exactly as given.');
+  }
+  if (profile.outputFields.bias_dimensions) {
+    mergeRules.push('Score "bias_dimensions" for the whole article, drawing examples from the sections\' bias_examples.');
+  }
+  mergeRules.push('Weigh sections by how much they contribute to the article\'s central claims rather than averaging blindly.');
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('API Error Response:', errorData);
-      throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
-    }
+  return `You are a credibility analysis expert. A long article was analyzed section by section.
+Combine the section notes below into one credibility assessment of the whole article.
+${skipped > 0 ? `Note: ${skipped} of ${totalParts} sections could not be analyzed and are missing from the notes.\n` : ''}
+Article URL: ${pageUrl}
+${formatArticleMetadata(articleInfo)}
+Section Notes (JSON):
+${JSON.stringify(notes)}
 
-    const data = await response.json();
-    console.log('API Response:', data);
+${buildAnalysisJsonInstructions(profile.outputFields, analysisOptions.language)}
 
-    // Check if content was blocked by safety filters
-    if (data.promptFeedback && data.promptFeedback.blockReason) {
-      throw new Error(`Content blocked by safety filters: ${data.promptFeedback.blockReason}`);
-    }
+${mergeRules.join('\n')}
+Evaluate the article on these criteria, weighted as shown:
+${formatProfileCriteria(profile.criteria)}
+Return ONLY the JSON object with no other text.`;
+}
 
-    // Check if response was blocked or filtered
-    if (!data.candidates || data.candidates.length === 0) {
-      if (data.promptFeedback) {
-        throw new Error(`No response generated. Reason: ${JSON.stringify(data.promptFeedback)}`);
-      }
-      throw new Error('No response generated by API - content may have been filtered');
-    }
+// Metadata lines for the prompt; missing fields are stated explicitly since absence is itself a signal
+function formatArticleMetadata(articleInfo) {
+  if (!articleInfo) {
+    return '';
+  }
+  const lines = [
+    `Headline: ${articleInfo.headline || 'unknown'}`,
+    `Author: ${articleInfo.author || 'not stated'}`,
+    `Publisher: ${articleInfo.publisher || 'unknown'}`,
+    `Published: ${articleInfo.publishedTime || 'not stated'}`
+  ];
+  if (articleInfo.modifiedTime) {
+    lines.push(`Last modified: ${articleInfo.modifiedTime}`);
+  }
+  if (articleInfo.type) {
+    lines.push(`Page type: ${articleInfo.type}`);
+  }
+  return lines.join('\n') + '\n';
+}
 
-    // Check finish reason
-    const candidate = data.candidates[0];
-    if (candidate.finishReason && candidate.finishReason !== 'STOP') {
-      console.warn('Unusual finish reason:', candidate.finishReason);
-      if (candidate.finishReason === 'SAFETY') {
-        throw new Error('Response blocked by safety filters');
-      }
-      if (candidate.finishReason === 'MAX_TOKENS') {
-        throw new Error('Response incomplete - hit token limit. Try a shorter article.');
-      }
-    }
+// Call the provider with a response schema and validate what comes back. Malformed output
+// gets one repair attempt, with the validation issues fed back to the model. With
+// onProgress the answer is streamed and its fields reported as they arrive.
+async function generateValidated(provider, prompt, generationConfig, responseSchema, validate, onProgress) {
+  const config = Object.assign({}, generationConfig, { responseSchema: responseSchema });
+  const responseText = await callProvider(provider, prompt, config, onProgress);
 
-    // Parse the response from Gemini API
-    console.log('Full API response:', JSON.stringify(data, null, 2));
-    
-    if (!candidate.content || !candidate.content.parts) {
-      console.error('No content in candidate:', candidate);
-      throw new Error('Invalid response structure from Gemini API - no content found');
+  try {
+    return validate(parseModelJson(responseText));
+  } catch (error) {
+    if (error.code !== 'INVALID_JSON' && error.code !== 'INVALID_OUTPUT') {
+      throw error;
     }
+    logWarn('Model output failed validation, requesting a repair:', error.issues);
+    const repairedText = await callProvider(provider, buildRepairPrompt(prompt, responseText, error), config, onProgress);
+    return validate(parseModelJson(repairedText));
+  }
+}
 
-    const responseText = candidate.content.parts[0].text;
+// One provider call, counted against the daily request limit and usage counter.
+// Emits { stage: 'partial', fields } whenever the streamed answer reveals more of the
+// top-level fields, then { stage: 'scoring' } while the complete answer is validated.
+async function callProvider(provider, prompt, config, onProgress) {
+  // The mock provider sends nothing anywhere, so it is not metered
+  const metered = config.provider !== 'mock';
+  if (metered) {
+    await reserveApiRequest((await getSettings()).dailyRequestLimit);
+  }
 
-    // Parse JSON from response text
-    let analysisData;
-    try {
-      // Remove any markdown code blocks if present
-      let cleanedText = responseText.replace(/```json\n?|\n?```/g, '').trim();
-      
-      // Sometimes the model adds extra text before/after JSON, extract just the JSON object
-      const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanedText = jsonMatch[0];
-      }
-      
-      // Fix common JSON issues: replace newlines within strings with spaces
-      // This regex finds strings and replaces newlines inside them
-      cleanedText = cleanedText.replace(/"[^"]*"/g, (match) => {
-        return match.replace(/\n/g, ' ').replace(/\s+/g, ' ');
-      });
-      
-      // Try to fix incomplete JSON by adding closing brackets if needed
-      const openBraces = (cleanedText.match(/\{/g) || []).length;
-      const closeBraces = (cleanedText.match(/\}/g) || []).length;
-      const openBrackets = (cleanedText.match(/\[/g) || []).length;
-      const closeBrackets = (cleanedText.match(/\]/g) || []).length;
-      
-      // Add missing closing brackets/braces
-      if (openBrackets > closeBrackets) {
-        cleanedText += ']'.repeat(openBrackets - closeBrackets);
-      }
-      if (openBraces > closeBraces) {
-        cleanedText += '}'.repeat(openBraces - closeBraces);
-      }
-      
-      analysisData = JSON.parse(cleanedText);
-    } catch (parseError) {
-      // If parsing fails, log the response for debugging
-      console.error('Failed to parse response:', responseText);
-      throw new Error(`Failed to parse API response as JSON: ${parseError.message}. Response was: ${responseText.substring(0, 200)}`);
+  let responseText = '';
+  try {
+    if (!onProgress || !provider.stream) {
+      responseText = await provider.generate(prompt, config);
+      return responseText;
     }
 
-    // Validate the response structure
-    if (!analysisData.credibility_score || !analysisData.reasoning_summary) {
-      console.error('Missing required fields in parsed data:', analysisData);
-      throw new Error('API response missing required fields (credibility_score or reasoning_summary)');
+    let reported = '';
+    responseText = await provider.stream(prompt, config, (textSoFar) => {
+      const fields = extractPartialFields(textSoFar);
+      const serialized = JSON.stringify(fields);
+      if (serialized !== reported && serialized !== '{}') {
+        reported = serialized;
+        onProgress({ stage: 'partial', fields: fields });
+      }
+    });
+    onProgress({ stage: 'scoring' });
+    return responseText;
+  } finally {
+    // Failed calls still count: the provider usually bills or rate-limits them too
+    if (metered) {
+      await recordApiTokens(estimateTokens(prompt) + estimateTokens(responseText));
     }
-
-    // Add defaults for optional fields
-    analysisData.confidence = analysisData.confidence || 75;
-    analysisData.political_leaning = analysisData.political_leaning || 'Neutral';
-    analysisData.corroboration_analysis = analysisData.corroboration_analysis || [];
-
-    return analysisData;
-
-  } catch (error) {
-    throw new Error(`API call failed: ${error.message}`);
   }
 }
 
-// Save analysis to history
+// Save the full analysis to history
 async function saveToHistory(url, analysisData) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['analysisHistory'], (result) => {
-      const history = result.analysisHistory || [];
-      
-      // Add new entry
-      history.push({
-        url: url,
-        title: url.split('/')[2], // Extract domain as title
-        score: analysisData.credibility_score,
-        timestamp: Date.now()
-      });
-
-      // Keep only last 20 entries
-      const trimmedHistory = history.slice(-20);
-
-      chrome.storage.local.set({ analysisHistory: trimmedHistory }, () => {
-        resolve();
-      });
-    });
-  });
-}
\ No newline at end of file
+  return addHistoryEntry(createHistoryEntry(url, analysisData));
+}
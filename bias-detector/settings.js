@@ -0,0 +1,207 @@
+// settings.js - Shared settings defaults and access for the popup, options page and service worker
+// Provider-specific settings (keys, models, endpoints) live in providers.js.
+//
+// Settings are stored in chrome.storage.sync, so they follow the user to every browser signed
+// in to the same account; API keys stay in local storage (key-store.js). When the stored shape
+// changes, add a step to migrations.js.
+
+const DEFAULT_SETTINGS = {
+  // Analysis cache: how long a result stays fresh, and how many articles are kept
+  cacheTtlHours: 24,
+  cacheMaxEntries: 100,
+
+  // Extraction limits: pages with less text than minArticleChars are not analyzed; articles
+  // over articleTokenBudget are analyzed in sections, at most maxChunks of them
+  minArticleChars: 100,
+  articleTokenBudget: 3000,
+  maxChunks: 8,
+
+  // Opt-in background analysis of article pages as they finish loading.
+  // Domain lists match subdomains; an empty allow list allows every domain not denied.
+  autoAnalyze: false,
+  autoAllowDomains: [],
+  autoDenyDomains: [],
+  autoDailyBudget: 20,
+
+  // Badges next to article links on the listing pages matched by linkBadgeRules, from cached
+  // results and domain averages only; a rule's host also matches its subdomains
+  linkBadges: true,
+  linkBadgeRules: [
+    { host: 'google.com', selector: '#search a:has(> h3)' },
+    { host: 'bing.com', selector: '#b_results h2 > a' },
+    { host: 'duckduckgo.com', selector: 'a[data-testid="result-title-a"]' },
+    { host: 'news.ycombinator.com', selector: '.titleline > a' },
+    { host: 'reddit.com', selector: 'a.title, a[data-testid="outbound-link"]' },
+    { host: 'lobste.rs', selector: 'a.u-url' },
+    { host: 'techmeme.com', selector: 'a.ourh' }
+  ],
+
+  // Search backend for corroboration (empty disables it). Any HTTP endpoint returning JSON
+  // results; a {query} placeholder is replaced, otherwise ?q= is appended.
+  searchEndpoint: '',
+  searchMaxResults: 5,
+
+  // History is pruned to the newest historyMaxEntries, and to historyRetentionDays (0 = forever)
+  historyMaxEntries: 2000,
+  historyRetentionDays: 0,
+
+  // Watched articles open in a tab are re-checked for edits this often (article-watch.js)
+  watchIntervalMinutes: 60,
+
+  // Credibility scores at or above these are shown as high and medium, below as low
+  scoreHighThreshold: 70,
+  scoreMediumThreshold: 40,
+
+  // 'system', 'light' or 'dark'
+  theme: 'system',
+
+  // Language for the summary, claims and rationales: '' (English), 'article' (the article's
+  // own language) or a key of ANALYSIS_LANGUAGES
+  analysisLanguage: '',
+
+  // Analysis profile used for manual, auto and context-menu analyses (see profiles.js)
+  activeProfile: 'standard',
+
+  // Provider requests allowed per day across manual, auto and comparison runs (0 = no limit)
+  dailyRequestLimit: 0,
+
+  // Include article text and model output in console diagnostics (keys stay masked)
+  debugLogging: false
+};
+
+// Allowed range of each numeric setting; normalizeSettings() rounds and clamps into it
+const SETTING_RANGES = {
+  cacheTtlHours: [0, 720],
+  cacheMaxEntries: [1, 1000],
+  minArticleChars: [0, 5000],
+  articleTokenBudget: [500, 100000],
+  maxChunks: [1, 30],
+  autoDailyBudget: [0, 1000],
+  searchMaxResults: [1, 20],
+  historyMaxEntries: [10, 20000],
+  historyRetentionDays: [0, 3650],
+  watchIntervalMinutes: [15, 1440],
+  scoreHighThreshold: [1, 100],
+  scoreMediumThreshold: [0, 99],
+  dailyRequestLimit: [0, 100000]
+};
+
+const THEMES = ['system', 'light', 'dark'];
+
+// Most tabs one comparison covers (comparison.js); the popup's tab picker enforces it too
+const COMPARE_MAX_TABS = 6;
+
+const ANALYSIS_LANGUAGES = {
+  '': 'English',
+  article: 'Same as the article',
+  ar: 'Arabic',
+  zh: 'Chinese',
+  nl: 'Dutch',
+  fr: 'French',
+  de: 'German',
+  hi: 'Hindi',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  pl: 'Polish',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  es: 'Spanish',
+  tr: 'Turkish',
+  uk: 'Ukrainian'
+};
+
+// Band colors shared by the popup, the toolbar badge and the in-page result panel
+const SCORE_BAND_COLORS = {
+  high: '#10B981',
+  medium: '#F59E0B',
+  low: '#EF4444'
+};
+
+// Stored values merged over the defaults
+async function getSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+// Coerce user-entered or stored values to valid settings. Only the keys present in values are
+// returned, so settings the user never changed keep following DEFAULT_SETTINGS.
+function normalizeSettings(values) {
+  const normalized = {};
+  Object.keys(values).forEach((key) => {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return;
+    }
+    const fallback = DEFAULT_SETTINGS[key];
+    const value = values[key];
+
+    if (SETTING_RANGES[key]) {
+      const [min, max] = SETTING_RANGES[key];
+      const number = Math.round(Number(value));
+      normalized[key] = isFinite(number) && value !== '' ? Math.min(max, Math.max(min, number)) : fallback;
+    } else if (key === 'linkBadgeRules') {
+      normalized[key] = parseSiteRules(value);
+    } else if (Array.isArray(fallback)) {
+      normalized[key] = Array.isArray(value) ? parseDomainList(value.join('\n')) : parseDomainList(value);
+    } else if (typeof fallback === 'boolean') {
+      normalized[key] = !!value;
+    } else {
+      normalized[key] = typeof value === 'string' ? value.trim() : fallback;
+    }
+  });
+
+  if ('theme' in normalized && !THEMES.includes(normalized.theme)) {
+    normalized.theme = DEFAULT_SETTINGS.theme;
+  }
+  if ('analysisLanguage' in normalized && !(normalized.analysisLanguage in ANALYSIS_LANGUAGES)) {
+    normalized.analysisLanguage = DEFAULT_SETTINGS.analysisLanguage;
+  }
+  // The medium band has to start below the high band
+  if ('scoreHighThreshold' in normalized && 'scoreMediumThreshold' in normalized &&
+      normalized.scoreMediumThreshold >= normalized.scoreHighThreshold) {
+    normalized.scoreMediumThreshold = normalized.scoreHighThreshold - 1;
+  }
+  return normalized;
+}
+
+// 'high', 'medium' or 'low' for a credibility score under the configured thresholds
+function getScoreBand(score, settings) {
+  if (score >= settings.scoreHighThreshold) return 'high';
+  if (score >= settings.scoreMediumThreshold) return 'medium';
+  return 'low';
+}
+
+function getScoreColor(score, settings) {
+  return SCORE_BAND_COLORS[getScoreBand(score, settings)];
+}
+
+// Link badge rules from "host selector" lines (as typed in options) or stored rule objects.
+// Lines starting with # are comments.
+function parseSiteRules(value) {
+  const lines = Array.isArray(value)
+    ? value.map(rule => (typeof rule === 'string' ? rule : `${rule.host} ${rule.selector}`))
+    : String(value || '').split('\n');
+  return lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line) => {
+      const [host, ...selector] = line.split(/\s+/);
+      return { host: parseDomainList(host)[0] || '', selector: selector.join(' ') };
+    })
+    .filter(rule => rule.host && rule.selector);
+}
+
+function formatSiteRules(rules) {
+  return rules.map(rule => `${rule.host} ${rule.selector}`).join('\n');
+}
+
+// Normalize a user-typed domain list (one per line or comma separated)
+function parseDomainList(text) {
+  return String(text || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
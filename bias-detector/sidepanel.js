@@ -0,0 +1,80 @@
+// sidepanel.js - The side panel: the analysis view next to the article, following the active tab
+// Loaded by sidepanel.html after ui-components.js. Unlike the popup it stays open while the
+// user reads, so it switches to whichever tab becomes active in its window and refreshes when
+// that tab's stored result changes (auto mode, a popup run, a watched article re-analyzed).
+
+const pageTitle = document.getElementById('pageTitle');
+const emptyState = document.getElementById('emptyState');
+
+// The window this panel belongs to; other windows have their own panel
+let panelWindowId = null;
+
+Promise.all([chrome.windows.getCurrent(), chrome.tabs.query({ active: true, currentWindow: true }), getSettings()])
+  .then(([panelWindow, [tab], settings]) => {
+    panelWindowId = panelWindow.id;
+    uiSettings = settings;
+    showPageTab(tab);
+  });
+
+// Follow a run of this tab that is still going, otherwise show its latest result, or the
+// prompt to analyze it
+function showPageTab(tab) {
+  detachAnalysis();
+  pageTab = tab;
+  updatePageTitle();
+  hideStatus();
+  clearAnalysisView();
+  emptyState.classList.add('hidden');
+  followAnalysis({ action: 'attach', tabId: tab.id }, () => showTabResult(tab, showEmptyState));
+}
+
+// Re-read the stored result, unless this panel is following a run that will show it
+function refreshPageTab() {
+  if (analysisPort || analyzeBtn.disabled) {
+    return;
+  }
+  clearAnalysisView();
+  emptyState.classList.add('hidden');
+  showTabResult(pageTab, showEmptyState);
+}
+
+function showEmptyState() {
+  emptyState.classList.remove('hidden');
+}
+
+function updatePageTitle() {
+  pageTitle.textContent = pageTab.title || pageTab.url || 'New tab';
+  pageTitle.title = pageTab.url || '';
+}
+
+[analyzeBtn, reanalyzeBtn].forEach((button) => {
+  button.addEventListener('click', () => emptyState.classList.add('hidden'));
+});
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  if (windowId === panelWindowId) {
+    chrome.tabs.get(tabId).then(showPageTab);
+  }
+});
+
+// A new page or single-page-app route in the followed tab
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!pageTab || tabId !== pageTab.id) {
+    return;
+  }
+  pageTab = tab;
+  if (changeInfo.title || changeInfo.url) {
+    updatePageTitle();
+  }
+  if (changeInfo.url) {
+    refreshPageTab();
+  }
+});
+
+// The service worker keeps each tab's latest result in session storage (tabResultKey in
+// auto-analysis.js)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && pageTab && changes[`tabResult_${pageTab.id}`]) {
+    refreshPageTab();
+  }
+});
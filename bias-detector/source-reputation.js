@@ -0,0 +1,149 @@
+// source-reputation.js - Per-domain aggregation of history and user-supplied reliability ratings
+// Loaded by the popup, and by the service worker for the domain averages on link badges.
+
+// AI averages this far from a known rating are flagged as disagreements
+const RATING_DISAGREEMENT_THRESHOLD = 25;
+
+// Word ratings accepted in imported files, mapped onto the 0-100 credibility scale
+const RATING_LABEL_SCORES = {
+  'very high': 90,
+  high: 80,
+  'mostly factual': 70,
+  mixed: 50,
+  low: 25,
+  'very low': 10
+};
+
+// Group history by publisher domain: average score, trend, leaning distribution, recent analyses
+function aggregateByDomain(entries) {
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    if (!groups.has(entry.domain)) {
+      groups.set(entry.domain, []);
+    }
+    groups.get(entry.domain).push(entry);
+  });
+
+  return Array.from(groups.entries()).map(([domain, domainEntries]) => {
+    const chronological = domainEntries.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const scores = chronological
+      .map(entry => entry.score)
+      .filter(score => typeof score === 'number');
+    const leanings = {};
+    domainEntries.forEach((entry) => {
+      if (entry.leaning) {
+        leanings[entry.leaning] = (leanings[entry.leaning] || 0) + 1;
+      }
+    });
+
+    return {
+      domain: domain,
+      count: domainEntries.length,
+      scoredCount: scores.length,
+      averageScore: scores.length > 0
+        ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+        : null,
+      trend: scoreTrend(scores),
+      leanings: leanings,
+      lastAnalyzed: chronological[chronological.length - 1].timestamp,
+      recent: chronological.slice(-3).reverse()
+    };
+  }).sort((a, b) => b.count - a.count || b.lastAnalyzed - a.lastAnalyzed);
+}
+
+// Least-squares slope of scores in analysis order, in points per analysis
+function scoreTrend(scores) {
+  if (scores.length < 3) {
+    return null;
+  }
+  const n = scores.length;
+  const meanX = (n - 1) / 2;
+  const meanY = scores.reduce((sum, score) => sum + score, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  scores.forEach((score, x) => {
+    numerator += (x - meanX) * (score - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  });
+  return Math.round((numerator / denominator) * 10) / 10;
+}
+
+// Parse a user-maintained ratings file. Accepts either { "domain": rating } or
+// { "ratings": [{ "domain", "rating", "source"? }] }, where rating is 0-100 or a word
+// rating such as "high" or "mixed". Returns the ratings keyed by domain plus rejects.
+function parseKnownRatings(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+
+  let items;
+  if (parsed && Array.isArray(parsed.ratings)) {
+    items = parsed.ratings;
+  } else if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    items = Object.keys(parsed).map(domain => ({ domain: domain, rating: parsed[domain] }));
+  } else {
+    throw new Error('Expected an object of domain ratings or a "ratings" list');
+  }
+
+  const ratings = {};
+  const rejected = [];
+
+  items.forEach((item, index) => {
+    const domain = item && typeof item.domain === 'string'
+      ? item.domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '')
+      : '';
+    const value = item ? item.rating : undefined;
+    const score = typeof value === 'number' ? value : RATING_LABEL_SCORES[String(value).trim().toLowerCase()];
+
+    if (!domain) {
+      rejected.push({ row: index + 1, reason: 'missing domain' });
+    } else if (typeof score !== 'number' || score < 0 || score > 100) {
+      rejected.push({ row: index + 1, reason: `unrecognized rating "${value}" for ${domain}` });
+    } else {
+      ratings[domain] = {
+        rating: Math.round(score),
+        label: typeof value === 'string' ? value : null,
+        source: typeof item.source === 'string' ? item.source : null
+      };
+    }
+  });
+
+  return { ratings: ratings, rejected: rejected };
+}
+
+// Look up a rating for a domain, falling back to parent domains (edition.cnn.com -> cnn.com)
+function findKnownRating(knownRatings, domain) {
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (knownRatings[candidate]) {
+      return knownRatings[candidate];
+    }
+  }
+  return null;
+}
+
+// Compare a domain's AI average against its known rating
+function compareWithKnownRating(summary, knownRating) {
+  if (!knownRating || summary.averageScore === null) {
+    return null;
+  }
+  const difference = summary.averageScore - knownRating.rating;
+  return {
+    difference: difference,
+    disagrees: Math.abs(difference) >= RATING_DISAGREEMENT_THRESHOLD
+  };
+}
+
+async function getKnownRatings() {
+  const { knownRatings = {} } = await chrome.storage.local.get(['knownRatings']);
+  return knownRatings;
+}
+
+async function saveKnownRatings(knownRatings) {
+  await chrome.storage.local.set({ knownRatings: knownRatings });
+}
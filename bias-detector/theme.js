@@ -0,0 +1,23 @@
+// theme.js - Applies the theme setting to the extension pages
+// Loaded by the popup, the side panel and the options page, after settings.js. Sets data-theme
+// to 'light' or 'dark' on the root element; the colors themselves are variables in theme.css.
+
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+let themeSetting = DEFAULT_SETTINGS.theme;
+
+function applyTheme(theme) {
+  themeSetting = theme;
+  const dark = theme === 'dark' || (theme === 'system' && darkSchemeQuery.matches);
+  document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+}
+
+getSettings().then(settings => applyTheme(settings.theme));
+
+// Follow the OS setting while on 'system', and changes saved from the options page
+darkSchemeQuery.addEventListener('change', () => applyTheme(themeSetting));
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.theme) {
+    applyTheme(changes.theme.newValue || DEFAULT_SETTINGS.theme);
+  }
+});
@@ -0,0 +1,112 @@
+// token-budget.js - Token estimates and paragraph-preserving truncation for prompts
+// Loaded by the service worker via importScripts().
+
+// Roughly 4 characters per token for English prose across Gemini/GPT/Claude tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Per-chunk budget for articles analyzed in sections. The single-prompt budget and the
+// most sections one analysis may spend requests on are settings (articleTokenBudget, maxChunks).
+const CHUNK_TOKEN_BUDGET = 2500;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Keep whole paragraphs, in order, until the budget is spent. Only when the very first
+// paragraph is too long on its own is it cut, and then at a sentence boundary.
+function fitToTokenBudget(paragraphs, maxTokens) {
+  const kept = [];
+  let used = 0;
+
+  for (const paragraph of paragraphs) {
+    const cost = estimateTokens(paragraph) + 1; // +1 for the paragraph break
+    if (used + cost > maxTokens) {
+      if (kept.length === 0) {
+        kept.push(truncateAtSentence(paragraph, maxTokens * CHARS_PER_TOKEN));
+      }
+      break;
+    }
+    kept.push(paragraph);
+    used += cost;
+  }
+
+  const text = kept.join('\n\n');
+  return {
+    text: text,
+    paragraphs: kept,
+    tokens: estimateTokens(text),
+    truncated: kept.length < paragraphs.length || (kept.length > 0 && kept[kept.length - 1] !== paragraphs[kept.length - 1]),
+    includedParagraphs: kept.length,
+    totalParagraphs: paragraphs.length
+  };
+}
+
+// Split paragraphs into consecutive chunks of at most maxTokens each. Paragraphs are never
+// split across chunks unless a single paragraph exceeds the budget, in which case it is
+// broken at sentence boundaries.
+function splitIntoChunks(paragraphs, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let used = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      const text = current.join('\n\n');
+      chunks.push({ paragraphs: current, text: text, tokens: estimateTokens(text) });
+      current = [];
+      used = 0;
+    }
+  };
+
+  paragraphs.forEach((paragraph) => {
+    const pieces = estimateTokens(paragraph) > maxTokens
+      ? splitSentences(paragraph, maxTokens * CHARS_PER_TOKEN)
+      : [paragraph];
+
+    pieces.forEach((piece) => {
+      const cost = estimateTokens(piece) + 1;
+      if (used + cost > maxTokens) {
+        flush();
+      }
+      current.push(piece);
+      used += cost;
+    });
+  });
+  flush();
+
+  return chunks;
+}
+
+// Break an oversized paragraph into sentence groups no longer than maxChars
+function splitSentences(text, maxChars) {
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  sentences.forEach((sentence) => {
+    if (current.length + sentence.length > maxChars && current) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // A single run-on "sentence" longer than the budget is hard-cut as a last resort
+    while (sentence.length > maxChars) {
+      pieces.push(sentence.substring(0, maxChars));
+      sentence = sentence.substring(maxChars);
+    }
+    current += sentence;
+  });
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+
+  return pieces;
+}
+
+function truncateAtSentence(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  const slice = text.substring(0, maxChars);
+  const lastStop = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+  return lastStop > maxChars / 2 ? slice.substring(0, lastStop + 1) : slice;
+}
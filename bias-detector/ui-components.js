@@ -0,0 +1,699 @@
+// ui-components.js - The analysis view shared by the popup and the side panel: the analyze
+// controls, progress, score, analysis sections and the notes under the score
+// Loaded by popup.html and sidepanel.html after the shared scripts (settings, request,
+// providers, key-store, profiles, history-store, analysis-schema) and before the page's own
+// script. Both pages use the same element ids for these parts; the page script sets pageTab
+// and uiSettings and decides when to show which tab's result.
+
+// DOM Elements
+const analyzeBtn = document.getElementById('analyzeBtn');
+const profileSelect = document.getElementById('profileSelect');
+const scopeSelect = document.getElementById('scopeSelect');
+const editProfilesBtn = document.getElementById('editProfilesBtn');
+const statusDiv = document.getElementById('status');
+const loadingDiv = document.getElementById('loading');
+const loadingText = document.getElementById('loadingText');
+const progressTrack = document.getElementById('progressTrack');
+const progressFill = document.getElementById('progressFill');
+const partialPreview = document.getElementById('partialPreview');
+const partialScore = document.getElementById('partialScore');
+const partialSummary = document.getElementById('partialSummary');
+const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+const scoreSection = document.getElementById('scoreSection');
+const settingsBtn = document.getElementById('settingsBtn');
+const setupNotice = document.getElementById('setupNotice');
+const setupText = document.getElementById('setupText');
+const unlockInput = document.getElementById('unlockInput');
+const unlockBtn = document.getElementById('unlockBtn');
+const openOptionsBtn = document.getElementById('openOptionsBtn');
+
+// Score elements
+const scoreNumber = document.getElementById('scoreNumber');
+const reliabilityBadge = document.getElementById('reliabilityBadge');
+const heuristicBaseline = document.getElementById('heuristicBaseline');
+const politicalLeaning = document.getElementById('politicalLeaning');
+const confidence = document.getElementById('confidence');
+
+// Analysis sections
+const summarySection = document.getElementById('summarySection');
+const summaryText = document.getElementById('summaryText');
+const crossRefSection = document.getElementById('crossRefSection');
+const crossRefContent = document.getElementById('crossRefContent');
+const articleSection = document.getElementById('articleSection');
+const articleHeadline = document.getElementById('articleHeadline');
+const articleDetails = document.getElementById('articleDetails');
+const biasSection = document.getElementById('biasSection');
+const biasContent = document.getElementById('biasContent');
+const claimsSection = document.getElementById('claimsSection');
+const claimsContent = document.getElementById('claimsContent');
+const clearHighlightsBtn = document.getElementById('clearHighlightsBtn');
+const cacheNote = document.getElementById('cacheNote');
+const cacheNoteText = document.getElementById('cacheNoteText');
+const reanalyzeBtn = document.getElementById('reanalyzeBtn');
+const watchNote = document.getElementById('watchNote');
+const watchNoteText = document.getElementById('watchNoteText');
+const watchBtn = document.getElementById('watchBtn');
+const changesSection = document.getElementById('changesSection');
+const changesContent = document.getElementById('changesContent');
+const signalsSection = document.getElementById('signalsSection');
+const signalsContent = document.getElementById('signalsContent');
+
+// Display settings (score band thresholds), loaded before any result is shown
+let uiSettings = DEFAULT_SETTINGS;
+
+// The tab whose analysis is shown: the one the popup was opened on, or the side panel's
+// active tab
+let pageTab = null;
+
+// Called after a new analysis was saved to history, for views built from it
+let onHistoryChanged = () => {};
+
+// Provider settings live on the options page; the analysis view only points there when there
+// is no key yet, and takes the passphrase when saved keys are locked
+async function updateSetupNotice() {
+  const config = await getProviderConfig();
+  const provider = PROVIDERS[config.provider];
+  const missingKey = provider.requiresKey && !config.apiKey && !config.keysLocked;
+
+  setupNotice.classList.toggle('hidden', !config.keysLocked && !missingKey);
+  unlockInput.classList.toggle('hidden', !config.keysLocked);
+  unlockBtn.classList.toggle('hidden', !config.keysLocked);
+  setupText.textContent = config.keysLocked
+    ? 'Your API keys are locked. Enter your passphrase to use them until the browser closes.'
+    : `No ${provider.label} API key saved yet - analyses show the text-signal baseline only.`;
+}
+updateSetupNotice();
+
+unlockBtn.addEventListener('click', async () => {
+  if (!(await unlockKeys(unlockInput.value))) {
+    showStatus('Wrong passphrase', 'error');
+    return;
+  }
+  unlockInput.value = '';
+  hideStatus();
+  await updateSetupNotice();
+});
+
+unlockInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    unlockBtn.click();
+  }
+});
+
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Analysis profiles; the choice is saved and applies to auto and context-menu analyses too
+async function loadProfileOptions() {
+  const [profiles, settings] = await Promise.all([getProfiles(), getSettings()]);
+  profileSelect.innerHTML = '';
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    option.title = profile.description;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = profiles.some(profile => profile.id === settings.activeProfile)
+    ? settings.activeProfile
+    : DEFAULT_PROFILE_ID;
+}
+loadProfileOptions();
+
+profileSelect.addEventListener('change', () => {
+  saveSettings({ activeProfile: profileSelect.value });
+});
+
+editProfilesBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Show the tab's latest result (from auto mode or an earlier run) without re-analyzing.
+// onEmpty runs when the tab has none.
+function showTabResult(tab, onEmpty) {
+  chrome.runtime.sendMessage({ action: 'getTabResult', tabId: tab.id, url: tab.url }, (response) => {
+    // Ignore it if the user already started a fresh analysis, or moved to another tab
+    if (chrome.runtime.lastError || analyzeBtn.disabled || !pageTab || pageTab.id !== tab.id) {
+      return;
+    }
+    if (!response || !response.result) {
+      if (onEmpty) onEmpty();
+      return;
+    }
+    const result = response.result;
+    displayResults(result.data);
+    const analyzedAt = result.cachedAt || result.analyzedAt;
+    const label = result.data.source_type === 'selection' ? 'Selected text analyzed'
+      : result.data.source_type === 'viewport' ? 'Visible part analyzed'
+      : result.data.source_type === 'link' ? 'Linked article analyzed'
+      : result.auto ? 'Analyzed automatically' : 'Analyzed';
+    // The tab has moved on (a new page or single-page-app route) since this analysis
+    cacheNoteText.textContent = response.stale
+      ? `Result for the previous page · ${getTimeAgo(analyzedAt).toLowerCase()}`
+      : `${label} · ${getTimeAgo(analyzedAt).toLowerCase()}`;
+    reanalyzeBtn.textContent = response.stale ? 'Analyze this page' : 'Re-analyze';
+    reanalyzeBtn.dataset.stale = response.stale ? 'true' : '';
+    cacheNote.classList.remove('hidden');
+    if (!response.stale) {
+      showArticleWatch(tab, result.data);
+    }
+  });
+}
+
+// Watching is offered for model analyses of the whole article open in the tab, which are
+// the ones recorded in history
+async function showArticleWatch(tab, data) {
+  if (data.heuristic_only || (data.source_type && data.source_type !== 'page')) {
+    return;
+  }
+  const response = await chrome.runtime.sendMessage({ action: 'getWatch', url: tab.url });
+  renderWatchNote(response && response.watch);
+
+  const entry = (await getHistoryEntriesForUrl(tab.url)).find(candidate => candidate.sourceType === 'page');
+  displayArticleChanges(entry ? entry.versions : null);
+}
+
+function renderWatchNote(watch) {
+  if (watch) {
+    const checked = `checked ${getTimeAgo(watch.lastCheckedAt).toLowerCase()}`;
+    watchNoteText.textContent = watch.changedAt
+      ? `Watching for changes · changed ${getTimeAgo(watch.changedAt).toLowerCase()}, ${checked}`
+      : `Watching for changes · ${checked}`;
+    watchBtn.textContent = 'Stop watching';
+  } else {
+    watchNoteText.textContent = 'Re-check this article for edits while it is open';
+    watchBtn.textContent = 'Watch for changes';
+  }
+  watchBtn.dataset.watching = watch ? 'true' : '';
+  watchNote.classList.remove('hidden');
+}
+
+watchBtn.addEventListener('click', async () => {
+  watchBtn.disabled = true;
+  const response = watchBtn.dataset.watching
+    ? await chrome.runtime.sendMessage({ action: 'unwatchArticle', url: pageTab.url })
+    : await chrome.runtime.sendMessage({ action: 'watchArticle', tabId: pageTab.id, url: pageTab.url });
+  watchBtn.disabled = false;
+
+  if (!response || response.error) {
+    showStatus(`Error: ${response ? response.error : 'Lost connection to the extension'}`, 'error');
+    return;
+  }
+  renderWatchNote(response.watch);
+});
+
+// Timeline of a watched article: each re-analysis after an edit, newest first, with the
+// score it moved from and the paragraphs that changed
+function displayArticleChanges(versions) {
+  if (!versions || versions.length < 2) {
+    changesSection.classList.add('hidden');
+    return;
+  }
+
+  const changes = versions.slice(1).map((version, index) => ({ version: version, before: versions[index] })).reverse();
+  changesContent.innerHTML = changes.map(({ version, before }) => `
+    <div class="change-item">
+      <div class="change-header">
+        <span>${escapeHtml(new Date(version.timestamp).toLocaleString())}</span>
+        <span class="change-score">${formatVersionScore(before)} → ${formatVersionScore(version)}</span>
+      </div>
+      ${version.leaning && version.leaning !== before.leaning ? `<div>Leaning: ${escapeHtml(before.leaning || 'n/a')} → ${escapeHtml(version.leaning)}</div>` : ''}
+      ${version.summary ? `<div>${escapeHtml(version.summary)}</div>` : '<div>Not re-analyzed; the text changed.</div>'}
+      ${version.added.map(paragraph => `<p class="change-paragraph change-added">${escapeHtml(truncateParagraph(paragraph))}</p>`).join('')}
+      ${version.removed.map(paragraph => `<p class="change-paragraph change-removed">${escapeHtml(truncateParagraph(paragraph))}</p>`).join('')}
+    </div>
+  `).join('');
+  changesSection.classList.remove('hidden');
+}
+
+function formatVersionScore(version) {
+  return version.score === null ? '--' : String(version.score);
+}
+
+function truncateParagraph(text) {
+  return text.length > 280 ? `${text.slice(0, 280)}…` : text;
+}
+
+// Settings button - open the options page
+settingsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Analyze current page
+analyzeBtn.addEventListener('click', () => runAnalysis(false));
+
+// Re-analyze bypasses the cache; a stale result's page has not been analyzed yet
+reanalyzeBtn.addEventListener('click', () => runAnalysis(!reanalyzeBtn.dataset.stale));
+
+function runAnalysis(force) {
+  if (!pageTab) {
+    return;
+  }
+  showAnalysisLoading();
+  showStatus('Extracting article content...', 'info');
+  followAnalysis({ action: 'start', tabId: pageTab.id, url: pageTab.url, force: force, scope: scopeSelect.value });
+}
+
+// Port of the analysis this view is showing; cancelling goes through it
+let analysisPort = null;
+let analysisTabId = null;
+
+// Start or attach to the tab's analysis in the service worker and render its progress
+// messages until it ends. onIdle runs when attaching finds nothing in progress.
+function followAnalysis(request, onIdle) {
+  const port = chrome.runtime.connect({ name: 'analysis' });
+  analysisPort = port;
+  analysisTabId = request.tabId;
+
+  const finish = () => {
+    analysisPort = null;
+    port.disconnect();
+    hideAnalysisLoading();
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'idle') {
+      analysisPort = null;
+      port.disconnect();
+      if (onIdle) onIdle();
+    } else if (message.type === 'progress') {
+      // Attaching to a run started elsewhere (an earlier popup, or the side panel)
+      if (!analyzeBtn.disabled) {
+        showAnalysisLoading();
+      }
+      showAnalysisProgress(message);
+    } else if (message.type === 'cancelled') {
+      finish();
+      showStatus('Analysis cancelled', 'info');
+      setTimeout(() => hideStatus(), 2000);
+    } else if (message.type === 'error') {
+      finish();
+      showStatus(`Error: ${describeError(message.error, message.code)}`, 'error');
+    } else if (message.type === 'result') {
+      finish();
+      showAnalysisResult(message);
+    }
+  });
+
+  // The service worker went away mid-run (extension reloaded or crashed)
+  port.onDisconnect.addListener(() => {
+    if (analysisPort === port) {
+      analysisPort = null;
+      hideAnalysisLoading();
+      showStatus('Error: Lost connection to the extension. Please try again.', 'error');
+    }
+  });
+
+  port.postMessage(request);
+}
+
+cancelAnalysisBtn.addEventListener('click', () => {
+  if (analysisPort) {
+    analysisPort.postMessage({ action: 'cancel', tabId: analysisTabId });
+    cancelAnalysisBtn.disabled = true;
+    loadingText.textContent = 'Cancelling...';
+  }
+});
+
+// Stop following a run without cancelling it; it keeps going in the service worker
+function detachAnalysis() {
+  if (analysisPort) {
+    const port = analysisPort;
+    analysisPort = null;
+    port.disconnect();
+  }
+  hideAnalysisLoading();
+}
+
+// Hide the score, the notes under it and every analysis section
+function clearAnalysisView() {
+  scoreSection.classList.add('hidden');
+  scoreSection.querySelectorAll('.cache-note').forEach(note => note.classList.add('hidden'));
+  summarySection.classList.add('hidden');
+  changesSection.classList.add('hidden');
+  crossRefSection.classList.add('hidden');
+  articleSection.classList.add('hidden');
+  claimsSection.classList.add('hidden');
+  biasSection.classList.add('hidden');
+  signalsSection.classList.add('hidden');
+}
+
+function showAnalysisLoading() {
+  loadingDiv.style.display = 'block';
+  loadingText.textContent = 'Analyzing article credibility...';
+  progressTrack.classList.add('hidden');
+  progressFill.style.width = '0';
+  partialPreview.classList.add('hidden');
+  cancelAnalysisBtn.disabled = false;
+  clearAnalysisView();
+  analyzeBtn.disabled = true;
+}
+
+function hideAnalysisLoading() {
+  loadingDiv.style.display = 'none';
+  analyzeBtn.disabled = false;
+}
+
+function showAnalysisResult(response) {
+  displayResults(response.data);
+
+  // Cached results were already recorded in history when first analyzed
+  if (response.cachedAt) {
+    cacheNoteText.textContent = `Cached result · analyzed ${getTimeAgo(response.cachedAt).toLowerCase()}`;
+    reanalyzeBtn.textContent = 'Re-analyze';
+    reanalyzeBtn.dataset.stale = '';
+    cacheNote.classList.remove('hidden');
+  } else {
+    onHistoryChanged();
+  }
+  if (pageTab) {
+    showArticleWatch(pageTab, response.data);
+  }
+
+  if (response.notice) {
+    showStatus(response.notice, 'info');
+  } else {
+    hideStatus();
+  }
+}
+
+// Stage and partial-field updates while the service worker works on the analysis
+function showAnalysisProgress(message) {
+  if (message.stage === 'partial') {
+    showPartialFields(message.fields);
+    return;
+  }
+
+  if (message.stage === 'extracting') {
+    loadingText.textContent = 'Extracting article content...';
+  } else if (message.stage === 'prompting') {
+    loadingText.textContent = 'Waiting for the model...';
+    hideStatus();
+  } else if (message.stage === 'scoring') {
+    loadingText.textContent = 'Checking the answer...';
+  } else if (message.stage === 'corroborating') {
+    loadingText.textContent = 'Searching for corroborating sources...';
+  } else if (message.stage === 'chunk') {
+    loadingText.textContent = `Long article: analyzing part ${message.current} of ${message.total}...`;
+    progressTrack.classList.remove('hidden');
+    // Reserve the last step of the bar for the merge
+    progressFill.style.width = `${Math.round(((message.current - 1) / (message.total + 1)) * 100)}%`;
+    hideStatus();
+  } else if (message.stage === 'merging') {
+    loadingText.textContent = `Combining ${message.total} parts into one assessment...`;
+    progressFill.style.width = `${Math.round((message.total / (message.total + 1)) * 100)}%`;
+  }
+}
+
+function showPartialFields(fields) {
+  const parts = [];
+  if (fields.credibility_score !== undefined) parts.push(`Score ${fields.credibility_score}/100`);
+  if (fields.political_leaning) parts.push(fields.political_leaning);
+  if (fields.confidence !== undefined) parts.push(`${fields.confidence}% confidence`);
+
+  partialScore.textContent = parts.join(' · ');
+  partialScore.classList.toggle('hidden', parts.length === 0);
+  partialSummary.textContent = fields.reasoning_summary || '';
+  partialPreview.classList.remove('hidden');
+  loadingText.textContent = 'Receiving analysis...';
+}
+
+// Display analysis results
+function displayResults(data) {
+  const { credibility_score, reasoning_summary, political_leaning, heuristic } = data;
+
+  // Show sections
+  scoreSection.classList.remove('hidden');
+  displayHeuristic(heuristic, data.heuristic_only ? null : credibility_score);
+  displayArticleInfo(data.article, data.coverage);
+
+  // Without an AI result only the text-signal baseline is available
+  if (data.heuristic_only) {
+    scoreNumber.textContent = '--';
+    reliabilityBadge.textContent = 'TEXT ONLY';
+    reliabilityBadge.className = 'reliability-badge neutral-badge';
+    politicalLeaning.textContent = 'Unknown';
+    confidence.textContent = '--';
+    summarySection.classList.add('hidden');
+    crossRefSection.classList.add('hidden');
+    claimsSection.classList.add('hidden');
+    biasSection.classList.add('hidden');
+    return;
+  }
+
+  summarySection.classList.remove('hidden');
+  crossRefSection.classList.remove('hidden');
+
+  // Update score
+  scoreNumber.textContent = credibility_score;
+
+  // Update reliability badge
+  const band = getScoreBand(credibility_score, uiSettings);
+  reliabilityBadge.textContent = band.toUpperCase();
+  reliabilityBadge.className = `reliability-badge badge-${band}`;
+
+  // Display reasoning summary
+  summaryText.textContent = reasoning_summary;
+
+  displayBiasDimensions(data.bias_dimensions);
+  displayClaims(data.claims);
+
+  displayCorroboration(data);
+
+  // Update metadata with real values from API
+  politicalLeaning.textContent = political_leaning || 'Neutral';
+  confidence.textContent = typeof data.confidence === 'number' ? data.confidence + '%' : '--';
+}
+
+const STANCE_ICONS = {
+  supports: '✅',
+  mentions: '⚠️',
+  contradicts: '❌'
+};
+
+// Retrieved sources with the sentence that matched a claim. Analyses saved before
+// retrieval existed carry model-suggested links, which are labelled as unverified.
+function displayCorroboration(data) {
+  const sources = data.corroboration_analysis || [];
+
+  if (sources.length === 0) {
+    const message = data.corroboration_checked
+      ? 'No retrieved page matched the article\'s claims'
+      : 'Set a search endpoint in settings to look up corroborating sources';
+    crossRefContent.innerHTML = `<p style="color: #9CA3AF; font-size: 13px;">${message}</p>`;
+    return;
+  }
+
+  let html = `<p style="margin-bottom: 12px; font-size: 13px;">${sources.length} ${sources.length === 1 ? 'source' : 'sources'} ${sources[0].retrieved ? 'retrieved' : 'suggested by the model'}:</p>`;
+  sources.forEach((source) => {
+    const icon = source.retrieved
+      ? STANCE_ICONS[source.stance] || '⚠️'
+      : '❔';
+    html += `
+      <div class="corroboration-item">
+        <div class="corroboration-header">
+          <span class="corroboration-icon">${icon}</span>
+          <span class="corroboration-title">${escapeHtml(source.title)}</span>
+        </div>
+        <a href="${escapeHtml(source.source_url)}" target="_blank" class="corroboration-url">
+          ${escapeHtml(source.source_url)}
+        </a>
+        ${source.snippet ? `<div class="corroboration-snippet">“${escapeHtml(source.snippet)}”</div>` : ''}
+        <div class="corroboration-score">
+          ${source.retrieved
+            ? `${source.stance === 'contradicts' ? 'Disputes' : 'Matches'} claim: <span class="score-value">${clampScore(source.corroboration_score)}/100</span>`
+            : 'Suggested by the model, not verified'}
+        </div>
+      </div>
+    `;
+  });
+
+  crossRefContent.innerHTML = html;
+}
+
+// One bar per bias dimension; expanding a row shows the model's summary and example quotes.
+// Analyses saved before the breakdown existed have no bias_dimensions.
+function displayBiasDimensions(dimensions) {
+  if (!dimensions) {
+    biasSection.classList.add('hidden');
+    return;
+  }
+
+  biasContent.innerHTML = BIAS_DIMENSIONS
+    .filter(dimension => dimensions[dimension.key])
+    .map((dimension) => {
+      const result = dimensions[dimension.key];
+      // Saved and imported analyses are rendered too, so numbers are coerced before use in markup
+      const score = clampScore(result.score);
+      const color = score >= 60 ? '#EF4444' : score >= 30 ? '#F59E0B' : '#10B981';
+      const examples = (Array.isArray(result.examples) ? result.examples : [])
+        .map(example => `<blockquote>${escapeHtml(example)}</blockquote>`).join('');
+      return `
+        <details class="bias-row">
+          <summary title="${escapeHtml(dimension.description)}">
+            <span class="bias-label">${escapeHtml(dimension.label)}</span>
+            <span class="bias-track"><span class="bias-fill" style="display: block; width: ${score}%; background: ${color}"></span></span>
+            <span class="bias-score">${score}</span>
+          </summary>
+          <div class="bias-detail">
+            ${escapeHtml(result.summary || dimension.description)}
+            ${examples}
+          </div>
+        </details>
+      `;
+    }).join('');
+
+  biasSection.classList.remove('hidden');
+}
+
+const VERDICT_LABELS = {
+  supported: 'Supported',
+  unsupported: 'Unsupported',
+  disputed: 'Disputed',
+  opinion: 'Opinion'
+};
+
+// Display individual claims with their verdicts; located ones can be jumped to on the page
+function displayClaims(claims) {
+  if (!claims || claims.length === 0) {
+    claimsSection.classList.add('hidden');
+    return;
+  }
+
+  claimsContent.innerHTML = claims.map((claim, index) => `
+    <div class="claim-item">
+      <div class="claim-header">
+        <span class="verdict-pill verdict-${escapeHtml(claim.verdict)}">${escapeHtml(VERDICT_LABELS[claim.verdict] || claim.verdict)}</span>
+        ${claim.located ? `<button class="link-btn" data-claim-index="${index}">Show on page ↗</button>` : ''}
+      </div>
+      <div class="claim-text">${escapeHtml(claim.claim)}</div>
+      <div class="claim-rationale">${escapeHtml(claim.rationale)}</div>
+    </div>
+  `).join('');
+
+  claimsContent.querySelectorAll('[data-claim-index]').forEach((button) => {
+    button.addEventListener('click', () => {
+      sendToPageTab({ action: 'scrollToClaim', index: Number(button.dataset.claimIndex) });
+    });
+  });
+
+  claimsSection.classList.remove('hidden');
+}
+
+// Clear claim highlights on the page
+clearHighlightsBtn.addEventListener('click', () => {
+  sendToPageTab({ action: 'clearHighlights' });
+  claimsContent.querySelectorAll('[data-claim-index]').forEach(button => button.remove());
+});
+
+async function sendToPageTab(message) {
+  try {
+    return await chrome.tabs.sendMessage(pageTab.id, message);
+  } catch (error) {
+    showStatus('The page is no longer reachable - reload it and analyze again', 'error');
+    return null;
+  }
+}
+
+// Display extracted article metadata (headline, byline, dates, publisher)
+function displayArticleInfo(article, coverage) {
+  if (!article) {
+    articleSection.classList.add('hidden');
+    return;
+  }
+
+  articleHeadline.textContent = article.headline || 'Article';
+  const rows = [
+    ['Author', article.author || 'Not stated'],
+    ['Publisher', article.publisher || 'Unknown'],
+    ['Published', formatDate(article.publishedTime) || 'Not stated']
+  ];
+  if (article.modifiedTime) {
+    rows.push(['Updated', formatDate(article.modifiedTime)]);
+  }
+
+  let html = rows.map(([label, value]) => `
+    <div class="article-meta-row">
+      <span class="article-meta-label">${label}</span>
+      <span>${escapeHtml(value)}</span>
+    </div>
+  `).join('');
+
+  if (/^https?:\/\//i.test(article.canonicalUrl || '')) {
+    html += `<a href="${escapeHtml(article.canonicalUrl)}" target="_blank" class="corroboration-url">${escapeHtml(article.canonicalUrl)}</a>`;
+  }
+  if (coverage && coverage.chunks > 1) {
+    html += `<div class="article-note">Long article: analyzed in ${Number(coverage.analyzedChunks)} of ${Number(coverage.chunks)} parts (${Math.round(Number(coverage.ratio) * 100)}% of the text)</div>`;
+  }
+
+  articleDetails.innerHTML = html;
+  articleSection.classList.remove('hidden');
+}
+
+// Display the offline text-signal baseline and flag large gaps from the AI score
+function displayHeuristic(heuristic, aiScore) {
+  if (!heuristic) {
+    heuristicBaseline.innerHTML = '';
+    signalsSection.classList.add('hidden');
+    return;
+  }
+
+  const baseline = clampScore(heuristic.score);
+  let html = `Text-signal baseline: <strong>${baseline}/100</strong>`;
+  if (aiScore !== null && aiScore !== undefined && Math.abs(clampScore(aiScore) - baseline) >= 30) {
+    html += `<span class="divergence">⚠️ AI score differs from the text signals by ${Math.abs(clampScore(aiScore) - baseline)} points</span>`;
+  }
+  heuristicBaseline.innerHTML = html;
+
+  const signals = heuristic.signals || {};
+  const items = [
+    `Citations/links: ${signals.citationDensity} per 1000 words`,
+    `Attributed quotes: ${signals.quoteAttribution === null ? 'no quotes' : signals.quoteAttribution + '%'}`,
+    `Loaded words: ${signals.loadedWordDensity} per 1000 words`,
+    `Vague attributions: ${signals.vagueSourcing}`,
+    `Byline: ${signals.hasByline ? 'yes' : 'no'} · Date: ${signals.hasDate ? 'yes' : 'no'}`,
+    `Reading ease: ${signals.readingEase}`
+  ].concat(heuristic.notes);
+
+  signalsContent.innerHTML = '<ul>' + items.map(item => `<li>${escapeHtml(item)}</li>`).join('') + '</ul>';
+  signalsSection.classList.remove('hidden');
+}
+
+// Utility functions
+function showStatus(message, type) {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+}
+
+function hideStatus() {
+  statusDiv.className = 'status';
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, m => map[m]);
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+function getTimeAgo(timestamp) {
+  const seconds = Math.floor((Date.now() - timestamp) / 1000);
+  
+  if (seconds < 60) return 'Just now';
+  if (seconds < 3600) return Math.floor(seconds / 60) + ' minutes ago';
+  if (seconds < 86400) return Math.floor(seconds / 3600) + ' hours ago';
+  if (seconds < 604800) return Math.floor(seconds / 86400) + ' days ago';
+  
+  return new Date(timestamp).toLocaleDateString();
+}
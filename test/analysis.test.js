@@ -0,0 +1,519 @@
+// analysis.test.js - Parsing and validating model output, the provider adapters and the
+// service worker's analysis pipeline, all against the stub LLM server
+// The pipeline tests run a whole analysis the way the popup starts one: the service worker
+// asks the tab's content scripts (running on a fixture page in jsdom) for the article, calls
+// the stub, validates, and records the result in history and the cache.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadServiceWorker, loadPage, toPlain } = require('./helpers/load-scripts');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+const { startStubLlmServer, GOOD_TEXT, MALFORMED_TEXT, TRUNCATED_TEXT } = require('./helpers/stub-llm-server');
+
+const ARTICLE_URL = 'https://www.riversideledger.example/news/2024/03/12/transit-levy-approved';
+const ARTICLE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'articles', 'news-article.html'), 'utf8');
+const CONTENT_SCRIPT_FILES = ['extractor.js', 'highlighter.js', 'result-panel.js', 'link-badges.js', 'content-script.js'];
+const TAB_ID = 7;
+
+let server;
+
+test.before(async () => {
+  server = await startStubLlmServer();
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => server.reset());
+
+// The background scripts alone, for the parsing and provider tests
+function loadBackground() {
+  return loadServiceWorker({ chrome: createFakeChrome() });
+}
+
+// countedSignal in the service worker: a signal that never aborts and keeps its abort
+// listeners in listeners, to check that they are all removed again
+function addCountedSignal(sw) {
+  sw.get(`listeners = new Set();
+    countedSignal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    }`);
+}
+
+// A browser with the news fixture open in a tab and providerId pointed at the stub
+async function openArticleTab(providerId) {
+  const pageChrome = createFakeChrome();
+  const page = loadPage({ html: ARTICLE_HTML, url: ARTICLE_URL, chrome: pageChrome, files: CONTENT_SCRIPT_FILES });
+  const chrome = createFakeChrome({
+    tabs: [{ id: TAB_ID, url: ARTICLE_URL, title: 'Transit levy', active: true }],
+    onTabMessage: (tabId, message) => pageChrome.runtime.sendMessage(message)
+  });
+  const sw = loadServiceWorker({ chrome: chrome });
+  await sw.get(`saveProviderConfig('${providerId || 'gemini'}', { apiKey: 'test-key', model: 'stub-model', endpoint: '${server.endpoint}' })`);
+
+  const progress = [];
+  sw.context.recordProgress = update => progress.push(toPlain(update));
+  return {
+    sw: sw,
+    page: page,
+    progress: progress,
+    analyze: options => sw.get(`analyzeTab(${TAB_ID}, '${ARTICLE_URL}', Object.assign({ onProgress: recordProgress }, ${JSON.stringify(options || {})}))`)
+  };
+}
+
+test('parseModelJson accepts bare JSON objects only', () => {
+  const sw = loadBackground();
+  assert.strictEqual(sw.get(`parseModelJson(${JSON.stringify(GOOD_TEXT)})`).credibility_score, 82);
+  [MALFORMED_TEXT, TRUNCATED_TEXT, '[1, 2]', 'null'].forEach((text) => {
+    assert.throws(() => sw.get(`parseModelJson(${JSON.stringify(text)})`), { code: 'INVALID_JSON' });
+  });
+});
+
+test('validateAnalysis normalizes a complete answer', () => {
+  const sw = loadBackground();
+  const answer = JSON.parse(GOOD_TEXT);
+  answer.credibility_score = 140;
+  delete answer.confidence;
+  delete answer.political_leaning;
+  sw.context.answer = answer;
+
+  const analysis = toPlain(sw.get('validateAnalysis(answer)'));
+  assert.strictEqual(analysis.credibility_score, 100);
+  assert.strictEqual(analysis.confidence, 75);
+  assert.strictEqual(analysis.political_leaning, 'Neutral');
+  assert.strictEqual(analysis.schema_version, sw.get('ANALYSIS_SCHEMA_VERSION'));
+  assert.strictEqual(analysis.claims.length, 1);
+  assert.strictEqual(Object.keys(analysis.bias_dimensions).length, 6);
+});
+
+test('validateAnalysis reports every problem with an answer', () => {
+  const sw = loadBackground();
+  const answer = JSON.parse(GOOD_TEXT);
+  answer.reasoning_summary = ' ';
+  answer.political_leaning = 'Far-Left';
+  delete answer.bias_dimensions.framing;
+  sw.context.answer = answer;
+
+  assert.throws(() => sw.get('validateAnalysis(answer)'), (error) => {
+    assert.strictEqual(error.code, 'INVALID_OUTPUT');
+    assert.strictEqual(error.issues.length, 3);
+    return true;
+  });
+  // Fields a profile switched off are not required
+  delete answer.bias_dimensions;
+  answer.reasoning_summary = 'Fine.';
+  answer.political_leaning = 'Center';
+  assert.strictEqual(sw.get('validateAnalysis(answer, { bias_dimensions: false })').bias_dimensions, null);
+});
+
+test('extractPartialFields reads the finished fields of a truncated answer', () => {
+  const sw = loadBackground();
+  const fields = toPlain(sw.get(`extractPartialFields(${JSON.stringify(TRUNCATED_TEXT)})`));
+  assert.strictEqual(fields.credibility_score, 82);
+  assert.strictEqual(fields.confidence, 88);
+  assert.strictEqual(fields.political_leaning, 'Center');
+  assert.match(fields.reasoning_summary, /^Well-sourced report/);
+  // A number may still be growing until a delimiter follows it
+  assert.deepStrictEqual(toPlain(sw.get('extractPartialFields(\'{"credibility_score": 7\')')), {});
+});
+
+test('parseKnownRatings keeps a rating\'s source only when it is text', () => {
+  const sw = loadBackground();
+  const file = JSON.stringify({ ratings: [
+    { domain: 'https://www.Ledger.example/news', rating: 'high', source: 'Press council' },
+    { domain: 'wire.example', rating: 64, source: { name: '<img src=x>' } },
+    { domain: 'tabloid.example', rating: 'dreadful' }
+  ] });
+  assert.deepStrictEqual(toPlain(sw.get(`parseKnownRatings(${JSON.stringify(file)})`)), {
+    ratings: {
+      'ledger.example': { rating: 80, label: 'high', source: 'Press council' },
+      'wire.example': { rating: 64, label: null, source: null }
+    },
+    rejected: [{ row: 3, reason: 'unrecognized rating "dreadful" for tabloid.example' }]
+  });
+});
+
+['gemini', 'openai'].forEach((providerId) => {
+  test(`${providerId} adapter maps replies to text or error codes`, async () => {
+    const sw = loadBackground();
+    const generate = method => sw.get(`PROVIDERS.${providerId}.${method}('Analyze this', { apiKey: 'test-key', model: 'stub-model', endpoint: '${server.endpoint}' }, () => {})`);
+
+    server.respondWith('good', 'good', 'truncated', 'truncated', 'blocked', 'blocked', { status: 401 });
+    assert.strictEqual(await generate('generate'), GOOD_TEXT);
+    assert.strictEqual(await generate('stream'), GOOD_TEXT);
+    await assert.rejects(generate('generate'), { code: 'MAX_TOKENS' });
+    await assert.rejects(generate('stream'), { code: 'MAX_TOKENS' });
+    await assert.rejects(generate('generate'), { code: 'SAFETY' });
+    await assert.rejects(generate('stream'), { code: 'SAFETY' });
+    await assert.rejects(generate('generate'), { code: 'AUTH' });
+
+    const streamed = server.requests[1];
+    assert.ok(providerId === 'gemini' ? streamed.url.includes(':streamGenerateContent') : streamed.body.stream);
+    assert.ok(providerId === 'gemini' ? streamed.headers['x-goog-api-key'] : streamed.headers.authorization);
+  });
+});
+
+test('a good answer is streamed, recorded in history and cached', async () => {
+  const tab = await openArticleTab();
+  server.respondWith('good');
+
+  const result = toPlain(await tab.analyze());
+  assert.strictEqual(result.data.credibility_score, 82);
+  assert.strictEqual(result.data.provider, 'gemini');
+  assert.strictEqual(result.data.model, 'stub-model');
+  assert.strictEqual(result.data.source_type, 'page');
+  assert.strictEqual(result.data.article.headline, 'City council approves transit levy after marathon session');
+  assert.deepStrictEqual(result.data.claims.map(claim => claim.located), [true]);
+  assert.ok(tab.progress.some(update => update.stage === 'partial' && update.fields.credibility_score === 82));
+
+  // The article text went to the model
+  assert.match(server.requests[0].body.contents[0].parts[0].text, /eleven-hour session/);
+
+  const history = toPlain(await tab.sw.get('getHistoryEntries()'));
+  assert.strictEqual(history.length, 1);
+  assert.strictEqual(history[0].url, ARTICLE_URL);
+  assert.strictEqual(history[0].score, 82);
+  assert.strictEqual(history[0].biasScores.framing, 15);
+
+  // The same text again comes from the cache without calling the model
+  const again = toPlain(await tab.analyze());
+  assert.ok(again.cachedAt);
+  assert.strictEqual(server.requests.length, 1);
+  tab.page.window.close();
+});
+
+test('malformed output gets one repair attempt', async () => {
+  const tab = await openArticleTab('openai');
+  server.respondWith('malformed', 'good');
+
+  const result = toPlain(await tab.analyze());
+  assert.strictEqual(result.data.credibility_score, 82);
+  assert.strictEqual(server.requests.length, 2);
+  assert.match(server.requests[1].body.messages[0].content, /Your previous response could not be used/);
+  tab.page.window.close();
+});
+
+test('malformed output twice fails the analysis without recording it', async () => {
+  const tab = await openArticleTab();
+  server.respondWith('malformed', 'malformed');
+
+  await assert.rejects(tab.analyze(), { code: 'INVALID_JSON' });
+  assert.strictEqual(server.requests.length, 2);
+  assert.strictEqual((await tab.sw.get('getHistoryEntries()')).length, 0);
+  tab.page.window.close();
+});
+
+test('a blocked answer fails with SAFETY', async () => {
+  const tab = await openArticleTab();
+  server.respondWith('blocked');
+
+  await assert.rejects(tab.analyze(), { code: 'SAFETY' });
+  assert.strictEqual(server.requests.length, 1);
+  tab.page.window.close();
+});
+
+test('a truncated answer falls back to a chunked analysis', async () => {
+  const tab = await openArticleTab();
+  server.respondWith('truncated', 'notes', 'good');
+
+  const result = toPlain(await tab.analyze());
+  assert.strictEqual(result.data.credibility_score, 82);
+  assert.strictEqual(result.data.coverage.chunks, 1);
+  assert.strictEqual(server.requests.length, 3);
+  assert.ok(tab.progress.some(update => update.stage === 'chunk'));
+  assert.ok(tab.progress.some(update => update.stage === 'merging'));
+  tab.page.window.close();
+});
+
+test('without an API key only the text-signal baseline is shown', async () => {
+  const tab = await openArticleTab();
+  await tab.sw.get('saveProviderConfig(\'gemini\', { apiKey: \'\', model: \'stub-model\', endpoint: \'http://127.0.0.1:9\' })');
+
+  const result = toPlain(await tab.analyze());
+  assert.strictEqual(result.data.heuristic_only, true);
+  assert.strictEqual(typeof result.data.heuristic.score, 'number');
+  assert.match(result.notice, /No Google Gemini API key saved/);
+  assert.strictEqual(server.requests.length, 0);
+  tab.page.window.close();
+});
+
+test('content scripts are injected only into pages that lack them', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  await assert.rejects(sw.get(`sendToContentScript(${TAB_ID}, { action: 'ping' })`), /Receiving end does not exist/);
+  assert.deepStrictEqual(toPlain(chrome.scripting.calls.map(call => call.files || 'probe')), ['probe', CONTENT_SCRIPT_FILES]);
+
+  // The flag content-script.js sets is already there
+  chrome.scripting.calls.length = 0;
+  chrome.scripting.executeScript = async (injection) => {
+    chrome.scripting.calls.push(injection);
+    return [{ result: true }];
+  };
+  await assert.rejects(sw.get(`sendToContentScript(${TAB_ID}, { action: 'ping' })`));
+  assert.strictEqual(chrome.scripting.calls.length, 1);
+
+  // Other failures are not a missing listener
+  chrome.scripting.calls.length = 0;
+  chrome.tabs.sendMessage = async () => {
+    throw new Error('No tab with id: 7.');
+  };
+  await assert.rejects(sw.get(`sendToContentScript(${TAB_ID}, { action: 'ping' })`), /No tab with id/);
+  assert.strictEqual(chrome.scripting.calls.length, 0);
+});
+
+test('results stored at the same time are all cached', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  await sw.get(`Promise.all(['a', 'b', 'c'].map(name => setCachedAnalysis('news.example/' + name, 'hash-' + name, { credibility_score: 50 })))`);
+  assert.deepStrictEqual(Object.keys(chrome.storage.local.data.analysisCache).sort(),
+    ['news.example/a', 'news.example/b', 'news.example/c']);
+  assert.strictEqual((await sw.get('getCachedAnalysis(\'news.example/b\', \'hash-b\')')).data.credibility_score, 50);
+
+  // A changed article drops only its own entry
+  assert.strictEqual(await sw.get('getCachedAnalysis(\'news.example/b\', \'hash-new\')'), null);
+  assert.deepStrictEqual(Object.keys(chrome.storage.local.data.analysisCache).sort(), ['news.example/a', 'news.example/c']);
+});
+
+test('parallel provider calls cannot go over the daily request limit', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  const outcomes = await sw.get(`Promise.allSettled([1, 2, 3, 4].map(() => reserveApiRequest(2)))
+    .then(results => results.map(result => result.status === 'fulfilled' ? 'sent' : result.reason.code))`);
+  assert.deepStrictEqual(toPlain(outcomes), ['sent', 'sent', 'QUOTA', 'QUOTA']);
+
+  await sw.get('Promise.all([recordApiTokens(100), recordApiTokens(50)])');
+  assert.strictEqual(chrome.storage.local.data.apiUsage.requests, 2);
+  assert.strictEqual(chrome.storage.local.data.apiUsage.tokens, 150);
+});
+
+test('a response body that stalls after the headers times out or is cancelled', async (t) => {
+  const stalled = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.write('{"candidates": [');
+  });
+  await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    stalled.closeAllConnections();
+    stalled.close();
+  });
+  const url = `http://127.0.0.1:${stalled.address().port}/`;
+  const sw = loadBackground();
+
+  await assert.rejects(sw.get(`fetchWithRetry('${url}', {}, {}).then(response => readJson(response, null, 200))`), { code: 'TIMEOUT' });
+
+  sw.get('cancelRead = new AbortController()');
+  const read = sw.get(`fetchWithRetry('${url}', {}, { signal: cancelRead.signal }).then(response => readJson(response, cancelRead.signal))`);
+  setTimeout(() => sw.get('cancelRead.abort()'), 100);
+  await assert.rejects(read, { code: 'CANCELLED' });
+});
+
+test('requests stop listening to the caller\'s signal once they settle', async () => {
+  const sw = loadBackground();
+  addCountedSignal(sw);
+  server.respondWith({ status: 503 }, 'good', 'good');
+  const config = `{ apiKey: 'test-key', model: 'stub-model', endpoint: '${server.endpoint}', signal: countedSignal }`;
+
+  assert.strictEqual(await sw.get(`PROVIDERS.gemini.generate('Analyze this', ${config})`), GOOD_TEXT);
+  assert.strictEqual(await sw.get(`PROVIDERS.gemini.stream('Analyze this', ${config}, () => {})`), GOOD_TEXT);
+  assert.strictEqual(server.requests.length, 3);
+  assert.strictEqual(sw.get('listeners.size'), 0);
+});
+
+test('tabs loading together cannot spend more than the auto-analysis budget', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  const spent = await sw.get('Promise.all([1, 2, 3, 4].map(() => consumeAutoBudget(3)))');
+  assert.deepStrictEqual(toPlain(spent), [true, true, true, false]);
+  assert.strictEqual(chrome.storage.local.data.autoUsage.count, 3);
+});
+
+test('a linked article\'s analysis leaves the page\'s own result and badge alone', async () => {
+  const tab = await openArticleTab();
+  const chrome = tab.sw.context.chrome;
+  tab.sw.context.pageResult = await tab.analyze();
+  await tab.sw.get(`rememberTabResult(${TAB_ID}, '${ARTICLE_URL}', pageResult, false)`);
+  assert.strictEqual(chrome.action.badges[TAB_ID].text, '82');
+
+  // The fixture text stands in for the fetched link, which would go through the offscreen document
+  tab.sw.get(`fetchLinkedArticle = async url => ({
+    url: url,
+    article: Object.assign(await extractArticleContent(${TAB_ID}, 'article', 0), { canonicalUrl: url })
+  })`);
+  server.respondWith({ text: JSON.stringify(Object.assign(JSON.parse(GOOD_TEXT), { credibility_score: 30 })) });
+  chrome.contextMenus.onClicked.dispatch({ menuItemId: 'analyze-link', linkUrl: 'https://other.example/story' }, { id: TAB_ID, url: ARTICLE_URL });
+
+  const shown = () => chrome.tabs.sent.find(sent => sent.message.action === 'showResultPanel' && sent.message.state.status === 'result');
+  for (let waited = 0; !shown() && waited < 3000; waited += 20) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.strictEqual(shown().message.state.data.credibility_score, 30);
+  assert.strictEqual(chrome.storage.session.data[`tabResult_${TAB_ID}`].data.credibility_score, 82);
+  assert.strictEqual(chrome.action.badges[TAB_ID].text, '82');
+  tab.page.window.close();
+});
+
+test('a linked page is retried when overloaded and times out when its body stalls', async (t) => {
+  const requests = [];
+  const site = http.createServer((request, response) => {
+    requests.push(request.url);
+    if (request.url === '/busy' && requests.length === 1) {
+      response.writeHead(503, { 'Retry-After': '0' });
+      response.end();
+    } else if (request.url === '/stalled') {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.write('<html><body><p>The council voted');
+    } else {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end('<html><body><p>The council voted 7-2 early Tuesday.</p></body></html>');
+    }
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    site.closeAllConnections();
+    site.close();
+  });
+  const origin = `http://127.0.0.1:${site.address().port}`;
+  const sw = loadBackground();
+  sw.get('extractHtmlOffscreen = async html => ({ text: html.replace(/<[^>]+>/g, \'\') })');
+  // Run the link deadline in 200 ms instead of its 20 seconds
+  const deadline = sw.get('LINK_FETCH_TIMEOUT_MS');
+  sw.context.setTimeout = (callback, ms) => setTimeout(callback, ms === deadline ? 200 : ms);
+
+  const linked = await sw.get(`fetchLinkedArticle('${origin}/busy')`);
+  assert.strictEqual(linked.article.text, 'The council voted 7-2 early Tuesday.');
+  assert.deepStrictEqual(requests, ['/busy', '/busy']);
+
+  await assert.rejects(sw.get(`fetchLinkedArticle('${origin}/stalled')`), { code: 'TIMEOUT' });
+});
+
+test('link analyses started together create one offscreen document', async () => {
+  const chrome = createFakeChrome();
+  let documents = 0;
+  chrome.runtime.getContexts = async () => (documents > 0 ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []);
+  chrome.offscreen.createDocument = async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    documents++;
+  };
+  const sw = loadServiceWorker({ chrome: chrome });
+
+  await sw.get('Promise.all([ensureOffscreenDocument(), ensureOffscreenDocument(), ensureOffscreenDocument()])');
+  await sw.get('ensureOffscreenDocument()');
+  assert.strictEqual(documents, 1);
+});
+
+test('links that fail to load leave the analysis queue and the next one runs', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  sw.get(`fetchLinkedArticle = async (url) => {
+    throw providerError(\`The linked page \${url} did not load\`, 'TIMEOUT');
+  }`);
+
+  assert.deepStrictEqual(toPlain(sw.get(`queueLinkAnalysis(${TAB_ID}, 'https://slow.example/a')`)), { position: 1 });
+  assert.deepStrictEqual(toPlain(sw.get(`queueLinkAnalysis(${TAB_ID}, 'https://slow.example/b')`)), { position: 2 });
+  for (let waited = 0; sw.get('linkQueueRunning') && waited < 3000; waited += 20) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.strictEqual(sw.get('linkAnalysisQueue.length'), 0);
+  assert.strictEqual(sw.get('linkQueueRunning'), false);
+  const updates = chrome.tabs.sent.filter(sent => sent.message.action === 'updateLinkBadges').map(sent => sent.message);
+  assert.deepStrictEqual(updates.map(update => [update.url, update.badge.status]),
+    [['https://slow.example/a', 'error'], ['https://slow.example/b', 'error']]);
+});
+
+test('corroboration never fetches results on this machine or the local network', async (t) => {
+  const pages = [];
+  const search = http.createServer((request, response) => {
+    pages.push(request.url);
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify([
+      { title: 'Local', url: `http://127.0.0.1:${search.address().port}/page` },
+      { title: 'Router', url: 'http://192.168.1.1/status' },
+      { title: 'Intranet', url: 'http://wiki/levy' },
+      { title: 'Metadata', url: 'http://169.254.169.254/latest' }
+    ]));
+  });
+  await new Promise(resolve => search.listen(0, '127.0.0.1', resolve));
+  t.after(() => search.close());
+  const sw = loadBackground();
+  addCountedSignal(sw);
+
+  const settings = `{ searchEndpoint: 'http://127.0.0.1:${search.address().port}/search', searchMaxResults: 5 }`;
+  const sources = await sw.get(`corroborateClaims([{ claim: 'The council voted 7-2 on the levy', verdict: 'supported' }],
+    '${ARTICLE_URL}', ${settings}, countedSignal)`);
+  assert.strictEqual(sources.length, 0);
+  assert.deepStrictEqual(pages.map(page => page.split('?')[0]), ['/search']);
+  assert.strictEqual(sw.get('listeners.size'), 0);
+});
+
+test('a corroboration page that stalls after its headers runs into the fetch deadline', async (t) => {
+  const stalled = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.write('<p>The council voted');
+  });
+  await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    stalled.closeAllConnections();
+    stalled.close();
+  });
+  const sw = loadBackground();
+  // Run the fetch deadline in 200 ms instead of its 8 seconds
+  const deadline = sw.get('CORROBORATION_FETCH_TIMEOUT_MS');
+  sw.context.setTimeout = (callback, ms) => setTimeout(callback, ms === deadline ? 200 : ms);
+
+  let guard;
+  const hung = new Promise(resolve => {
+    guard = setTimeout(resolve, 3000, 'still reading');
+  });
+  t.after(() => clearTimeout(guard));
+  const read = sw.get(`fetchPageText('http://127.0.0.1:${stalled.address().port}/page', null)`);
+  await assert.rejects(Promise.race([read, hung.then(result => { throw new Error(result); })]), { name: 'AbortError' });
+});
+
+test('cancelling the analysis cancels a corroboration search in flight', async (t) => {
+  const searches = [];
+  const search = http.createServer(request => searches.push(request.url));
+  await new Promise(resolve => search.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    search.closeAllConnections();
+    search.close();
+  });
+  const sw = loadBackground();
+
+  sw.get('cancelCorroboration = new AbortController()');
+  const settings = `{ searchEndpoint: 'http://127.0.0.1:${search.address().port}/search', searchMaxResults: 5 }`;
+  const corroborated = sw.get(`corroborateClaims([{ claim: 'The council voted 7-2 on the levy', verdict: 'supported' },
+    { claim: 'The levy raises $41 million a year', verdict: 'supported' }], '${ARTICLE_URL}', ${settings}, cancelCorroboration.signal)`);
+  const started = Date.now();
+  setTimeout(() => sw.get('cancelCorroboration.abort()'), 100);
+  await assert.rejects(corroborated, { code: 'CANCELLED' });
+  // Right away, not once the search runs into its own deadline
+  assert.ok(Date.now() - started < 2000);
+  // The second claim is never searched for
+  assert.strictEqual(searches.length, 1);
+});
+
+test('logged values are reduced to their length unless debug logging is on', () => {
+  const sw = loadBackground();
+  const logged = () => sw.console.messages.pop().text;
+  const fragment = '{"reasoning_summary": "Council';
+  sw.context.fragment = fragment;
+
+  sw.get('logWarn(\'Skipping malformed stream line:\', fragment)');
+  assert.strictEqual(logged(), `Skipping malformed stream line: [${fragment.length} characters]`);
+  sw.get('logWarn(\'Unusual finish reason:\', \'RECITATION\')');
+  assert.strictEqual(logged(), 'Unusual finish reason: RECITATION');
+  sw.get('logError(\'Analysis error:\', providerError(\'Invalid prompt: "The council voted"\', \'HTTP\'))');
+  assert.strictEqual(logged(), 'Analysis error: Error: [35 characters]');
+
+  const errorData = toPlain(sw.get('redactForLog({ error: { message: \'Bad request\', code: 400, status: \'INVALID_ARGUMENT\' } }, false)'));
+  assert.deepStrictEqual(errorData, { error: { message: '[11 characters]', code: 400, status: 'INVALID_ARGUMENT' } });
+
+  sw.get('debugLogging = true');
+  sw.get('logWarn(\'Skipping malformed stream line:\', fragment)');
+  assert.strictEqual(logged(), `Skipping malformed stream line: ${fragment}`);
+});
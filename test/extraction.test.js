@@ -0,0 +1,140 @@
+// extraction.test.js - extractor.js against the saved pages in fixtures/articles
+// Each <name>.html has a <name>.expected.json with the URL it was saved from, the metadata and
+// paragraphs the extractor should return, text that must not leak in from page furniture
+// (excludes) and what diagnoseExtraction says about it at MIN_CHARS.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, toPlain, settle } = require('./helpers/load-scripts');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'articles');
+const CONTENT_SCRIPT_FILES = ['extractor.js', 'highlighter.js', 'result-panel.js', 'link-badges.js', 'content-script.js'];
+const MIN_CHARS = 400;
+
+const METADATA_FIELDS = ['headline', 'author', 'publishedTime', 'modifiedTime', 'publisher', 'canonicalUrl',
+  'description', 'type', 'linkCount', 'hasByline', 'hasDate', 'isAmp', 'paywalled'];
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map((file) => {
+    const name = path.basename(file, '.html');
+    return {
+      name: name,
+      html: fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'),
+      expected: JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.expected.json`), 'utf8'))
+    };
+  });
+
+function openFixture(fixture, files) {
+  const chrome = createFakeChrome();
+  const page = loadPage({ html: fixture.html, url: fixture.expected.url, chrome: chrome, files: files || ['extractor.js'] });
+  return Object.assign(page, { chrome: chrome });
+}
+
+fixtures.forEach((fixture) => {
+  test(`extracts ${fixture.name}`, () => {
+    const page = openFixture(fixture);
+    const article = toPlain(page.get('extractPageArticle(document)'));
+    page.window.close();
+
+    METADATA_FIELDS.forEach((field) => {
+      assert.strictEqual(article[field], fixture.expected[field], field);
+    });
+    assert.deepStrictEqual(article.paragraphs, fixture.expected.paragraphs);
+    assert.strictEqual(article.text, fixture.expected.paragraphs.join('\n\n'));
+    assert.strictEqual(article.scope, 'article');
+    fixture.expected.excludes.forEach((boilerplate) => {
+      assert.ok(!article.text.includes(boilerplate), `"${boilerplate}" should not be extracted`);
+    });
+  });
+
+  test(`diagnoses ${fixture.name}`, () => {
+    const page = openFixture(fixture);
+    const failure = toPlain(page.get(`diagnoseExtraction(extractPageArticle(document), ${MIN_CHARS})`));
+    page.window.close();
+
+    assert.strictEqual(failure ? failure.code : null, fixture.expected.diagnosis);
+  });
+});
+
+test('the content script answers extraction messages', async () => {
+  const [article, listing] = ['news-article', 'listing-page'].map(name => fixtures.find(fixture => fixture.name === name));
+
+  const articlePage = openFixture(article, CONTENT_SCRIPT_FILES);
+  const extracted = await articlePage.chrome.runtime.sendMessage({ action: 'extractArticle', minChars: MIN_CHARS });
+  assert.strictEqual(extracted.article.headline, article.expected.headline);
+  assert.deepStrictEqual(extracted.article.paragraphs, article.expected.paragraphs);
+
+  const noSelection = await articlePage.chrome.runtime.sendMessage({ action: 'extractSelection', minChars: 1 });
+  assert.strictEqual(noSelection.error.code, 'NO_SELECTION');
+  articlePage.window.close();
+
+  const listingPage = openFixture(listing, CONTENT_SCRIPT_FILES);
+  const tooShort = await listingPage.chrome.runtime.sendMessage({ action: 'extractArticle', minChars: MIN_CHARS });
+  assert.strictEqual(tooShort.error.code, 'TOO_SHORT');
+  listingPage.window.close();
+});
+
+test('the content script highlights claim quotes found on the page', async () => {
+  const page = openFixture(fixtures.find(fixture => fixture.name === 'news-article'), CONTENT_SCRIPT_FILES);
+  const response = await page.chrome.runtime.sendMessage({
+    action: 'highlightClaims',
+    claims: [
+      { claim: 'Vote count', quote: 'voted 7-2 early Tuesday' },
+      { claim: 'Invented', quote: 'this sentence is not in the article' }
+    ]
+  });
+  await settle();
+  page.window.close();
+
+  assert.deepStrictEqual(response.located, [true, false]);
+});
+
+test('claim quotes match within a paragraph, across inline links, but not across paragraphs', async () => {
+  const page = openFixture(fixtures.find(fixture => fixture.name === 'news-article'), CONTENT_SCRIPT_FILES);
+  const { document } = page.window;
+  const response = await page.chrome.runtime.sendMessage({
+    action: 'highlightClaims',
+    claims: [
+      { claim: 'Vote count', quote: 'voted 7-2 early Tuesday' },
+      { claim: 'Two paragraphs', quote: 'past 2 a.m. The levy would raise' },
+      { claim: 'Same sentence', quote: 'ending an eleven-hour session' },
+      { claim: 'Linked source', quote: 'according to a city finance department analysis' }
+    ]
+  });
+
+  assert.deepStrictEqual(response.located, [true, false, true, true]);
+  const marked = index => Array.from(document.querySelectorAll(`mark.cred-claim[data-claim-index="${index}"]`))
+    .map(mark => mark.textContent).join('');
+  assert.strictEqual(marked(0), 'voted 7-2 early Tuesday');
+  assert.strictEqual(marked(2), 'ending an eleven-hour session');
+  assert.strictEqual(marked(3), 'according to a city finance department analysis');
+  page.get('clearHighlights()');
+  page.window.close();
+});
+
+test('highlights lost to a re-render come back, and claims that left the page are dropped', async () => {
+  const page = openFixture(fixtures.find(fixture => fixture.name === 'news-article'), CONTENT_SCRIPT_FILES);
+  const { document } = page.window;
+  await page.chrome.runtime.sendMessage({
+    action: 'highlightClaims',
+    claims: [{ claim: 'Vote count', quote: 'voted 7-2 early Tuesday' }, { claim: 'Invented', quote: 'not in the article' }]
+  });
+  assert.deepStrictEqual(page.get('trackedClaimIndexes').slice(), [0]);
+
+  // The page re-renders the paragraph with the same text
+  const paragraph = document.querySelector('mark.cred-claim').closest('p');
+  paragraph.innerHTML = paragraph.textContent;
+  await new Promise(resolve => setTimeout(resolve, 700));
+  assert.ok(document.querySelector('mark.cred-claim[data-claim-index="0"]'));
+
+  // The paragraph is gone for good
+  document.querySelector('mark.cred-claim').closest('p').remove();
+  await new Promise(resolve => setTimeout(resolve, 700));
+  assert.strictEqual(page.get('trackedClaimIndexes').length, 0);
+  assert.strictEqual(page.get('highlightObserver'), null);
+  page.window.close();
+});
@@ -0,0 +1,259 @@
+// fake-chrome.js - In-memory stand-in for the chrome.* APIs the extension uses
+// One fake is one browser: every context built with it (service worker, popup, content
+// script) shares its storage, tabs and message routing. Tests reach into the returned object
+// to seed state (storage areas, tabs) and to answer or inspect messages.
+
+// chrome.events.Event: listeners in registration order
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners: listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args))
+  };
+}
+
+// Values pass through structured clone, like the real storage, so callers never share objects
+function createStorageArea(areaName, onChanged) {
+  const data = {};
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) {
+      return structuredClone(data);
+    }
+    if (typeof keys === 'string') {
+      keys = [keys];
+    }
+    const result = {};
+    if (Array.isArray(keys)) {
+      keys.filter(key => key in data).forEach((key) => {
+        result[key] = structuredClone(data[key]);
+      });
+    } else {
+      // An object of defaults for missing keys
+      Object.keys(keys).forEach((key) => {
+        result[key] = structuredClone(key in data ? data[key] : keys[key]);
+      });
+    }
+    return result;
+  };
+
+  const update = (newValues, removedKeys) => {
+    const changes = {};
+    Object.keys(newValues).forEach((key) => {
+      changes[key] = { oldValue: data[key], newValue: structuredClone(newValues[key]) };
+      data[key] = structuredClone(newValues[key]);
+    });
+    removedKeys.filter(key => key in data).forEach((key) => {
+      changes[key] = { oldValue: data[key] };
+      delete data[key];
+    });
+    if (Object.keys(changes).length > 0) {
+      onChanged.dispatch(changes, areaName);
+    }
+  };
+
+  return {
+    data: data,
+    get: async keys => pick(keys),
+    set: async (items) => update(items, []),
+    remove: async keys => update({}, [].concat(keys)),
+    clear: async () => update({}, Object.keys(data)),
+    setAccessLevel: async () => {}
+  };
+}
+
+// One end of a runtime.connect() channel; messages arrive on the other end asynchronously
+function createPortPair(name, sender) {
+  const ends = [0, 1].map(() => ({
+    name: name,
+    sender: sender,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    connected: true
+  }));
+  ends.forEach((end, index) => {
+    const other = ends[1 - index];
+    end.postMessage = (message) => {
+      if (!end.connected) {
+        throw new Error('Attempting to use a disconnected port object');
+      }
+      const copy = structuredClone(message);
+      setTimeout(() => {
+        if (other.connected) other.onMessage.dispatch(copy, other);
+      });
+    };
+    end.disconnect = () => {
+      if (!end.connected) return;
+      end.connected = false;
+      other.connected = false;
+      setTimeout(() => other.onDisconnect.dispatch(other));
+    };
+  });
+  return ends;
+}
+
+// Deliver a message to onMessage listeners the way Chrome does: the first sendResponse call
+// wins, and a listener keeps the channel open by returning true
+function deliverMessage(event, message, sender) {
+  return new Promise((resolve) => {
+    let answered = false;
+    let waiting = false;
+    const sendResponse = (response) => {
+      if (!answered) {
+        answered = true;
+        resolve(response === undefined ? undefined : structuredClone(response));
+      }
+    };
+    event.listeners.forEach((listener) => {
+      if (listener(structuredClone(message), sender, sendResponse) === true) {
+        waiting = true;
+      }
+    });
+    if (!waiting && !answered) {
+      resolve(undefined);
+    }
+  });
+}
+
+// options.tabs: initial tabs ({ id, url, title, active, windowId }); options.onTabMessage:
+// (tabId, message) => response for chrome.tabs.sendMessage, standing in for content scripts.
+// Without it, sending to a tab fails as it does when no content script is listening.
+function createFakeChrome(options = {}) {
+  const storageChanged = createEvent();
+  const runtime = {
+    id: 'test-extension',
+    lastError: null,
+    onMessage: createEvent(),
+    onConnect: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    optionsOpened: 0,
+    getURL: path => `chrome-extension://test-extension/${path}`,
+    getContexts: async () => [],
+    openOptionsPage: async () => {
+      runtime.optionsOpened++;
+    },
+    sendMessage(message, callback) {
+      const delivered = deliverMessage(runtime.onMessage, message, { id: runtime.id });
+      if (typeof callback === 'function') {
+        delivered.then(response => setTimeout(() => callback(response)));
+        return undefined;
+      }
+      return delivered;
+    },
+    connect(connectInfo = {}) {
+      const [own, remote] = createPortPair(connectInfo.name || '', { id: runtime.id });
+      setTimeout(() => runtime.onConnect.dispatch(remote));
+      return own;
+    }
+  };
+
+  const tabList = (options.tabs || []).map(tab => Object.assign({ active: false, windowId: 1, title: '' }, tab));
+  const tabs = {
+    list: tabList,
+    sent: [],
+    onUpdated: createEvent(),
+    onActivated: createEvent(),
+    onRemoved: createEvent(),
+    query: async (queryInfo = {}) => tabList
+      .filter(tab => queryInfo.active === undefined || tab.active === queryInfo.active)
+      .filter(tab => queryInfo.windowId === undefined || tab.windowId === queryInfo.windowId)
+      .filter(tab => !queryInfo.currentWindow || tab.windowId === 1)
+      .map(tab => Object.assign({}, tab)),
+    get: async (tabId) => {
+      const tab = tabList.find(candidate => candidate.id === tabId);
+      if (!tab) {
+        throw new Error(`No tab with id: ${tabId}.`);
+      }
+      return Object.assign({}, tab);
+    },
+    create: async (createProperties) => {
+      const tab = Object.assign({ id: 1000 + tabList.length, active: true, windowId: 1, title: '' }, createProperties);
+      tabList.push(tab);
+      return Object.assign({}, tab);
+    },
+    sendMessage: async (tabId, message) => {
+      tabs.sent.push({ tabId: tabId, message: structuredClone(message) });
+      if (!options.onTabMessage) {
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      }
+      return structuredClone(await options.onTabMessage(tabId, message));
+    }
+  };
+
+  const alarmList = {};
+  const badges = {};
+  const chrome = {
+    runtime: runtime,
+    tabs: tabs,
+    storage: {
+      onChanged: storageChanged,
+      sync: createStorageArea('sync', storageChanged),
+      local: createStorageArea('local', storageChanged),
+      session: createStorageArea('session', storageChanged)
+    },
+    scripting: {
+      calls: [],
+      executeScript: async (injection) => {
+        chrome.scripting.calls.push(injection);
+        return [];
+      }
+    },
+    action: {
+      badges: badges,
+      setBadgeText: async ({ tabId, text }) => {
+        badges[tabId] = Object.assign({}, badges[tabId], { text: text });
+      },
+      setBadgeBackgroundColor: async ({ tabId, color }) => {
+        badges[tabId] = Object.assign({}, badges[tabId], { color: color });
+      },
+      openPopup: async () => {}
+    },
+    alarms: {
+      list: alarmList,
+      onAlarm: createEvent(),
+      create: async (name, alarmInfo) => {
+        alarmList[name] = Object.assign({ name: name }, alarmInfo);
+      },
+      get: async name => alarmList[name],
+      getAll: async () => Object.values(alarmList),
+      clear: async (name) => {
+        const existed = name in alarmList;
+        delete alarmList[name];
+        return existed;
+      }
+    },
+    contextMenus: {
+      items: [],
+      onClicked: createEvent(),
+      create: (item) => {
+        chrome.contextMenus.items.push(item);
+      },
+      removeAll: (callback) => {
+        chrome.contextMenus.items.length = 0;
+        if (callback) callback();
+      }
+    },
+    offscreen: {
+      createDocument: async () => {}
+    },
+    windows: {
+      getCurrent: async () => ({ id: 1 })
+    },
+    sidePanel: {
+      opened: [],
+      open: async (openOptions) => {
+        chrome.sidePanel.opened.push(openOptions);
+      }
+    }
+  };
+  return chrome;
+}
+
+module.exports = { createFakeChrome, createEvent };
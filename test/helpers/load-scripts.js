@@ -0,0 +1,145 @@
+// load-scripts.js - Runs the extension's classic scripts the way the browser does
+// Every file in a context shares one global scope, so top-level const, let and function
+// declarations from earlier files are visible to later ones. get(expression) reads a value
+// out of the context; results are objects of that context's realm, so compare them with
+// toPlain() or assert.deepEqual rather than deepStrictEqual.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'bias-detector');
+
+function readExtensionFile(file) {
+  return fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+}
+
+function runFiles(context, files) {
+  files.forEach((file) => {
+    new vm.Script(readExtensionFile(file), { filename: path.join(EXTENSION_DIR, file) }).runInContext(context);
+  });
+}
+
+// Console that keeps what the extension logs instead of printing it, so expected warnings
+// and errors don't clutter the test output
+function createQuietConsole() {
+  const messages = [];
+  const record = level => (...args) => messages.push({ level: level, text: args.map(String).join(' ') });
+  return {
+    messages: messages,
+    log: record('log'),
+    info: record('info'),
+    debug: record('debug'),
+    warn: record('warn'),
+    error: record('error')
+  };
+}
+
+// Round-trip through JSON, turning another realm's objects into plain ones of this realm
+function toPlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// The service worker: a bare global scope with the web APIs a worker has (no DOM), where
+// importScripts() runs the named extension files. Loading service-worker.js pulls in the
+// rest of the background scripts and registers its listeners on the fake chrome.
+function loadServiceWorker({ chrome, indexedDB = new IDBFactory(), console = createQuietConsole(), files = ['service-worker.js'] }) {
+  const context = vm.createContext({
+    chrome: chrome,
+    console: console,
+    indexedDB: indexedDB,
+    IDBKeyRange: IDBKeyRange,
+    crypto: webcrypto,
+    fetch: fetch,
+    Headers: Headers,
+    Request: Request,
+    Response: Response,
+    AbortController: AbortController,
+    AbortSignal: AbortSignal,
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    structuredClone: structuredClone,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    setInterval: setInterval,
+    clearInterval: clearInterval,
+    queueMicrotask: queueMicrotask
+  });
+  context.self = context;
+  context.importScripts = (...importedFiles) => runFiles(context, importedFiles);
+  runFiles(context, files);
+
+  return {
+    context: context,
+    console: console,
+    get: expression => vm.runInContext(expression, context)
+  };
+}
+
+// A page in jsdom: an extension page (popup.html, sidepanel.html) with its own <script src>
+// files run in order, or a web page (url, html) that gets the content scripts listed in
+// files. Browser APIs jsdom lacks (WebCrypto, fetch, matchMedia, object URLs) are filled in.
+function loadPage({ page, html, url, chrome, indexedDB = new IDBFactory(), console = createQuietConsole(), files }) {
+  const source = page ? readExtensionFile(page) : html;
+  const scripts = [];
+  const markup = source.replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+    scripts.push(src);
+    return '';
+  });
+
+  const dom = new JSDOM(markup, {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    url: url || `chrome-extension://test-extension/${page}`
+  });
+  const window = dom.window;
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  Object.assign(window, {
+    chrome: chrome,
+    console: console,
+    indexedDB: indexedDB,
+    IDBKeyRange: IDBKeyRange,
+    fetch: fetch,
+    structuredClone: structuredClone,
+    matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+    confirm: () => true,
+    alert: () => {},
+    close: () => {
+      window.closeCalls = (window.closeCalls || 0) + 1;
+    }
+  });
+  window.URL.createObjectURL = () => 'blob:test';
+  window.URL.revokeObjectURL = () => {};
+
+  const context = dom.getInternalVMContext();
+  runFiles(context, files || scripts);
+
+  return {
+    dom: dom,
+    window: window,
+    document: window.document,
+    console: console,
+    get: expression => vm.runInContext(expression, context)
+  };
+}
+
+// Resolve after pending timers and promise callbacks have run, for the fake's asynchronous
+// message delivery and the pages' startup work
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  EXTENSION_DIR,
+  readExtensionFile,
+  createQuietConsole,
+  toPlain,
+  loadServiceWorker,
+  loadPage,
+  settle
+};
@@ -0,0 +1,146 @@
+// stub-llm-server.js - Local HTTP server standing in for the LLM providers
+// Speaks the Gemini (generateContent / streamGenerateContent) and OpenAI-compatible
+// (/chat/completions, plain or streamed) dialects. Each request takes the next queued reply;
+// with none queued it answers 'good'. Every request body is recorded for assertions.
+//
+// Replies: 'good' (a valid analysis), 'malformed' (prose around broken JSON), 'truncated'
+// (JSON cut off at the output limit), 'blocked' (refused by the safety filter), 'notes' (one
+// section's notes, the map step of a chunked analysis), or
+// { text } for any other answer and { status, body } for an HTTP error.
+
+const http = require('http');
+
+const BIAS_KEYS = ['loaded_language', 'framing', 'source_diversity', 'counter_arguments', 'headline_mismatch', 'opinion_ratio'];
+
+const GOOD_ANALYSIS = {
+  credibility_score: 82,
+  reasoning_summary: 'Well-sourced report that quotes both supporters and opponents and links the underlying analysis.',
+  confidence: 88,
+  political_leaning: 'Center',
+  claims: [
+    {
+      claim: 'The council voted 7-2 to place the levy on the ballot.',
+      quote: 'The Riverside City Council voted 7-2 early Tuesday',
+      verdict: 'supported',
+      rationale: 'Matches the published vote record.'
+    }
+  ],
+  bias_dimensions: Object.fromEntries(BIAS_KEYS.map((key, index) => [key, {
+    score: 10 + index * 5,
+    summary: `Little ${key.replace(/_/g, ' ')}.`,
+    examples: []
+  }]))
+};
+
+const GOOD_TEXT = JSON.stringify(GOOD_ANALYSIS);
+const NOTES_TEXT = JSON.stringify({
+  section_summary: 'The council vote and the arguments on both sides.',
+  key_claims: [{ claim: 'The vote was 7-2.', quote: 'voted 7-2 early Tuesday' }],
+  sourcing: 'Named officials and a city analysis.',
+  sourcing_score: 80,
+  tone: 'Neutral',
+  credibility_score: 80,
+  political_leaning: 'Center',
+  bias_examples: []
+});
+const MALFORMED_TEXT = 'Here is my analysis of the article:\n{credibility_score: 82, "reasoning_summary": "Solid reporting",}';
+const TRUNCATED_TEXT = GOOD_TEXT.substring(0, Math.floor(GOOD_TEXT.length / 2));
+
+// { text, finish } for a queued reply, in the dialect-neutral form the routes translate
+function resolveReply(reply) {
+  if (reply === 'good') return { text: GOOD_TEXT, finish: 'stop' };
+  if (reply === 'malformed') return { text: MALFORMED_TEXT, finish: 'stop' };
+  if (reply === 'truncated') return { text: TRUNCATED_TEXT, finish: 'length' };
+  if (reply === 'blocked') return { blocked: true };
+  if (reply === 'notes') return { text: NOTES_TEXT, finish: 'stop' };
+  if (reply.status) return reply;
+  return { text: reply.text, finish: reply.finish || 'stop' };
+}
+
+// The text in two pieces, so streaming clients see a partial answer first
+function splitText(text) {
+  const middle = Math.ceil(text.length / 2);
+  return [text.substring(0, middle), text.substring(middle)].filter(Boolean);
+}
+
+function geminiReply(reply, stream) {
+  if (reply.blocked) {
+    return [{ promptFeedback: { blockReason: 'SAFETY' } }];
+  }
+  const finishReason = reply.finish === 'length' ? 'MAX_TOKENS' : 'STOP';
+  const pieces = stream ? splitText(reply.text) : [reply.text];
+  return pieces.map((piece, index) => ({
+    candidates: [{
+      content: { parts: [{ text: piece }], role: 'model' },
+      finishReason: index === pieces.length - 1 ? finishReason : undefined
+    }]
+  }));
+}
+
+function openAiReply(reply, stream) {
+  const finishReason = reply.blocked ? 'content_filter' : reply.finish;
+  const text = reply.blocked ? '' : reply.text;
+  if (!stream) {
+    return [{ choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: finishReason }] }];
+  }
+  return splitText(text).map(piece => ({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] }))
+    .concat([{ choices: [{ index: 0, delta: {}, finish_reason: finishReason }] }]);
+}
+
+function startStubLlmServer() {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const parsedBody = body ? JSON.parse(body) : null;
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body: parsedBody });
+      const reply = resolveReply(queue.length > 0 ? queue.shift() : 'good');
+
+      if (reply.status) {
+        response.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(reply.body || { error: { message: `Stub error ${reply.status}` } }));
+        return;
+      }
+
+      const isGemini = /:(?:stream)?[gG]enerateContent/.test(request.url);
+      const stream = isGemini ? request.url.includes(':streamGenerateContent') : !!(parsedBody && parsedBody.stream);
+      const events = isGemini ? geminiReply(reply, stream) : openAiReply(reply, stream);
+
+      if (!stream) {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(events[0]));
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      events.forEach(event => response.write(`data: ${JSON.stringify(event)}\n\n`));
+      if (!isGemini) {
+        response.write('data: [DONE]\n\n');
+      }
+      response.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const endpoint = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        endpoint: endpoint,
+        requests: requests,
+        // Queue replies for the next requests, in order
+        respondWith: (...replies) => queue.push(...replies),
+        reset: () => {
+          queue.length = 0;
+          requests.length = 0;
+        },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStubLlmServer, GOOD_ANALYSIS, GOOD_TEXT, MALFORMED_TEXT, TRUNCATED_TEXT };
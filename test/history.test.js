@@ -0,0 +1,218 @@
+// history.test.js - The IndexedDB history store, its retention limits, the export formats and the
+// article watches that add versions to its entries
+// Each test gets an empty in-memory IndexedDB (fake-indexeddb) and fresh chrome storage.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServiceWorker, toPlain } = require('./helpers/load-scripts');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+const { GOOD_ANALYSIS } = require('./helpers/stub-llm-server');
+
+const HISTORY_FILES = ['settings.js', 'analysis-schema.js', 'history-store.js', 'history-export.js'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadHistory() {
+  const chrome = createFakeChrome();
+  const history = loadServiceWorker({ chrome: chrome, files: HISTORY_FILES });
+  history.chrome = chrome;
+  // Add an entry for url analyzed at timestamp, with the stub's analysis merged with overrides
+  history.add = (url, timestamp, overrides) => {
+    history.context.newAnalysis = Object.assign({}, GOOD_ANALYSIS, { article: { headline: `Story at ${url}` } }, overrides);
+    return history.get(`addHistoryEntry(createHistoryEntry('${url}', newAnalysis, ${timestamp}))`);
+  };
+  history.entries = async () => toPlain(await history.get('getHistoryEntries()'));
+  return history;
+}
+
+test('entries are stored with their summary fields, newest first', async () => {
+  const history = loadHistory();
+  await history.add('https://news.example/a', 1000);
+  await history.add('https://news.example/b', 3000, { heuristic_only: true });
+  await history.add('https://news.example/a', 2000, { political_leaning: 'Right' });
+
+  const entries = await history.entries();
+  assert.deepStrictEqual(entries.map(entry => entry.timestamp), [3000, 2000, 1000]);
+  assert.deepStrictEqual(entries.map(entry => entry.score), [null, 82, 82]);
+  assert.strictEqual(entries[1].leaning, 'Right');
+  assert.strictEqual(entries[2].domain, 'news.example');
+  assert.strictEqual(entries[2].title, 'Story at https://news.example/a');
+  assert.strictEqual(entries[2].biasScores.opinion_ratio, 35);
+  assert.strictEqual(entries[2].versions, null);
+
+  // A confidence of 0 is a value, not a missing one
+  await history.add('https://news.example/c', 4000, { confidence: 0 });
+  assert.strictEqual((await history.entries())[0].confidence, 0);
+
+  const forUrl = toPlain(await history.get('getHistoryEntriesForUrl(\'https://news.example/a\')'));
+  assert.deepStrictEqual(forUrl.map(entry => entry.timestamp), [2000, 1000]);
+
+  const single = toPlain(await history.get(`getHistoryEntry(${forUrl[0].id})`));
+  assert.strictEqual(single.leaning, 'Right');
+});
+
+test('retention keeps the newest entries within the configured age', async () => {
+  const history = loadHistory();
+  const now = Date.now();
+  for (let i = 0; i < 15; i++) {
+    await history.add(`https://news.example/${i}`, now - i * DAY_MS);
+  }
+
+  await history.chrome.storage.sync.set({ historyMaxEntries: 12, historyRetentionDays: 0 });
+  await history.get('applyHistoryRetention()');
+  assert.strictEqual((await history.entries()).length, 12);
+
+  await history.chrome.storage.sync.set({ historyRetentionDays: 5 });
+  await history.get('applyHistoryRetention()');
+  const entries = await history.entries();
+  assert.deepStrictEqual(entries.map(entry => entry.url), [0, 1, 2, 3, 4].map(i => `https://news.example/${i}`));
+});
+
+test('the old storage.local history moves into IndexedDB once', async () => {
+  const history = loadHistory();
+  await history.chrome.storage.local.set({
+    analysisHistory: [{ url: 'https://old.example/story', title: 'Old story', timestamp: 500, score: 40 }]
+  });
+
+  await history.get('migrateLegacyHistory()');
+  await history.get('migrateLegacyHistory()');
+  const entries = await history.entries();
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].score, 40);
+  assert.strictEqual(entries[0].analysis, null);
+  assert.ok(!('analysisHistory' in history.chrome.storage.local.data));
+});
+
+test('a JSON export imports back, rejecting bad rows and skipping duplicates', async () => {
+  const history = loadHistory();
+  await history.add('https://news.example/a', 1000);
+  await history.add('https://news.example/b', 2000);
+  const json = await history.get('getHistoryEntries().then(exportHistoryJson)');
+  const file = JSON.parse(json);
+  assert.strictEqual(file.format, 'newsbiasdetector-history');
+  assert.ok(file.entries.every(entry => !('id' in entry)));
+
+  file.entries.push(
+    { url: 'ftp://news.example/c', timestamp: 3000 },
+    { url: 'https://news.example/d', timestamp: 4000, leaning: 'Sideways' },
+    { url: 'https://news.example/e', timestamp: 5000, versions: [{ timestamp: 6000, added: [], removed: [], score: 70 }] },
+    { url: 'https://news.example/f', timestamp: 7000, versions: [{ timestamp: 8000 }] }
+  );
+  history.context.importText = JSON.stringify(file);
+  const imported = toPlain(history.get('importHistoryJson(importText)'));
+  assert.deepStrictEqual(imported.entries.map(entry => entry.url),
+    ['https://news.example/b', 'https://news.example/a', 'https://news.example/e']);
+  assert.deepStrictEqual(imported.rejected, [
+    { row: 3, reason: 'missing or invalid url' },
+    { row: 4, reason: 'unknown leaning "Sideways"' },
+    { row: 6, reason: 'versions must be a list of article versions' }
+  ]);
+  assert.strictEqual(imported.entries[2].domain, 'news.example');
+
+  history.context.importedEntries = imported.entries;
+  const merged = toPlain(await history.get('getHistoryEntries().then(existing => mergeImportedEntries(existing, importedEntries))'));
+  assert.strictEqual(merged.duplicates, 2);
+  assert.deepStrictEqual(merged.added.map(entry => entry.url), ['https://news.example/e']);
+
+  assert.throws(() => history.get('importHistoryJson(\'{"format":"other"}\')'), /missing "format" marker/);
+});
+
+test('imported analyses are validated like model output', async () => {
+  const history = loadHistory();
+  const good = Object.assign({}, GOOD_ANALYSIS, {
+    claims: [{ claim: 'Claim', quote: 'q', verdict: '"><img src=x onerror=alert(1)>', rationale: 7 }],
+    heuristic: { score: 60, signals: { citationDensity: '<b>', hasByline: 'yes' }, notes: ['ok', { html: 1 }] },
+    article: { headline: 'Story', author: { name: 'x' }, canonicalUrl: 'javascript:alert(1)' },
+    corroboration_analysis: [
+      { title: 'Source', source_url: 'https://a.example/', corroboration_score: '<i>90</i>', stance: 'supports', retrieved: true },
+      { title: 'Script', source_url: 'javascript:alert(1)', corroboration_score: 90 }
+    ]
+  });
+  const badScore = Object.assign({}, GOOD_ANALYSIS, {
+    bias_dimensions: Object.assign({}, GOOD_ANALYSIS.bias_dimensions, { framing: { score: '100%"><script>' } })
+  });
+  history.context.importText = JSON.stringify({
+    format: 'newsbiasdetector-history',
+    version: 1,
+    entries: [
+      { url: 'https://news.example/a', timestamp: 1000, analysis: good },
+      { url: 'https://news.example/b', timestamp: 2000, analysis: badScore },
+      { url: 'https://news.example/c', timestamp: 3000, analysis: { heuristic_only: true, heuristic: { score: 45 } } },
+      { url: 'https://news.example/d', timestamp: 4000, versions: [{ timestamp: 5000, added: [{}], removed: [], score: null }] }
+    ]
+  });
+
+  const imported = toPlain(history.get('importHistoryJson(importText)'));
+  assert.deepStrictEqual(imported.rejected.map(row => row.row), [2, 4]);
+  assert.match(imported.rejected[0].reason, /^invalid analysis: .*score must be a number/);
+
+  const [analysis, baseline] = imported.entries.map(entry => entry.analysis);
+  assert.strictEqual(analysis.claims[0].verdict, 'unsupported');
+  assert.strictEqual(analysis.claims[0].rationale, '');
+  assert.strictEqual(analysis.heuristic.signals.citationDensity, 0);
+  assert.strictEqual(analysis.heuristic.signals.hasByline, false);
+  assert.deepStrictEqual(analysis.heuristic.notes, ['ok']);
+  assert.deepStrictEqual(analysis.article, { headline: 'Story' });
+  assert.deepStrictEqual(analysis.corroboration_analysis.map(source => source.corroboration_score), [0]);
+  assert.strictEqual(imported.entries[0].biasScores.framing, 15);
+  assert.strictEqual(baseline.heuristic_only, true);
+  assert.strictEqual(baseline.heuristic.score, 45);
+});
+
+test('CSV export quotes separators and neutralizes formulas', async () => {
+  const history = loadHistory();
+  await history.add('https://news.example/a', Date.UTC(2024, 2, 12), {
+    article: { headline: 'Council says "yes", finally' },
+    reasoning_summary: '=HYPERLINK("https://evil.example")'
+  });
+
+  const csv = await history.get('getHistoryEntries().then(exportHistoryCsv)');
+  const [header, row] = csv.split('\r\n');
+  assert.ok(header.startsWith('analyzed_at,url,domain,title,ai_score'));
+  assert.ok(header.endsWith('bias_opinion_ratio'));
+  assert.ok(row.startsWith('2024-03-12T00:00:00.000Z,https://news.example/a,news.example,"Council says ""yes"", finally",82,'));
+  assert.ok(row.includes('"\'=HYPERLINK(""https://evil.example"")"'));
+});
+
+test('reports list the scores, and the HTML one escapes article text', async () => {
+  const history = loadHistory();
+  await history.add('https://news.example/a', 1000, { article: { headline: '<script>alert(1)</script>' } });
+
+  const html = await history.get('getHistoryEntries().then(exportHistoryHtml)');
+  assert.ok(!html.includes('<script>alert(1)</script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+
+  const markdown = await history.get('getHistoryEntries().then(exportHistoryMarkdown)');
+  assert.match(markdown, /- \*\*Credibility score:\*\* 82/);
+  assert.match(markdown, /- \*\*Framing:\*\* 15\/100 - Little framing\./);
+});
+
+test('the Markdown report escapes page text and link targets', async () => {
+  const history = loadHistory();
+  await history.add('https://news.example/a_(1)', 1000, {
+    article: { headline: '# Breaking [update](https://evil.example)' },
+    corroboration_analysis: [{ title: 'Wire] (copy', source_url: 'https://wire.example/story_(2)', corroboration_score: 70 }]
+  });
+
+  const markdown = await history.get('getHistoryEntries().then(exportHistoryMarkdown)');
+  assert.ok(markdown.includes('## \\# Breaking \\[update\\]\\(https://evil.example\\)\n'));
+  assert.ok(markdown.includes('- **URL:** <https://news.example/a_%281%29>'));
+  assert.ok(markdown.includes('- [Wire\\] \\(copy](https://wire.example/story_%282%29) - corroboration 70/100'));
+});
+
+test('concurrent article watch writes are all kept', async () => {
+  const chrome = createFakeChrome();
+  const sw = loadServiceWorker({ chrome: chrome });
+  await sw.get(`Promise.all([
+    saveArticleWatch('news.example/a', { url: 'https://news.example/a' }),
+    saveArticleWatch('news.example/b', { url: 'https://news.example/b' }),
+    updateArticleWatch('news.example/c', { url: 'https://news.example/c' })
+  ])`);
+  assert.deepStrictEqual(Object.keys(chrome.storage.local.data.articleWatches).sort(), ['news.example/a', 'news.example/b']);
+
+  // A check finishing after the article was unwatched does not bring the watch back
+  await sw.get(`Promise.all([
+    saveArticleWatch('news.example/a', null),
+    updateArticleWatch('news.example/a', { url: 'https://news.example/a', lastCheckedAt: 1 })
+  ])`);
+  assert.deepStrictEqual(Object.keys(chrome.storage.local.data.articleWatches), ['news.example/b']);
+});
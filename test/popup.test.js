@@ -0,0 +1,237 @@
+// popup.test.js - The popup and side panel rendering analyses, with the real service worker
+// behind them
+// Both pages share one fake browser with the service worker, so their messages and ports reach
+// its listeners as they do in Chrome. The article tab runs the content scripts on the news
+// fixture, and the provider is the stub LLM server.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServiceWorker, loadPage, settle } = require('./helpers/load-scripts');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+const { IDBFactory } = require('fake-indexeddb');
+const { startStubLlmServer, GOOD_ANALYSIS } = require('./helpers/stub-llm-server');
+
+const ARTICLE_URL = 'https://www.riversideledger.example/news/2024/03/12/transit-levy-approved';
+const OTHER_URL = 'https://fieldnotes.example/2024/drought-numbers/';
+const ARTICLE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'articles', 'news-article.html'), 'utf8');
+const CONTENT_SCRIPT_FILES = ['extractor.js', 'highlighter.js', 'result-panel.js', 'link-badges.js', 'content-script.js'];
+
+let server;
+
+test.before(async () => {
+  server = await startStubLlmServer();
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => server.reset());
+
+// Tab 7 shows the news fixture and is active; tab 8 is another page in the same window.
+// apiKey null leaves the provider unconfigured. Extension pages and the service worker share
+// one origin, so they also share the history database.
+async function openBrowser({ apiKey = 'test-key' } = {}) {
+  const pageChrome = createFakeChrome();
+  const articlePage = loadPage({ html: ARTICLE_HTML, url: ARTICLE_URL, chrome: pageChrome, files: CONTENT_SCRIPT_FILES });
+  const chrome = createFakeChrome({
+    tabs: [
+      { id: 7, url: ARTICLE_URL, title: 'Transit levy', active: true },
+      { id: 8, url: OTHER_URL, title: 'Drought numbers' }
+    ],
+    onTabMessage: (tabId, message) => (tabId === 7 ? pageChrome.runtime.sendMessage(message) : { located: [] })
+  });
+  const indexedDB = new IDBFactory();
+  const sw = loadServiceWorker({ chrome: chrome, indexedDB: indexedDB });
+  if (apiKey) {
+    await sw.get(`saveProviderConfig('gemini', { apiKey: '${apiKey}', model: 'stub-model', endpoint: '${server.endpoint}' })`);
+  }
+  return { chrome: chrome, indexedDB: indexedDB, sw: sw, articlePage: articlePage };
+}
+
+async function openPage(browser, page) {
+  const ui = loadPage({ page: page, chrome: browser.chrome, indexedDB: browser.indexedDB });
+  await settle();
+  return ui;
+}
+
+// Poll until check() holds, for work that crosses the service worker and the stub server
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the page to update');
+    }
+    await settle();
+  }
+}
+
+function isShown(document, id) {
+  return !document.getElementById(id).classList.contains('hidden');
+}
+
+// A stored result as the service worker keeps it for a tab (rememberTabResult)
+function storeTabResult(browser, tabId, url, data) {
+  return browser.chrome.storage.session.set({
+    [`tabResult_${tabId}`]: { url: url, data: data, cachedAt: null, analyzedAt: Date.now(), auto: false }
+  });
+}
+
+function closeAll(browser, ...pages) {
+  pages.concat(browser.articlePage).forEach(page => page.window.close());
+}
+
+test('the popup runs an analysis and renders the result', async () => {
+  const browser = await openBrowser();
+  const popup = await openPage(browser, 'popup.html');
+  const document = popup.document;
+  server.respondWith('good');
+
+  document.getElementById('analyzeBtn').click();
+  await waitFor(() => isShown(document, 'scoreSection'));
+
+  assert.strictEqual(document.getElementById('scoreNumber').textContent, '82');
+  assert.strictEqual(document.getElementById('reliabilityBadge').textContent, 'HIGH');
+  assert.strictEqual(document.getElementById('politicalLeaning').textContent, 'Center');
+  assert.strictEqual(document.getElementById('confidence').textContent, '88%');
+  assert.strictEqual(document.getElementById('summaryText').textContent, GOOD_ANALYSIS.reasoning_summary);
+  assert.match(document.getElementById('heuristicBaseline').textContent, /Text-signal baseline: \d+\/100/);
+  assert.strictEqual(document.querySelectorAll('#biasContent .bias-row').length, 6);
+  assert.ok(isShown(document, 'signalsSection'));
+
+  // The claim was found on the page, so it can be scrolled to
+  const showButton = document.querySelector('#claimsContent [data-claim-index="0"]');
+  assert.ok(showButton);
+  showButton.click();
+  await settle();
+  assert.deepStrictEqual(browser.chrome.tabs.sent.pop(), { tabId: 7, message: { action: 'scrollToClaim', index: 0 } });
+
+  // The run was recorded: the tab's result, its badge and the History tab
+  assert.strictEqual(browser.chrome.storage.session.data.tabResult_7.data.credibility_score, 82);
+  assert.strictEqual(browser.chrome.action.badges[7].text, '82');
+  await waitFor(() => document.querySelectorAll('#historyList .history-item').length === 1);
+  closeAll(browser, popup);
+});
+
+test('the popup shows the text-signal baseline when no key is saved', async () => {
+  const browser = await openBrowser({ apiKey: null });
+  const popup = await openPage(browser, 'popup.html');
+  const document = popup.document;
+
+  assert.ok(isShown(document, 'setupNotice'));
+  document.getElementById('analyzeBtn').click();
+  await waitFor(() => isShown(document, 'scoreSection'));
+
+  assert.strictEqual(document.getElementById('scoreNumber').textContent, '--');
+  assert.strictEqual(document.getElementById('reliabilityBadge').textContent, 'TEXT ONLY');
+  assert.ok(!isShown(document, 'summarySection'));
+  assert.ok(!isShown(document, 'claimsSection'));
+  assert.ok(isShown(document, 'signalsSection'));
+  assert.match(document.getElementById('status').textContent, /No Google Gemini API key saved/);
+  assert.strictEqual(server.requests.length, 0);
+  closeAll(browser, popup);
+});
+
+test('the popup shows a stored result with page text escaped', async () => {
+  const browser = await openBrowser();
+  await storeTabResult(browser, 7, ARTICLE_URL, Object.assign({}, GOOD_ANALYSIS, {
+    credibility_score: 35,
+    reasoning_summary: '<b>Loaded</b> framing throughout',
+    claims: [{ claim: '<img src=x onerror="alert(1)">', quote: 'not on the page', verdict: 'disputed', rationale: '<i>none</i>' }],
+    heuristic: null
+  }));
+
+  const popup = await openPage(browser, 'popup.html');
+  const document = popup.document;
+  await waitFor(() => isShown(document, 'scoreSection'));
+
+  assert.strictEqual(document.getElementById('scoreNumber').textContent, '35');
+  assert.strictEqual(document.getElementById('reliabilityBadge').textContent, 'LOW');
+  assert.strictEqual(document.getElementById('summaryText').innerHTML, '&lt;b&gt;Loaded&lt;/b&gt; framing throughout');
+  assert.strictEqual(document.querySelector('#claimsContent img'), null);
+  assert.strictEqual(document.querySelector('#claimsContent .claim-text').textContent, '<img src=x onerror="alert(1)">');
+  assert.strictEqual(document.querySelector('#claimsContent .claim-rationale').textContent, '<i>none</i>');
+  assert.match(document.getElementById('cacheNoteText').textContent, /^Analyzed · /);
+  assert.strictEqual(server.requests.length, 0);
+  closeAll(browser, popup);
+});
+
+test('the popup shows a confidence of 0 as it is', async () => {
+  const browser = await openBrowser();
+  await storeTabResult(browser, 7, ARTICLE_URL, Object.assign({}, GOOD_ANALYSIS, { confidence: 0, heuristic: null }));
+
+  const popup = await openPage(browser, 'popup.html');
+  await waitFor(() => isShown(popup.document, 'scoreSection'));
+  assert.strictEqual(popup.document.getElementById('confidence').textContent, '0%');
+  closeAll(browser, popup);
+});
+
+test('the popup compares at most COMPARE_MAX_TABS tabs', async () => {
+  const browser = await openBrowser();
+  for (let id = 20; id < 25; id++) {
+    browser.chrome.tabs.list.push({ id: id, url: `https://outlet${id}.example/levy`, title: `Levy ${id}`, active: false, windowId: 1 });
+  }
+  const popup = await openPage(browser, 'popup.html');
+  const document = popup.document;
+  const compareBtn = document.getElementById('compareBtn');
+
+  document.querySelector('.tab[data-tab="compare"]').click();
+  await waitFor(() => document.querySelectorAll('#compareTabList input').length === 7);
+  const boxes = Array.from(document.querySelectorAll('#compareTabList input'));
+  const select = (box, checked) => {
+    box.checked = checked;
+    box.dispatchEvent(new popup.window.Event('change', { bubbles: true }));
+  };
+
+  boxes.forEach(box => select(box, true));
+  assert.strictEqual(popup.get('COMPARE_MAX_TABS'), 6);
+  assert.strictEqual(compareBtn.disabled, true);
+  assert.strictEqual(document.getElementById('compareStatus').textContent, 'Select at most 6 tabs');
+
+  select(boxes[6], false);
+  assert.strictEqual(compareBtn.disabled, false);
+  assert.strictEqual(document.getElementById('compareStatus').textContent, '6 selected · pick 2-6 tabs on the same story');
+  closeAll(browser, popup);
+});
+
+test('the popup hands the analysis over to the side panel', async () => {
+  const browser = await openBrowser();
+  const popup = await openPage(browser, 'popup.html');
+
+  popup.document.getElementById('collapseBtn').click();
+  await settle();
+  assert.deepStrictEqual(browser.chrome.sidePanel.opened.map(options => options.windowId), [1]);
+  assert.strictEqual(popup.window.closeCalls, 1);
+  closeAll(browser, popup);
+});
+
+test('the side panel follows the active tab and its stored result', async () => {
+  const browser = await openBrowser();
+  await storeTabResult(browser, 8, OTHER_URL, Object.assign({}, GOOD_ANALYSIS, { credibility_score: 55, heuristic: null }));
+
+  const panel = await openPage(browser, 'sidepanel.html');
+  const document = panel.document;
+  await waitFor(() => isShown(document, 'emptyState'));
+  assert.strictEqual(document.getElementById('pageTitle').textContent, 'Transit levy');
+  assert.ok(!isShown(document, 'scoreSection'));
+
+  // Switching to the analyzed tab shows its result
+  browser.chrome.tabs.list.forEach((tab) => {
+    tab.active = tab.id === 8;
+  });
+  browser.chrome.tabs.onActivated.dispatch({ tabId: 8, windowId: 1 });
+  await waitFor(() => isShown(document, 'scoreSection'));
+  assert.strictEqual(document.getElementById('pageTitle').textContent, 'Drought numbers');
+  assert.strictEqual(document.getElementById('scoreNumber').textContent, '55');
+  assert.ok(!isShown(document, 'emptyState'));
+
+  // A new result for the tab (auto mode, a popup run) replaces the one shown
+  await storeTabResult(browser, 8, OTHER_URL, Object.assign({}, GOOD_ANALYSIS, { credibility_score: 91, heuristic: null }));
+  await waitFor(() => document.getElementById('scoreNumber').textContent === '91');
+
+  // Tabs in other windows have their own panel
+  browser.chrome.tabs.onActivated.dispatch({ tabId: 7, windowId: 2 });
+  await settle();
+  assert.strictEqual(document.getElementById('pageTitle').textContent, 'Drought numbers');
+  closeAll(browser, panel);
+});